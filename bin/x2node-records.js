@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+'use strict';
+
+const cli = require('../lib/cli.js');
+
+process.exitCode = cli.run(
+	process.argv.slice(2), process.stdout, process.stderr);
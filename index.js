@@ -8,6 +8,13 @@
 
 const RecordTypesLibraryFactory = require(
 	'./lib/record-types-library-factory.js');
+const jsonSchema = require('./lib/json-schema.js');
+const typescript = require('./lib/typescript.js');
+const diagrams = require('./lib/diagrams.js');
+const dataDictionary = require('./lib/data-dictionary.js');
+const libraryComparator = require('./lib/library-comparator.js');
+const recordAccessor = require('./lib/record-accessor.js');
+const recordWalker = require('./lib/record-walker.js');
 
 
 /**
@@ -16,13 +23,48 @@ const RecordTypesLibraryFactory = require(
  * extensions.
  *
  * @param {Object} libraryDef Library definition object.
+ * @param {Object} [options] Build options. See
+ * [buildLibrary()]{@link module:x2node-records~RecordTypesLibraryFactory#buildLibrary}
+ * method of the factory.
  * @returns {module:x2node-records~RecordTypesLibrary} Record types library.
  * @throws {module:x2node-common.X2UsageError} If any record type definitions
  * are found invalid.
  */
-exports.buildLibrary = function(libraryDef) {
+exports.buildLibrary = function(libraryDef, options) {
 
-	return (new RecordTypesLibraryFactory()).buildLibrary(libraryDef);
+	return (new RecordTypesLibraryFactory()).buildLibrary(libraryDef, options);
+};
+
+/**
+ * Check the provided library definitions and report all found definition
+ * errors. This is a shortcut function for libraries that do not use any
+ * extensions.
+ *
+ * @param {Object} libraryDef Library definition object.
+ * @returns {module:x2node-records~LibraryDiagnostics} Diagnostics report.
+ */
+exports.checkLibrary = function(libraryDef) {
+
+	return (new RecordTypesLibraryFactory()).checkLibrary(libraryDef);
+};
+
+/**
+ * Load library definition from JSON and YAML files and build the record types
+ * library. This is a shortcut function that allows loading record types
+ * libraries that do not use any extensions.
+ *
+ * @param {(string|Array.<string>)} paths Paths of the definition files and
+ * directories with the definition files.
+ * @param {Object} [options] Load and build options. See
+ * [loadLibrary()]{@link module:x2node-records~RecordTypesLibraryFactory#loadLibrary}
+ * method of the factory.
+ * @returns {module:x2node-records~RecordTypesLibrary} Record types library.
+ * @throws {module:x2node-common.X2UsageError} If the definition files cannot
+ * be loaded or any record type definitions are found invalid.
+ */
+exports.loadLibrary = function(paths, options) {
+
+	return (new RecordTypesLibraryFactory()).loadLibrary(paths, options);
 };
 
 /**
@@ -47,3 +89,214 @@ exports.with = function() {
 
 	return factory;
 };
+
+/**
+ * Generate JSON Schema (draft 2020-12) for the records in the library. If record
+ * type name is specified, a standalone schema for the records of that type is
+ * generated. Otherwise, the schema includes all record types in the library as
+ * <code>$defs</code>.
+ *
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} [recordTypeName] Record type name.
+ * @param {Object} [options] Generation options.
+ * @param {boolean} [options.includeViews] Include view properties (omitted by
+ * default).
+ * @returns {Object} JSON Schema document.
+ * @throws {module:x2node-common.X2UsageError} If no such record type in the
+ * library.
+ */
+exports.generateJSONSchema = function(recordTypes, recordTypeName, options) {
+
+	if ((typeof recordTypeName) === 'object') {
+		options = recordTypeName;
+		recordTypeName = undefined;
+	}
+
+	if (recordTypeName === undefined)
+		return jsonSchema.librarySchema(recordTypes, options);
+
+	return jsonSchema.recordTypeSchema(
+		recordTypes.getRecordTypeDesc(recordTypeName), options);
+};
+
+/**
+ * Generate TypeScript declarations for the records in the library. An interface
+ * is generated for every record type and nested object, polymorphic objects and
+ * record types are declared as discriminated unions of the subtype interfaces
+ * and references are declared as template literal types.
+ *
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {Object} [options] Generation options.
+ * @param {boolean} [options.includeViews] Include view properties (omitted by
+ * default).
+ * @param {string} [options.indent] Indentation for interface members (tab by
+ * default).
+ * @returns {string} TypeScript declarations source code.
+ */
+exports.generateTypeScript = function(recordTypes, options) {
+
+	return typescript.generateDeclarations(recordTypes, options);
+};
+
+/**
+ * Generate Graphviz DOT diagram of the record types in the library. Every
+ * record type and polymorphic subtype is a node listing its properties and
+ * value types, with nested objects as compartments. Subtypes are connected to
+ * their polymorphic objects as specializations and reference properties are
+ * edges labeled with the property path and the multiplicity.
+ *
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {Object} [options] Generation options.
+ * @param {boolean} [options.includeViews] Include view properties (omitted by
+ * default).
+ * @returns {string} DOT source.
+ */
+exports.generateDOT = function(recordTypes, options) {
+
+	return diagrams.generateDOT(recordTypes, options);
+};
+
+/**
+ * Generate Mermaid diagram of the record types in the library. The diagram is
+ * either an entity relationship diagram, where every record type, nested
+ * object and polymorphic subtype is an entity, or a class diagram, which is
+ * structured the same way as the DOT diagram.
+ *
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {Object} [options] Generation options.
+ * @param {string} [options.diagram] Diagram type: "erDiagram" (default) or
+ * "classDiagram".
+ * @param {boolean} [options.includeViews] Include view properties (omitted by
+ * default).
+ * @returns {string} Mermaid source.
+ * @throws {module:x2node-common.X2UsageError} If the diagram type is invalid.
+ */
+exports.generateMermaid = function(recordTypes, options) {
+
+	return diagrams.generateMermaid(recordTypes, options);
+};
+
+/**
+ * Generate data dictionary for the record types in the library. The document
+ * has a section for every record type with a table of all its properties,
+ * including the nested object properties, and a section for every polymorphic
+ * subtype. Record type, subtype and property <code>label</code> and
+ * <code>description</code> definition attributes are included.
+ *
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {Object} [options] Generation options.
+ * @param {string} [options.format] Document format: "markdown" (default) or
+ * "html".
+ * @param {string} [options.title] Document title ("Data Dictionary" by
+ * default).
+ * @returns {string} The document.
+ * @throws {module:x2node-common.X2UsageError} If the format is invalid.
+ */
+exports.generateDataDictionary = function(recordTypes, options) {
+
+	return dataDictionary.generateDataDictionary(recordTypes, options);
+};
+
+/**
+ * Compare two versions of a record types library and report the changes in
+ * the record types, properties and polymorphic subtypes. Each change is
+ * classified as backward-compatible (records valid for the old library remain
+ * valid), forward-compatible (records valid for the new library are valid for
+ * the old one) or breaking. Views are not compared.
+ *
+ * @param {module:x2node-records~RecordTypesLibrary} oldRecordTypes The old
+ * version of the library.
+ * @param {module:x2node-records~RecordTypesLibrary} newRecordTypes The new
+ * version of the library.
+ * @returns {module:x2node-records~LibraryComparison} The comparison report.
+ */
+exports.compareLibraries = function(oldRecordTypes, newRecordTypes) {
+
+	return libraryComparator.compareLibraries(oldRecordTypes, newRecordTypes);
+};
+
+/**
+ * Get value from a record by path. The path segments are property names, array
+ * indexes and map keys. For a polymorphic object, a segment can also be the
+ * subtype name, in which case the value is found only if the object is of that
+ * subtype. Subtype-specific properties are looked up according to the object's
+ * type property. References are not followed.
+ *
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} record The record.
+ * @param {(string|Array.<(string|number)>)} path The value path: dot-separated
+ * string (for example, "items.0.quantity"), JSON pointer (for example,
+ * "/items/0/quantity") or array of segments.
+ * @returns {*} The value, or <code>undefined</code> if not present.
+ * @throws {module:x2node-common.X2UsageError} If the path is invalid for the
+ * record type.
+ */
+exports.getValue = function(recordTypeDesc, record, path) {
+
+	return recordAccessor.getValue(recordTypeDesc, record, path);
+};
+
+/**
+ * Set value in a record by path (see
+ * [getValue()]{@link module:x2node-records.getValue} for the path format).
+ * Missing intermediate nested objects are created using their containers'
+ * factories and missing intermediate arrays and maps are created empty. When a
+ * polymorphic object is created, its type is set from the subtype segment in
+ * the path or, if the path does not include one, from the subtype that has the
+ * next property. An array index equal to the array length appends the value.
+ *
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} record The record.
+ * @param {(string|Array.<(string|number)>)} path The value path.
+ * @param {*} val The value to set.
+ * @throws {module:x2node-common.X2UsageError} If the path is invalid for the
+ * record type or does not match the record data.
+ */
+exports.setValue = function(recordTypeDesc, record, path, val) {
+
+	recordAccessor.setValue(recordTypeDesc, record, path, val);
+};
+
+/**
+ * Delete value from a record by path (see
+ * [getValue()]{@link module:x2node-records.getValue} for the path format). An
+ * array element is removed from the array, shifting the following elements.
+ *
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} record The record.
+ * @param {(string|Array.<(string|number)>)} path The value path.
+ * @returns {boolean} <code>true</code> if the value was present and was
+ * deleted.
+ * @throws {module:x2node-common.X2UsageError} If the path is invalid for the
+ * record type.
+ */
+exports.deleteValue = function(recordTypeDesc, record, path) {
+
+	return recordAccessor.deleteValue(recordTypeDesc, record, path);
+};
+
+/**
+ * Record visitor return value that tells the walker not to enter the visited
+ * value. See
+ * [RecordTypeDescriptor.walk()]{@link module:x2node-records~RecordTypeDescriptor#walk}.
+ *
+ * @constant {Symbol}
+ */
+exports.SKIP = recordWalker.SKIP;
+
+/**
+ * Record visitor return value that tells the walker to remove the visited value
+ * from the record. See
+ * [RecordTypeDescriptor.walk()]{@link module:x2node-records~RecordTypeDescriptor#walk}.
+ *
+ * @constant {Symbol}
+ */
+exports.PRUNE = recordWalker.PRUNE;
@@ -0,0 +1,510 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const common = require('x2node-common');
+
+const records = require('../index.js');
+const definitionError = require('./definition-error.js');
+const valueTypeLabel = require('./value-type-label.js').valueTypeLabel;
+
+
+/**
+ * Command line usage text.
+ *
+ * @private
+ * @constant {string}
+ */
+const USAGE = `Usage: x2node-records [options] [<command>] <definitions> [<args>]
+
+The <definitions> is a module that exports the library definition object, a
+JSON or YAML definition file, or a directory. A directory is loaded as a module
+if it has index.js or package.json in it, otherwise the definition files in it
+are loaded.
+
+Commands:
+  check                   Check the definitions, print all definition errors
+                          and a summary of the record types (default).
+  show <type>             Print the record type property tree.
+  path <type> <path>      Resolve property path and print the properties in it.
+  export                  Print the library in the format given by --format.
+
+Options:
+  --extension=<module>    Build the library with the extension. Can be given
+                          more than once.
+  --factories=<module>    Module that exports named factory functions used in
+                          the definition files.
+  --format=<format>       Export format: json-schema, ts, dot, mermaid, markdown
+                          (data dictionary) or html (data dictionary).
+  --type=<type>           Export JSON Schema for a single record type.
+  --diagram=<diagram>     Mermaid diagram: erDiagram (default) or classDiagram.
+  --include-views         Export view properties.
+  --help                  Print this help and exit.
+
+Exit status is 0 if the definitions are valid, 1 if definition errors are
+found, and 2 if the command line is invalid.
+`;
+
+/**
+ * Options that take a value.
+ *
+ * @private
+ * @constant {Array.<string>}
+ */
+const VALUE_OPTIONS = [
+	'extension', 'factories', 'format', 'type', 'diagram'
+];
+
+/**
+ * Options that do not take a value.
+ *
+ * @private
+ * @constant {Array.<string>}
+ */
+const FLAG_OPTIONS = [ 'include-views', 'help' ];
+
+/**
+ * Commands and the numbers of the arguments that follow the definitions.
+ *
+ * @private
+ * @constant {Object.<string,number>}
+ */
+const COMMANDS = {
+	'check': 0,
+	'show': 1,
+	'path': 2,
+	'export': 0
+};
+
+/**
+ * Export formats and the functions that generate them.
+ *
+ * @private
+ * @constant {Object.<string,function>}
+ */
+const EXPORTERS = {
+	'json-schema': (recordTypes, opts) => JSON.stringify(
+		records.generateJSONSchema(recordTypes, opts.type, {
+			includeViews: opts.includeViews
+		}), null, '  ') + '\n',
+	'ts': (recordTypes, opts) => records.generateTypeScript(recordTypes, {
+		includeViews: opts.includeViews
+	}),
+	'dot': (recordTypes, opts) => records.generateDOT(recordTypes, {
+		includeViews: opts.includeViews
+	}),
+	'mermaid': (recordTypes, opts) => records.generateMermaid(recordTypes, {
+		diagram: opts.diagram,
+		includeViews: opts.includeViews
+	}),
+	'markdown': recordTypes => records.generateDataDictionary(recordTypes, {
+		format: 'markdown'
+	}),
+	'html': recordTypes => records.generateDataDictionary(recordTypes, {
+		format: 'html'
+	})
+};
+
+
+/**
+ * Parsed command line.
+ *
+ * @private
+ * @typedef {Object} CommandLine
+ * @property {string} command The command.
+ * @property {string} definitions The definitions path.
+ * @property {Array.<string>} args Command arguments.
+ * @property {Array.<string>} extensions Extension modules.
+ * @property {string} [factories] Factories module.
+ * @property {string} [format] Export format.
+ * @property {string} [type] Export record type.
+ * @property {string} [diagram] Mermaid diagram type.
+ * @property {boolean} includeViews Export view properties.
+ * @property {boolean} help Print help.
+ */
+
+/**
+ * Parse command line arguments.
+ *
+ * @private
+ * @param {Array.<string>} argv The arguments.
+ * @returns {CommandLine} Parsed command line.
+ * @throws {module:x2node-common.X2UsageError} If the command line is invalid.
+ */
+function parseArgs(argv) {
+
+	const cmdLine = {
+		extensions: new Array(),
+		includeViews: false,
+		help: false
+	};
+	const positional = new Array();
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (arg === '--') {
+			positional.push(...argv.slice(i + 1));
+			break;
+		}
+		if (!arg.startsWith('--')) {
+			positional.push(arg);
+			continue;
+		}
+		const eqInd = arg.indexOf('=');
+		const name = arg.substring(2, (eqInd > 0 ? eqInd : arg.length));
+		if (FLAG_OPTIONS.indexOf(name) >= 0) {
+			if (eqInd > 0)
+				throw new common.X2UsageError(
+					`Option --${name} does not take a value.`);
+			if (name === 'include-views')
+				cmdLine.includeViews = true;
+			else
+				cmdLine.help = true;
+		} else if (VALUE_OPTIONS.indexOf(name) >= 0) {
+			let val;
+			if (eqInd > 0)
+				val = arg.substring(eqInd + 1);
+			else if (i + 1 < argv.length)
+				val = argv[++i];
+			if (!val)
+				throw new common.X2UsageError(
+					`Option --${name} requires a value.`);
+			if (name === 'extension')
+				cmdLine.extensions.push(val);
+			else
+				cmdLine[name] = val;
+		} else {
+			throw new common.X2UsageError(`Unknown option --${name}.`);
+		}
+	}
+
+	if (cmdLine.help)
+		return cmdLine;
+
+	cmdLine.command = (
+		COMMANDS[positional[0]] !== undefined ? positional.shift() : 'check');
+	cmdLine.definitions = positional.shift();
+	cmdLine.args = positional;
+
+	if (!cmdLine.definitions)
+		throw new common.X2UsageError('Definitions are not specified.');
+	if (cmdLine.args.length !== COMMANDS[cmdLine.command])
+		throw new common.X2UsageError(
+			`Invalid number of arguments for command ${cmdLine.command}.`);
+	if (cmdLine.command === 'export') {
+		if (!cmdLine.format)
+			throw new common.X2UsageError(
+				'Option --format is required for command export.');
+		if (!EXPORTERS[cmdLine.format])
+			throw new common.X2UsageError(
+				`Invalid export format ${cmdLine.format}.`);
+	}
+
+	return cmdLine;
+}
+
+/**
+ * Load module specified on the command line. Paths starting with a dot and
+ * absolute paths are resolved against the current working directory, other
+ * names are loaded as packages.
+ *
+ * @private
+ * @param {string} name Module path or package name.
+ * @param {boolean} [isPath] <code>true</code> to always treat the name as a
+ * path.
+ * @returns {*} The module exports.
+ * @throws {module:x2node-common.X2UsageError} If the module cannot be loaded,
+ * including errors thrown by the module itself. The error has code
+ * "INVALID_DEFINITION_FILE".
+ */
+function loadModule(name, isPath) {
+
+	try {
+		return require(
+			isPath || name.startsWith('.') || path.isAbsolute(name) ?
+				path.resolve(name) : name);
+	} catch (err) {
+		throw definitionError.create(
+			'INVALID_DEFINITION_FILE', undefined, '',
+			`${name}: ${String(err.message).split('\n')[0]}`);
+	}
+}
+
+/**
+ * Tell if the definitions path is a module, as opposed to a definition file or
+ * a directory with the definition files.
+ *
+ * @private
+ * @param {string} definitions The definitions path.
+ * @returns {boolean} <code>true</code> if module.
+ * @throws {module:x2node-common.X2UsageError} If the path does not exist.
+ */
+function isModule(definitions) {
+
+	let stats;
+	try {
+		stats = fs.statSync(definitions);
+	} catch (err) {
+		throw new common.X2UsageError(
+			`Cannot read definitions ${definitions}: ${err.message}`);
+	}
+
+	if (stats.isDirectory())
+		return [ 'index.js', 'package.json' ].some(
+			name => fs.existsSync(path.join(definitions, name)));
+
+	return [ '.js', '.cjs' ].indexOf(
+		path.extname(definitions).toLowerCase()) >= 0;
+}
+
+/**
+ * Build record types library from the definitions specified on the command
+ * line.
+ *
+ * @private
+ * @param {CommandLine} cmdLine The command line.
+ * @returns {module:x2node-records~RecordTypesLibrary} The library.
+ * @throws {module:x2node-common.X2UsageError} If the definitions are invalid.
+ * If the definitions were built, but found invalid, the error object has
+ * <code>errors</code> property with all the definition errors.
+ */
+function buildLibrary(cmdLine) {
+
+	const factory = records.with(...cmdLine.extensions.map(loadModule));
+	const options = { collectErrors: true };
+
+	if (isModule(cmdLine.definitions))
+		return factory.buildLibrary(
+			loadModule(cmdLine.definitions, true), options);
+
+	if (cmdLine.factories)
+		options.factories = loadModule(cmdLine.factories);
+
+	return factory.loadLibrary(cmdLine.definitions, options);
+}
+
+/**
+ * Call the function for the properties in the container and its nested
+ * objects in the property tree order. For a polymorphic object, the type
+ * property comes first and the subtypes come last, each followed by its
+ * properties.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The container.
+ * @param {number} depth Nesting depth of the container.
+ * @param {function} callback Function that receives property descriptor and
+ * its nesting depth.
+ */
+function forEachProperty(container, depth, callback) {
+
+	if (container.isPolymorphObject())
+		callback(container.getPropertyDesc(container.typePropertyName), depth);
+
+	for (let propName of container.allPropertyNames) {
+		const propDesc = container.getPropertyDesc(propName);
+		if (propDesc.isSubtype())
+			continue;
+		callback(propDesc, depth);
+		if ((propDesc.scalarValueType === 'object') &&
+			!propDesc.isPolymorphRef() && !propDesc.isView())
+			forEachProperty(propDesc.nestedProperties, depth + 1, callback);
+	}
+
+	if (container.isPolymorphObject())
+		for (let subtype of container.subtypes) {
+			const subtypeDesc = container.getPropertyDesc(subtype);
+			callback(subtypeDesc, depth);
+			forEachProperty(subtypeDesc.nestedProperties, depth + 1, callback);
+		}
+}
+
+/**
+ * Describe property for the output.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {Array.<string>} [flags] Additional flags to include.
+ * @returns {string} Property name, value type and flags.
+ */
+function describeProperty(propDesc, flags) {
+
+	if (propDesc.isSubtype())
+		return propDesc.name + ': subtype';
+
+	const allFlags = new Array();
+	if (propDesc.isId())
+		allFlags.push('id');
+	if (propDesc.name === propDesc.container.typePropertyName)
+		allFlags.push('type property');
+	if (propDesc.optional)
+		allFlags.push('optional');
+	if (!propDesc.modifiable)
+		allFlags.push('read-only');
+	if (propDesc.isView())
+		allFlags.push('view of ' + propDesc.viewOfDesc.name);
+	if (flags)
+		allFlags.push(...flags);
+
+	return propDesc.name + ': ' + valueTypeLabel(propDesc) + (
+		allFlags.length > 0 ? ' [' + allFlags.join(', ') + ']' : '');
+}
+
+
+/**
+ * Check command.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes The library.
+ * @param {Array.<string>} lines Output lines.
+ */
+function check(recordTypes, lines) {
+
+	let totalProps = 0;
+	for (let recordTypeName of recordTypes.definedRecordTypeNames) {
+		let numProps = 0;
+		forEachProperty(
+			recordTypes.getRecordTypeDesc(recordTypeName), 0, propDesc => {
+				if (!propDesc.isSubtype())
+					numProps++;
+			});
+		lines.push(`${String(recordTypeName)}: ${numProps} properties`);
+		totalProps += numProps;
+	}
+
+	lines.push(
+		`OK: ${recordTypes.definedRecordTypeNames.length} record types,` +
+			` ${totalProps} properties.`);
+}
+
+/**
+ * Show command.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes The library.
+ * @param {Array.<string>} lines Output lines.
+ * @param {string} recordTypeName Record type name.
+ */
+function show(recordTypes, lines, recordTypeName) {
+
+	const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+
+	lines.push(String(recordTypeDesc.name));
+	forEachProperty(recordTypeDesc, 1, (propDesc, depth) => {
+		lines.push('  '.repeat(depth) + describeProperty(propDesc));
+	});
+}
+
+/**
+ * Path command.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes The library.
+ * @param {Array.<string>} lines Output lines.
+ * @param {string} recordTypeName Record type name.
+ * @param {string} propPath Property path.
+ */
+function resolvePath(recordTypes, lines, recordTypeName, propPath) {
+
+	const segments = recordTypes.resolvePropertyPath(recordTypeName, propPath);
+
+	lines.push(`${recordTypeName}.${propPath}`);
+	for (let segment of segments) {
+		const propDesc = segment.propDesc;
+		const flags = new Array();
+		if (segment.collection)
+			flags.push('collection');
+		if (segment.referenceHop)
+			flags.push('reference hop');
+		if (segment.subtype !== null)
+			flags.push(
+				(segment.implicitSubtype ? 'implicit ' : '') + 'subtype ' +
+					segment.subtype);
+		lines.push(
+			'  ' + String(propDesc.container.recordTypeName) + '.' +
+				propDesc.container.nestedPath +
+				describeProperty(propDesc, flags));
+	}
+
+	const lastPropDesc = segments[segments.length - 1].propDesc;
+	if (lastPropDesc.label)
+		lines.push('  label: ' + lastPropDesc.label);
+	if (lastPropDesc.description)
+		lines.push('  description: ' + lastPropDesc.description);
+}
+
+
+/**
+ * Run the command line tool.
+ *
+ * @private
+ * @param {Array.<string>} argv Command line arguments without the node
+ * executable and the script.
+ * @param {stream.Writable} out Standard output stream.
+ * @param {stream.Writable} err Standard error stream.
+ * @returns {number} Exit status: 0 for success, 1 if the definitions are
+ * invalid and 2 if the command line is invalid.
+ */
+exports.run = function(argv, out, err) {
+
+	let cmdLine;
+	try {
+		cmdLine = parseArgs(argv);
+	} catch (e) {
+		if (!(e instanceof common.X2UsageError))
+			throw e;
+		err.write(
+			`x2node-records: ${e.message}\n` +
+				'Run x2node-records --help for usage.\n');
+		return 2;
+	}
+
+	if (cmdLine.help) {
+		out.write(USAGE);
+		return 0;
+	}
+
+	let recordTypes;
+	try {
+		recordTypes = buildLibrary(cmdLine);
+	} catch (e) {
+		if (!(e instanceof common.X2UsageError))
+			throw e;
+		if (!e.errors) {
+			err.write(`x2node-records: ${e.message}\n`);
+			return (e.code ? 1 : 2);
+		}
+		for (let defErr of e.errors)
+			err.write(`error: ${defErr.message} [${defErr.code}]\n`);
+		err.write(
+			`${e.errors.length} definition error` +
+				`${e.errors.length > 1 ? 's' : ''} found.\n`);
+		return 1;
+	}
+
+	const lines = new Array();
+	try {
+		switch (cmdLine.command) {
+		case 'check':
+			check(recordTypes, lines);
+			break;
+		case 'show':
+			show(recordTypes, lines, ...cmdLine.args);
+			break;
+		case 'path':
+			resolvePath(recordTypes, lines, ...cmdLine.args);
+			break;
+		case 'export':
+			out.write(EXPORTERS[cmdLine.format](recordTypes, cmdLine));
+		}
+	} catch (e) {
+		if (!(e instanceof common.X2UsageError))
+			throw e;
+		err.write(`x2node-records: ${e.message}\n`);
+		return 2;
+	}
+
+	out.write(lines.map(line => line + '\n').join(''));
+
+	return 0;
+};
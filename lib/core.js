@@ -1,24 +1,200 @@
 'use strict';
 
-const common = require('x2node-common');
+const definitionError = require('./definition-error.js');
+const objects = require('./objects.js');
+const recordCreator = require('./record-creator.js');
+const recordValidator = require('./record-validator.js');
+const recordMigrator = require('./record-migrator.js');
 
 
 /**
  * Get invalid property definition error.
  *
  * @private
+ * @param {string} code Machine-readable error code.
  * @param {module:x2node-records~PropertyDescriptor} propDesc Property
  * descriptor.
  * @param {string} msg Error message.
  * @returns {module:x2node-common.X2UsageError} Error to throw.
  */
-function invalidPropDef(propDesc, msg) {
-	return new common.X2UsageError(
+function invalidPropDef(code, propDesc, msg) {
+	return definitionError.create(
+		code, propDesc.container.recordTypeName,
+		propDesc.container.nestedPath + propDesc.name,
 		`Property ${propDesc.container.nestedPath}${propDesc.name}` +
 			` of record type ${String(propDesc.container.recordTypeName)}` +
 			` has invalid definition: ${msg}`);
 }
 
+/**
+ * Get invalid container definition error.
+ *
+ * @private
+ * @param {string} code Machine-readable error code.
+ * @param {module:x2node-records~PropertiesContainer} container The container.
+ * @param {string} msg Error message.
+ * @returns {module:x2node-common.X2UsageError} Error to throw.
+ */
+function invalidContainerDef(code, container, msg) {
+	return definitionError.create(
+		code, container.recordTypeName,
+		container.nestedPath.substring(0, container.nestedPath.length - 1),
+		msg);
+}
+
+/**
+ * Tell if the value is a valid count (non-negative integer).
+ *
+ * @private
+ * @param {*} val The value.
+ * @returns {boolean} <code>true</code> if valid count.
+ */
+function isCount(val) {
+	return (Number.isInteger(val) && (val >= 0));
+}
+
+/**
+ * Tell if the value is a valid regular expression pattern.
+ *
+ * @private
+ * @param {*} val The value.
+ * @returns {boolean} <code>true</code> if valid pattern.
+ */
+function isPattern(val) {
+	if ((typeof val) !== 'string')
+		return false;
+	try {
+		new RegExp(val);
+	} catch (err) {
+		return false;
+	}
+	return true;
+}
+
+/**
+ * Tell if the reference target record types of the property, if it is a
+ * reference property, have been all found in the library.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @returns {boolean} <code>true</code> if not a reference property or all
+ * the targets are resolved.
+ */
+function refTargetsResolved(propDesc) {
+	if (propDesc.isRef())
+		return (propDesc.nestedProperties ? true : false);
+	if (propDesc.isPolymorphRef()) {
+		const container = propDesc.nestedProperties;
+		return container.subtypes.every(
+			subtype => container.getPropertyDesc(subtype).nestedProperties);
+	}
+	return true;
+}
+
+/**
+ * Property value constraint definition attributes.
+ *
+ * @private
+ * @constant {Array.<Object>}
+ */
+const CONSTRAINTS = [
+	{ attr: 'minLength', appliesTo: 'string', isValid: isCount },
+	{ attr: 'maxLength', appliesTo: 'string', isValid: isCount },
+	{ attr: 'pattern', appliesTo: 'string', isValid: isPattern },
+	{ attr: 'min', appliesTo: 'number', isValid: Number.isFinite },
+	{ attr: 'max', appliesTo: 'number', isValid: Number.isFinite },
+	{
+		attr: 'integer', appliesTo: 'number',
+		isValid: val => ((typeof val) === 'boolean')
+	},
+	{ attr: 'precision', appliesTo: 'number', isValid: isCount },
+	{ attr: 'minItems', appliesTo: 'collection', isValid: isCount },
+	{ attr: 'maxItems', appliesTo: 'collection', isValid: isCount }
+];
+
+/**
+ * Pairs of property value constraint definition attributes that represent
+ * lower and upper bounds.
+ *
+ * @private
+ * @constant {Array.<Array.<string>>}
+ */
+const CONSTRAINT_RANGES = [
+	[ 'minLength', 'maxLength' ],
+	[ 'min', 'max' ],
+	[ 'minItems', 'maxItems' ]
+];
+
+/**
+ * Documentation definition attributes and the corresponding error codes.
+ *
+ * @private
+ * @constant {Object.<string,string>}
+ */
+const DOCUMENTATION_ATTRS = {
+	'label': 'INVALID_LABEL',
+	'description': 'INVALID_DESCRIPTION'
+};
+
+/**
+ * Regular expression for valid named object type names.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const OBJECT_TYPE_NAME_RE = /^(?!(?:object|ref)$)[A-Za-z_][A-Za-z0-9_]*$/;
+
+
+/**
+ * Build nested properties container definition for a property that uses a
+ * named object type. The definition inherits from the object type definition
+ * and includes the property definition attributes.
+ *
+ * @private
+ * @param {module:x2node-records~LibraryConstructionContext} ctx Library
+ * construction context.
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @returns {Object} The container definition.
+ * @throws {module:x2node-common.X2UsageError} If the property definition is
+ * invalid, the object type definition is not an object or the object type is
+ * recursive.
+ */
+function objectTypeContainerDef(ctx, propDesc) {
+
+	const objectTypeName = propDesc.objectTypeName;
+	const propDef = propDesc.definition;
+
+	if (propDef.properties || propDef.subtypes)
+		throw invalidPropDef(
+			'OBJECT_TYPE_OVERRIDE', propDesc,
+			'property of a named object type may not have properties or' +
+				' subtypes.');
+
+	for (let c = propDesc.container; c; c = c.parentContainer) {
+		if (c.definition.objectType === objectTypeName)
+			throw invalidPropDef(
+				'RECURSIVE_OBJECT_TYPE', propDesc,
+				`object type ${objectTypeName} recursively contains itself.`);
+	}
+
+	const objectTypeDef = ctx.getObjectTypeDef(objectTypeName);
+	if (((typeof objectTypeDef) !== 'object') || (objectTypeDef === null))
+		throw invalidPropDef(
+			'INVALID_OBJECT_TYPE', propDesc,
+			`object type ${objectTypeName} definition is not an object.`);
+
+	const containerDef = Object.create(objectTypeDef);
+	for (let attr in propDef)
+		containerDef[attr] = propDef[attr];
+	containerDef.valueType = 'object' + (
+		propDesc.isArray() ? '[]' : (propDesc.isMap() ? '{}' : ''));
+	containerDef.objectType = objectTypeName;
+
+	return containerDef;
+}
+
 /**
  * Extension that implements the core functionaity.
  *
@@ -29,6 +205,40 @@ function invalidPropDef(propDesc, msg) {
  */
 class CoreExtention {
 
+	// extend record types library
+	extendRecordTypesLibrary(ctx, recordTypes) {
+
+		// validate named object types
+		ctx.onLibraryValidation(() => {
+			const objectTypeDefs = (ctx.objectTypeDefs || {});
+			for (let objectTypeName in objectTypeDefs) {
+				ctx.attempt(() => {
+					if (!OBJECT_TYPE_NAME_RE.test(objectTypeName) ||
+						ctx.getValueTypeDesc(objectTypeName))
+						throw definitionError.create(
+							'INVALID_OBJECT_TYPE', undefined, '',
+							`Invalid object type name ${objectTypeName}: must` +
+								` be an identifier that is not a value type` +
+								` name.`);
+					const objectTypeDef = objectTypeDefs[objectTypeName];
+					if (((typeof objectTypeDef) !== 'object') ||
+						(objectTypeDef === null))
+						throw definitionError.create(
+							'INVALID_OBJECT_TYPE', undefined, '',
+							`Object type ${objectTypeName} definition is not` +
+								` an object.`);
+				});
+			}
+		});
+
+		// validate library version and migrations
+		ctx.onLibraryValidation(recordTypes => {
+			recordMigrator.setupMigrations(ctx, recordTypes);
+		});
+
+		return recordTypes;
+	}
+
 	// extend properties containers
 	extendPropertiesContainer(ctx, container) {
 
@@ -36,51 +246,70 @@ class CoreExtention {
 		ctx.onContainerComplete(container => {
 
 			// find the id property
-			let idPropName;
-			for (let propName of container.allPropertyNames) {
-				if (container.getPropertyDesc(propName).isId()) {
-					if (idPropName)
-						throw new common.X2UsageError(
-							'Record type ' + String(container.recordTypeName) + (
-								container.nestedPath.length > 0 ?
-									' property ' + container.nestedPath : '') +
-								' has more than one id property.');
-					idPropName = propName;
-				}
-			}
-			if (idPropName)
-				container._idPropName = idPropName;
+			const idPropNames = container.allPropertyNames.filter(
+				propName => container.getPropertyDesc(propName).isId());
+			if (idPropNames.length > 0)
+				container._idPropName = idPropNames[0];
+			if (idPropNames.length > 1)
+				throw invalidContainerDef(
+					'MULTIPLE_IDS', container,
+					'Record type ' + String(container.recordTypeName) + (
+						container.nestedPath.length > 0 ?
+							' property ' + container.nestedPath : '') +
+						' has more than one id property.');
 		});
 
-		// add container validation
+		// validate record type name
 		ctx.onLibraryValidation(() => {
-
-			// validate record type name
 			if (container.isRecordType() &&
 				((typeof container.recordTypeName) === 'string') &&
 				(container.recordTypeName.indexOf('#') >= 0))
-				throw new common.X2UsageError(
+				throw invalidContainerDef(
+					'INVALID_RECORD_TYPE_NAME', container,
 					`Invalid record type name ${container.recordTypeName}:` +
 						` may not contain hashes.`);
+		});
+
+		// validate record type documentation attributes
+		ctx.onLibraryValidation(() => {
+			if (!container.isRecordType())
+				return;
+			for (let attr in DOCUMENTATION_ATTRS) {
+				const val = container.definition[attr];
+				if ((val !== undefined) && ((typeof val) !== 'string'))
+					throw invalidContainerDef(
+						DOCUMENTATION_ATTRS[attr], container,
+						`Record type ${String(container.recordTypeName)}` +
+							` has invalid ${attr}: must be a string.`);
+			}
+		});
 
-			// validate factory function
+		// validate factory function
+		ctx.onLibraryValidation(() => {
 			if ((typeof container.newRecord) !== 'function')
-				throw new common.X2UsageError(
+				throw invalidContainerDef(
+					'INVALID_FACTORY', container,
 					'Record type ' + String(container.recordTypeName) + (
 						container.isRecordType() ? '' :
 							' nested object property ' + container.nestedPath) +
 						' has factory specified, but it is not a function.');
+		});
 
-			// validate id property presence for record type
+		// validate id property presence for record type
+		ctx.onLibraryValidation(() => {
 			if (container.isRecordType() && !container.idPropertyName)
-				throw new common.X2UsageError(
+				throw invalidContainerDef(
+					'MISSING_ID', container,
 					`Record type ${String(container.recordTypeName)}` +
 						` does not have an id property.`);
+		});
 
-			// validate presence of subtypes for polymoprhic container
+		// validate presence of subtypes for polymoprhic container
+		ctx.onLibraryValidation(() => {
 			if (container.isPolymorph()) {
 				if (container.subtypes.length === 0)
-					throw new common.X2UsageError(
+					throw invalidContainerDef(
+						'MISSING_SUBTYPES', container,
 						'Polymoprhic ' + (
 								container.isRecordType() ?
 									'record type ' :
@@ -89,11 +318,14 @@ class CoreExtention {
 							) + String(container.recordTypeName) +
 							' does not have any subtypes.');
 			}
+		});
 
-			// validate type property for polymoprhic object container
+		// validate type property for polymoprhic object container
+		ctx.onLibraryValidation(() => {
 			if (container.isPolymorphObject()) {
 				if ((typeof container.typePropertyName) !== 'string')
-					throw new common.X2UsageError(
+					throw invalidContainerDef(
+						'MISSING_TYPE_PROPERTY', container,
 						'Polymoprhic ' + (
 								container.isRecordType() ?
 									'record type ' :
@@ -139,7 +371,8 @@ class CoreExtention {
 				ctx.onLibraryComplete(recordTypes => {
 					if (!recordTypes.hasRecordType(propDesc.refTarget))
 						throw invalidPropDef(
-							propDesc, 'unknown reference target record type.');
+							'UNKNOWN_REF_TARGET', propDesc,
+							'unknown reference target record type.');
 					propDesc._nestedProperties = recordTypes.getRecordTypeDesc(
 						propDesc.refTarget);
 				});
@@ -153,9 +386,14 @@ class CoreExtention {
 			if (propDesc._viewOfDesc) {
 				propDesc._nestedProperties =
 					propDesc._viewOfDesc._nestedProperties;
+			} else if (propDesc._objectTypeName) {
+				propDesc._nestedProperties = ctx.createPropertiesContainer(
+					propDesc, objectTypeContainerDef(ctx, propDesc));
 			} else {
-				if (!propDef.properties && !propDef.subtypes)
-					throw invalidPropDef(propDesc, 'missing properties.');
+				if (!propDef.properties && !propDef.subtypes &&
+					!propDef.extends && !propDef.mixins)
+					throw invalidPropDef(
+						'MISSING_PROPERTIES', propDesc, 'missing properties.');
 				propDesc._nestedProperties = ctx.createPropertiesContainer(
 					propDesc, propDef);
 			}
@@ -182,18 +420,141 @@ class CoreExtention {
 
 			// validate id property
 			if (propDesc.isId()) {
-				if (!propDesc.isScalar() || (
-					(propDesc.scalarValueType !== 'number') &&
-						(propDesc.scalarValueType !== 'string')) ||
+				if (!propDesc.isScalar() || !propDesc.scalarValueTypeDesc || (
+					(propDesc.scalarValueTypeDesc.jsonType !== 'number') &&
+						(propDesc.scalarValueTypeDesc.jsonType !== 'string')) ||
 					propDesc.optional || propDesc.modifiable)
 					throw invalidPropDef(
-						propDesc, 'id property must be a scalar, required,' +
+						'INVALID_ID', propDesc,
+						'id property must be a scalar, required,' +
 							' non-modifiable number or string.');
 			}
 
 			// ensure view is not modifiable
 			if (propDesc.isView() && propDesc.modifiable)
-				throw invalidPropDef(propDesc, 'view may not be modifiable.');
+				throw invalidPropDef(
+					'MODIFIABLE_VIEW', propDesc, 'view may not be modifiable.');
+		});
+
+		// validate documentation attributes
+		ctx.onLibraryValidation(() => {
+			for (let attr in DOCUMENTATION_ATTRS) {
+				const val = propDesc[attr];
+				if ((val !== undefined) && ((typeof val) !== 'string'))
+					throw invalidPropDef(
+						DOCUMENTATION_ATTRS[attr], propDesc,
+						`${attr} must be a string.`);
+			}
+		});
+
+		// validate allowed values
+		ctx.onLibraryValidation(() => {
+			const allowedValues = propDesc.allowedValues;
+			if (allowedValues === undefined)
+				return;
+			if (!propDesc.scalarValueTypeDesc)
+				throw invalidPropDef(
+					'INVALID_ALLOWED_VALUES', propDesc,
+					'allowed values may only be specified for simple value' +
+						' types.');
+			if (!Array.isArray(allowedValues) || (allowedValues.length === 0))
+				throw invalidPropDef(
+					'INVALID_ALLOWED_VALUES', propDesc,
+					'allowed values must be a non-empty array.');
+			allowedValues.forEach((val, ind) => {
+				if (!propDesc.scalarValueTypeDesc.isValid(val))
+					throw invalidPropDef(
+						'INVALID_ALLOWED_VALUES', propDesc,
+						`allowed value ${String(val)} is not a valid` +
+							` ${propDesc.scalarValueType} value.`);
+				if (allowedValues.indexOf(val) !== ind)
+					throw invalidPropDef(
+						'INVALID_ALLOWED_VALUES', propDesc,
+						`allowed value ${String(val)} is listed more than` +
+							` once.`);
+			});
+		});
+
+		// validate value constraints
+		ctx.onLibraryValidation(() => {
+			const propDef = propDesc.definition;
+			const jsonType = (
+				propDesc.scalarValueTypeDesc &&
+					propDesc.scalarValueTypeDesc.jsonType);
+			for (let constraint of CONSTRAINTS) {
+				const val = propDef[constraint.attr];
+				if (val === undefined)
+					continue;
+				if (constraint.appliesTo === 'collection' ?
+					propDesc.isScalar() : (jsonType !== constraint.appliesTo))
+					throw invalidPropDef(
+						'INVALID_CONSTRAINT', propDesc,
+						`${constraint.attr} may only be specified for ` + (
+							constraint.appliesTo === 'collection' ?
+								'array and map properties.' :
+								`${constraint.appliesTo} value properties.`
+						));
+				if (!constraint.isValid(val))
+					throw invalidPropDef(
+						'INVALID_CONSTRAINT', propDesc,
+						`invalid ${constraint.attr} value ${String(val)}.`);
+			}
+			for (let [ minAttr, maxAttr ] of CONSTRAINT_RANGES) {
+				if ((propDef[minAttr] !== undefined) &&
+					(propDef[maxAttr] !== undefined) &&
+					(propDef[minAttr] > propDef[maxAttr]))
+					throw invalidPropDef(
+						'INVALID_CONSTRAINT', propDesc,
+						`${minAttr} may not be greater than ${maxAttr}.`);
+			}
+			if (propDef.pattern !== undefined)
+				propDesc._patternRE = new RegExp(propDef.pattern);
+		});
+
+		// validate default value literal
+		ctx.onLibraryValidation(() => {
+			const defaultVal = propDesc.definition.default;
+			if ((defaultVal === undefined) ||
+				((typeof defaultVal) === 'function'))
+				return;
+			if (defaultVal === null)
+				throw invalidPropDef(
+					'INVALID_DEFAULT', propDesc,
+					'default value may not be null.');
+			if (!refTargetsResolved(propDesc))
+				return; // unknown reference target is reported separately
+			let errors;
+			if ((propDesc.scalarValueType === 'object') &&
+				!propDesc.isPolymorphRef()) {
+				// nested objects are completed with their own property
+				// defaults when records are created, so only check the shape
+				let valid;
+				if (propDesc.isArray())
+					valid = (
+						Array.isArray(defaultVal) &&
+							defaultVal.every(objects.isObject));
+				else if (propDesc.isMap())
+					valid = (
+						objects.isObject(defaultVal) &&
+							Object.keys(defaultVal).every(
+								key => objects.isObject(defaultVal[key])));
+				else
+					valid = objects.isObject(defaultVal);
+				if (!valid)
+					errors = { '': [ 'Expected nested objects.' ] };
+			} else {
+				// simple values are coerced when records are created
+				errors = recordValidator.validatePropertyValue(
+					propDesc,
+					recordCreator.coerceDefaultValue(propDesc, defaultVal));
+			}
+			if (errors) {
+				const pointer = Object.keys(errors)[0];
+				throw invalidPropDef(
+					'INVALID_DEFAULT', propDesc,
+					'invalid default value' + (pointer ? ' at ' + pointer : '') +
+						': ' + errors[pointer][0]);
+			}
 		});
 
 		// add properties and methods to the descriptor:
@@ -244,8 +605,8 @@ class CoreExtention {
 			get() {
 				return (
 					this._nestedProperties &&
-						this._nestedProperties.isPolymorphRef() &&
-						this._nestedProperties.subtypes());
+						this._nestedProperties.isPolymorphRef() ?
+						this._nestedProperties.subtypes : undefined);
 			}
 		});
 
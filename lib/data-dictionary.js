@@ -0,0 +1,322 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const valueTypeLabel = require('./value-type-label.js').valueTypeLabel;
+
+
+/**
+ * Property table columns.
+ *
+ * @private
+ * @constant {Array.<string>}
+ */
+const COLUMNS = [
+	'Property', 'Label', 'Value Type', 'Optional', 'Modifiable', 'Id',
+	'View Of', 'Reference Target', 'Description'
+];
+
+
+/**
+ * Get names of the record types referred by the property.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @returns {Array.<string>} Referred record type names, empty if not a
+ * reference property.
+ */
+function refTargets(propDesc) {
+
+	if (propDesc.isRef())
+		return [ propDesc.refTarget ];
+
+	return (propDesc.isPolymorphRef() ? propDesc.refTargets : []);
+}
+
+/**
+ * Get anchor for a section heading the way GitHub generates it for Markdown
+ * headings.
+ *
+ * @private
+ * @param {string} heading The heading text.
+ * @returns {string} The anchor.
+ */
+function toAnchor(heading) {
+
+	return heading.toLowerCase().replace(/[^a-z0-9 _-]/g, '')
+		.replace(/ /g, '-');
+}
+
+/**
+ * Escape text for use in a Markdown table cell.
+ *
+ * @private
+ * @param {string} text The text.
+ * @returns {string} Escaped text.
+ */
+function escapeMarkdown(text) {
+
+	return String(text).replace(/([\\|*_`[\]<>])/g, '\\$1')
+		.replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Escape text for use in HTML.
+ *
+ * @private
+ * @param {string} text The text.
+ * @returns {string} Escaped text.
+ */
+function escapeHTML(text) {
+
+	return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+
+/**
+ * Data dictionary section: a record type or a polymorphic subtype.
+ *
+ * @private
+ * @typedef {Object} DictionarySection
+ * @property {string} heading Section heading.
+ * @property {string} [label] Record type or subtype label.
+ * @property {string} [description] Record type or subtype description.
+ * @property {Array.<module:x2node-records~PropertyDescriptor>} properties
+ * Properties in the section's property table.
+ * @property {Array.<DictionarySection>} [subtypes] For a record type section,
+ * sections of the subtypes in the record type.
+ */
+
+
+/**
+ * Build section for the record type.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @returns {DictionarySection} The section.
+ */
+function recordTypeSection(recordTypeDesc) {
+
+	const section = {
+		heading: String(recordTypeDesc.name),
+		label: recordTypeDesc.label,
+		description: recordTypeDesc.description,
+		properties: new Array(),
+		subtypes: new Array()
+	};
+
+	addProperties(recordTypeDesc, section.properties, section.subtypes);
+
+	return section;
+}
+
+/**
+ * Add properties of the container and its nested objects to the list. Subtype
+ * properties are not added, instead sections for the subtypes are added to
+ * the subtypes list.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The container.
+ * @param {Array.<module:x2node-records~PropertyDescriptor>} properties The
+ * properties list.
+ * @param {Array.<DictionarySection>} subtypes The subtype sections list.
+ */
+function addProperties(container, properties, subtypes) {
+
+	if (container.isPolymorphObject())
+		properties.push(container.getPropertyDesc(container.typePropertyName));
+
+	for (let propName of container.allPropertyNames) {
+		const propDesc = container.getPropertyDesc(propName);
+		if (propDesc.isSubtype())
+			continue;
+		properties.push(propDesc);
+		if ((propDesc.scalarValueType === 'object') &&
+			!propDesc.isPolymorphRef() && !propDesc.isView())
+			addProperties(propDesc.nestedProperties, properties, subtypes);
+	}
+
+	if (container.isPolymorphObject())
+		for (let subtype of container.subtypes) {
+			const subtypeDesc = container.getPropertyDesc(subtype);
+			const section = {
+				heading: String(container.recordTypeName) + '.' +
+					container.nestedPath + subtype,
+				label: subtypeDesc.label,
+				description: subtypeDesc.description,
+				properties: new Array()
+			};
+			subtypes.push(section);
+			addProperties(
+				subtypeDesc.nestedProperties, section.properties, subtypes);
+		}
+}
+
+/**
+ * Get property table row cells.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {function} text Function that converts cell text to the output
+ * format.
+ * @param {function} link Function that converts record type name to a link to
+ * its section in the output format.
+ * @returns {Array.<string>} The cells.
+ */
+function propertyRow(propDesc, text, link) {
+
+	const flag = val => (val ? 'yes' : 'no');
+
+	return [
+		text(propDesc.container.nestedPath + propDesc.name),
+		text(propDesc.label || ''),
+		text(valueTypeLabel(propDesc)),
+		flag(propDesc.optional),
+		flag(propDesc.modifiable),
+		flag(propDesc.isId()),
+		text(propDesc.isView() ? propDesc.viewOfDesc.name : ''),
+		refTargets(propDesc).map(link).join(', '),
+		text(propDesc.description || '')
+	];
+}
+
+
+/**
+ * Generate Markdown data dictionary.
+ *
+ * @private
+ * @param {Array.<DictionarySection>} sections Record type sections.
+ * @param {string} title Document title.
+ * @returns {string} Markdown source.
+ */
+function markdown(sections, title) {
+
+	const lines = [ '# ' + escapeMarkdown(title), '' ];
+	const link = name => `[${escapeMarkdown(name)}](#${toAnchor(name)})`;
+
+	for (let section of sections)
+		lines.push('* ' + link(section.heading));
+	lines.push('');
+
+	const addSection = (section, level) => {
+		lines.push(level + ' ' + escapeMarkdown(section.heading), '');
+		if (section.label)
+			lines.push('*' + escapeMarkdown(section.label) + '*', '');
+		if (section.description)
+			lines.push(escapeMarkdown(section.description), '');
+		if (section.properties.length > 0)
+			lines.push(
+				'| ' + COLUMNS.join(' | ') + ' |',
+				'|' + COLUMNS.map(() => ' --- |').join(''),
+				...section.properties.map(propDesc => '| ' + propertyRow(
+					propDesc, escapeMarkdown, link).join(' | ') + ' |'),
+				'');
+	};
+	for (let section of sections) {
+		addSection(section, '##');
+		for (let subtype of section.subtypes)
+			addSection(subtype, '###');
+	}
+
+	return lines.map(line => line + '\n').join('');
+}
+
+/**
+ * Generate HTML data dictionary.
+ *
+ * @private
+ * @param {Array.<DictionarySection>} sections Record type sections.
+ * @param {string} title Document title.
+ * @returns {string} HTML document.
+ */
+function html(sections, title) {
+
+	const lines = [
+		'<!DOCTYPE html>',
+		'<html>',
+		'<head>',
+		'<meta charset="utf-8">',
+		'<title>' + escapeHTML(title) + '</title>',
+		'<style>',
+		'body { font-family: sans-serif; }',
+		'table { border-collapse: collapse; }',
+		'th, td { border: 1px solid #ccc; padding: 4px 8px; }',
+		'th { text-align: left; }',
+		'</style>',
+		'</head>',
+		'<body>',
+		'<h1>' + escapeHTML(title) + '</h1>',
+		'<ul>'
+	];
+	const link = name => (
+		`<a href="#${escapeHTML(name)}">${escapeHTML(name)}</a>`);
+
+	for (let section of sections)
+		lines.push('<li>' + link(section.heading) + '</li>');
+	lines.push('</ul>');
+
+	const addSection = (section, tag) => {
+		lines.push(
+			`<${tag} id="${escapeHTML(section.heading)}">` +
+				escapeHTML(section.heading) + `</${tag}>`);
+		if (section.label)
+			lines.push('<p><em>' + escapeHTML(section.label) + '</em></p>');
+		if (section.description)
+			lines.push('<p>' + escapeHTML(section.description) + '</p>');
+		if (section.properties.length > 0)
+			lines.push(
+				'<table>',
+				'<tr>' + COLUMNS.map(col => `<th>${col}</th>`).join('') +
+					'</tr>',
+				...section.properties.map(propDesc => '<tr>' + propertyRow(
+					propDesc, escapeHTML, link
+				).map(cell => `<td>${cell}</td>`).join('') + '</tr>'),
+				'</table>');
+	};
+	for (let section of sections) {
+		lines.push('<section>');
+		addSection(section, 'h2');
+		for (let subtype of section.subtypes)
+			addSection(subtype, 'h3');
+		lines.push('</section>');
+	}
+
+	lines.push('</body>', '</html>');
+
+	return lines.map(line => line + '\n').join('');
+}
+
+
+/**
+ * Generate data dictionary for the record types in the library.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {Object} [options] Generation options.
+ * @returns {string} The data dictionary document.
+ * @throws {module:x2node-common.X2UsageError} If the format is invalid.
+ */
+exports.generateDataDictionary = function(recordTypes, options) {
+
+	const format = (options && options.format) || 'markdown';
+	const title = (options && options.title) || 'Data Dictionary';
+
+	const sections = recordTypes.definedRecordTypeNames.map(
+		recordTypeName => recordTypeSection(
+			recordTypes.getRecordTypeDesc(recordTypeName)));
+
+	switch (format) {
+	case 'markdown':
+		return markdown(sections, title);
+	case 'html':
+		return html(sections, title);
+	default:
+		throw new common.X2UsageError(
+			`Invalid data dictionary format ${String(format)}.`);
+	}
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * Create record types library definition error.
+ *
+ * @private
+ * @param {string} code Machine-readable error code, such as
+ * "INVALID_VALUE_TYPE".
+ * @param {(string|Symbol)} recordTypeName Name of the record type, which
+ * definition is invalid.
+ * @param {string} propertyPath Dot-separated path to the property within the
+ * record type, which definition is invalid, or empty string if the error is
+ * about the record type itself.
+ * @param {string} message Error message.
+ * @returns {module:x2node-common.X2UsageError} Error to throw. The error object
+ * includes <code>code</code>, <code>recordTypeName</code> and
+ * <code>propertyPath</code> properties.
+ */
+exports.create = function(code, recordTypeName, propertyPath, message) {
+
+	const err = new common.X2UsageError(message);
+	err.code = code;
+	err.recordTypeName = recordTypeName;
+	err.propertyPath = propertyPath;
+
+	return err;
+};
@@ -0,0 +1,519 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const definitionError = require('./definition-error.js');
+const objects = require('./objects.js');
+
+
+/**
+ * Definition file extensions and the corresponding file formats.
+ *
+ * @private
+ * @constant {Object.<string,string>}
+ */
+const FORMATS = {
+	'.json': 'json',
+	'.yaml': 'yaml',
+	'.yml': 'yaml'
+};
+
+/**
+ * Record type definition attributes, by which a file with a single record type
+ * definition is recognized.
+ *
+ * @private
+ * @constant {Array.<string>}
+ */
+const RECORD_TYPE_ATTRS = [ 'properties', 'subtypes', 'extends', 'mixins' ];
+
+/**
+ * Regular expression for property value types that may refer to a named
+ * object type. The group is the object type name.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const OBJECT_TYPE_VALUE_TYPE_RE = /^([A-Za-z_][A-Za-z0-9_]*)(?:\[\]|\{\})?$/;
+
+/**
+ * Regular expression for lines that start a mapping key in a JSON or YAML
+ * definition file. The groups are: 1 - indentation, 2 - double-quoted key, 3 -
+ * single-quoted key, 4 - plain key.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const KEY_LINE_RE = new RegExp(
+	'^([ \\t]*)(?:"((?:[^"\\\\]|\\\\.)*)"|\'((?:[^\']|\'\')*)\'|' +
+		'([^\\s"\'#{}[\\],:-][^:#]*?))\\s*:(?:\\s|$)');
+
+
+/**
+ * Create definition file error.
+ *
+ * @private
+ * @param {string} code Machine-readable error code.
+ * @param {string} file The file path.
+ * @param {number} line Line number in the file.
+ * @param {string} msg Error message.
+ * @returns {module:x2node-common.X2UsageError} Error to throw.
+ */
+function fileError(code, file, line, msg) {
+
+	const err = definitionError.create(
+		code, undefined, '', `${file}:${line}: ${msg}`);
+	err.file = file;
+	err.line = line;
+
+	return err;
+}
+
+/**
+ * Find lines, on which mapping keys are defined in a JSON or YAML file. The
+ * keys are matched by their indentation, so the lines are found for the
+ * pretty-printed JSON and the block style YAML. Keys that are not the first
+ * on their line are not found.
+ *
+ * @private
+ * @param {string} text The file content.
+ * @returns {Map.<string,number>} Line numbers by JSON representations of the
+ * key paths.
+ */
+function findKeyLines(text) {
+
+	const keyLines = new Map();
+	const stack = new Array();
+	text.split(/\r?\n/).forEach((line, ind) => {
+		const m = KEY_LINE_RE.exec(line);
+		if (!m)
+			return;
+		let key;
+		if (m[2] !== undefined) {
+			try {
+				key = JSON.parse('"' + m[2] + '"');
+			} catch (err) {
+				return;
+			}
+		} else {
+			key = (m[3] !== undefined ? m[3].replace(/''/g, '\'') : m[4]);
+		}
+		const indent = m[1].length;
+		while ((stack.length > 0) && (stack[stack.length - 1].indent >= indent))
+			stack.pop();
+		stack.push({ indent: indent, key: key });
+		const keyPath = JSON.stringify(stack.map(entry => entry.key));
+		if (!keyLines.has(keyPath))
+			keyLines.set(keyPath, ind + 1);
+	});
+
+	return keyLines;
+}
+
+/**
+ * Parse definition file content.
+ *
+ * @private
+ * @param {string} file The file path.
+ * @param {string} format The file format, "json" or "yaml".
+ * @param {string} text The file content.
+ * @returns {*} The parsed content.
+ * @throws {module:x2node-common.X2UsageError} If the file has invalid syntax.
+ */
+function parseFile(file, format, text) {
+
+	if (format === 'yaml') {
+		const yaml = require('js-yaml');
+		try {
+			return yaml.safeLoad(text, { filename: file });
+		} catch (err) {
+			throw fileError(
+				'INVALID_DEFINITION_FILE', file,
+				(err.mark ? err.mark.line + 1 : 1),
+				`invalid YAML: ${err.reason || err.message}`);
+		}
+	}
+
+	try {
+		return JSON.parse(text);
+	} catch (err) {
+		const m = /position (\d+)/.exec(err.message);
+		throw fileError(
+			'INVALID_DEFINITION_FILE', file,
+			(m ? text.substring(0, Number(m[1])).split('\n').length : 1),
+			`invalid JSON: ${err.message}`);
+	}
+}
+
+/**
+ * List definition files.
+ *
+ * @private
+ * @param {(string|Array.<string>)} paths Definition file and directory paths.
+ * @returns {Array.<string>} Paths of the definition files. Directories are
+ * searched recursively and their files are listed in the alphabetical order.
+ * @throws {module:x2node-common.X2UsageError} If a path does not exist.
+ */
+function listFiles(paths) {
+
+	const files = new Array();
+	const addPath = (p, explicit) => {
+		let stats;
+		try {
+			stats = fs.statSync(p);
+		} catch (err) {
+			throw fileError(
+				'INVALID_DEFINITION_FILE', p, 1, 'cannot read: ' + err.message);
+		}
+		if (stats.isDirectory()) {
+			for (let name of fs.readdirSync(p).sort())
+				addPath(path.join(p, name), false);
+		} else if (explicit || FORMATS[path.extname(p).toLowerCase()]) {
+			files.push(p);
+		}
+	};
+	for (let p of (Array.isArray(paths) ? paths : [ paths ]))
+		addPath(p, true);
+
+	return files;
+}
+
+
+/**
+ * Library definition loaded from files.
+ *
+ * @private
+ */
+class LoadedDefinition {
+
+	/**
+	 * Load the definition.
+	 *
+	 * @param {(string|Array.<string>)} paths Definition file and directory
+	 * paths.
+	 * @param {Object} [options] Load options.
+	 * @throws {module:x2node-common.X2UsageError} If a file cannot be read or
+	 * parsed, the files define the same thing more than once or refer to
+	 * unknown factories.
+	 */
+	constructor(paths, options) {
+
+		this._factories = (options && options.factories) || {};
+
+		this._definition = { recordTypes: {} };
+		this._sources = new Map();
+		this._versionFile = null;
+
+		for (let file of listFiles(paths))
+			this.addFile(file);
+
+		this.resolveFactories();
+	}
+
+	/**
+	 * Add definitions from a file.
+	 *
+	 * @param {string} file The file path.
+	 */
+	addFile(file) {
+
+		const format = (FORMATS[path.extname(file).toLowerCase()] || 'json');
+		const text = fs.readFileSync(file, 'utf8');
+		const content = parseFile(file, format, text);
+		if (!objects.isObject(content))
+			throw fileError(
+				'INVALID_DEFINITION_FILE', file, 1,
+				'file content is not an object.');
+		const keyLines = findKeyLines(text);
+
+		// single record type file
+		if (RECORD_TYPE_ATTRS.some(attr => (content[attr] !== undefined))) {
+			this.addEntry(
+				file, keyLines, 'recordTypes',
+				path.basename(file, path.extname(file)), content, []);
+			return;
+		}
+
+		// grouped definitions file
+		for (let section of Object.keys(content)) {
+			if (section === 'version') {
+				this.setVersion(file, keyLines, content.version);
+				continue;
+			}
+			const entries = content[section];
+			if (!objects.isObject(entries))
+				throw fileError(
+					'INVALID_DEFINITION_FILE', file,
+					(keyLines.get(JSON.stringify([ section ])) || 1),
+					`${section} is not an object.`);
+			for (let name of Object.keys(entries))
+				this.addEntry(
+					file, keyLines, section, name, entries[name],
+					[ section, name ]);
+		}
+	}
+
+	/**
+	 * Set library version.
+	 *
+	 * @param {string} file The file path.
+	 * @param {Map.<string,number>} keyLines Key lines in the file.
+	 * @param {*} version The version.
+	 * @throws {module:x2node-common.X2UsageError} If the version is already
+	 * set by another file.
+	 */
+	setVersion(file, keyLines, version) {
+
+		if (this._versionFile)
+			throw fileError(
+				'DUPLICATE_DEFINITION', file,
+				(keyLines.get(JSON.stringify([ 'version' ])) || 1),
+				`version is already defined in ${this._versionFile}.`);
+
+		this._definition.version = version;
+		this._versionFile = file;
+	}
+
+	/**
+	 * Add named definition to a library definition section.
+	 *
+	 * @param {string} file The file path.
+	 * @param {Map.<string,number>} keyLines Key lines in the file.
+	 * @param {string} section Library definition section, such as
+	 * "recordTypes".
+	 * @param {string} name The definition name.
+	 * @param {*} def The definition.
+	 * @param {Array.<string>} keyPath Path of the definition in the file.
+	 * @throws {module:x2node-common.X2UsageError} If the section already
+	 * contains a definition with the same name.
+	 */
+	addEntry(file, keyLines, section, name, def, keyPath) {
+
+		const sectionDefs = (this._definition[section] || {});
+		this._definition[section] = sectionDefs;
+		const sectionSources = (this._sources.get(section) || new Map());
+		this._sources.set(section, sectionSources);
+
+		const source = {
+			file: file,
+			keyLines: keyLines,
+			keyPath: keyPath,
+			definition: def
+		};
+		if (sectionSources.has(name))
+			throw fileError(
+				'DUPLICATE_DEFINITION', file, this.findLine(source, ''),
+				`${section} entry ${name} is already defined in` +
+					` ${sectionSources.get(name).file}.`);
+
+		sectionDefs[name] = def;
+		sectionSources.set(name, source);
+	}
+
+	/**
+	 * Replace factory names in the container definitions with the registered
+	 * factory functions.
+	 *
+	 * @throws {module:x2node-common.X2UsageError} If a factory is unknown.
+	 */
+	resolveFactories() {
+
+		const resolve = (source, def, propertyPath) => {
+			if (!objects.isObject(def))
+				return;
+			if ((typeof def.factory) === 'string') {
+				if (!Object.prototype.hasOwnProperty.call(
+					this._factories, def.factory))
+					throw fileError(
+						'UNKNOWN_FACTORY', source.file,
+						this.findLine(source, propertyPath, 'factory'),
+						`unknown factory ${def.factory}.`);
+				def.factory = this._factories[def.factory];
+			}
+			for (let attr of [ 'properties', 'subtypes' ]) {
+				if (!objects.isObject(def[attr]))
+					continue;
+				for (let name of Object.keys(def[attr]))
+					resolve(
+						source, def[attr][name],
+						(propertyPath ? propertyPath + '.' : '') + name);
+			}
+		};
+
+		for (let sectionSources of this._sources.values())
+			for (let source of sectionSources.values())
+				resolve(source, source.definition, '');
+	}
+
+	/**
+	 * Find line of a property definition in the file.
+	 *
+	 * @param {Object} source Definition source.
+	 * @param {string} propertyPath Dot-separated property path, or empty string
+	 * for the definition itself.
+	 * @param {string} [attr] Definition attribute, which line to find.
+	 * @returns {number} The line number. If the line cannot be determined, the
+	 * line of the closest enclosing definition is returned.
+	 */
+	findLine(source, propertyPath, attr) {
+
+		const keyPath = source.keyPath.slice();
+		let def = source.definition;
+		for (let name of (propertyPath ? propertyPath.split('.') : [])) {
+			const containerAttr = [ 'properties', 'subtypes' ].find(
+				a => (objects.isObject(def) && objects.isObject(def[a]) &&
+					Object.prototype.hasOwnProperty.call(def[a], name)));
+			if (!containerAttr) {
+				def = undefined;
+				break;
+			}
+			keyPath.push(containerAttr, name);
+			def = def[containerAttr][name];
+		}
+		if (attr && (def !== undefined))
+			keyPath.push(attr);
+
+		for (let len = keyPath.length; len > 0; len--) {
+			const line = source.keyLines.get(
+				JSON.stringify(keyPath.slice(0, len)));
+			if (line !== undefined)
+				return line;
+		}
+
+		return 1;
+	}
+
+	/**
+	 * The merged library definition.
+	 *
+	 * @member {Object}
+	 * @readonly
+	 */
+	get definition() { return this._definition; }
+
+	/**
+	 * Find location of a record type or property definition. Properties that
+	 * come from templates and named object types are located in the template
+	 * and object type definitions.
+	 *
+	 * @param {(string|Symbol)} recordTypeName Record type name.
+	 * @param {string} [propertyPath] Dot-separated property path.
+	 * @returns {?{file: string, line: number}} The location, or
+	 * <code>null</code> if the record type was not loaded from a file.
+	 */
+	locate(recordTypeName, propertyPath) {
+
+		let source = this.getSource('recordTypes', recordTypeName);
+		if (!source)
+			return null;
+
+		// follow the path through the used templates and object types
+		let def = source.definition, keyPath = source.keyPath;
+		for (let name of (propertyPath ? propertyPath.split('.') : [])) {
+			const found = this.findPropertySource(
+				{ source: source, keyPath: keyPath, definition: def }, name,
+				new Set());
+			if (!found)
+				break;
+			source = found.source;
+			keyPath = found.keyPath;
+			def = found.definition;
+		}
+
+		return {
+			file: source.file,
+			line: this.findLine({
+				keyLines: source.keyLines,
+				keyPath: keyPath,
+				definition: def
+			}, '')
+		};
+	}
+
+	/**
+	 * Get source of a named definition.
+	 *
+	 * @param {string} section Library definition section, such as
+	 * "recordTypes".
+	 * @param {*} name The definition name.
+	 * @returns {?Object} The definition source, or <code>null</code> if the
+	 * definition was not loaded from a file.
+	 */
+	getSource(section, name) {
+
+		const sectionSources = this._sources.get(section);
+
+		return ((sectionSources && sectionSources.get(name)) || null);
+	}
+
+	/**
+	 * Find definition of a property in a container definition, including the
+	 * properties that come from the templates used by the container and from
+	 * the named object type of a nested object property.
+	 *
+	 * @param {Object} loc Container definition location with the definition
+	 * <code>source</code>, <code>keyPath</code> of the container definition in
+	 * the source file and the container <code>definition</code> itself.
+	 * @param {string} name Property or subtype name.
+	 * @param {Set.<Object>} visited Sources of the already searched templates.
+	 * @returns {?Object} Location of the property definition, or
+	 * <code>null</code> if not found.
+	 */
+	findPropertySource(loc, name, visited) {
+
+		const def = loc.definition;
+		if (!objects.isObject(def))
+			return null;
+
+		// own properties and subtypes
+		for (let attr of [ 'properties', 'subtypes' ]) {
+			if (objects.isObject(def[attr]) &&
+				Object.prototype.hasOwnProperty.call(def[attr], name))
+				return {
+					source: loc.source,
+					keyPath: loc.keyPath.concat(attr, name),
+					definition: def[attr][name]
+				};
+		}
+
+		// named object type and used templates
+		const match = OBJECT_TYPE_VALUE_TYPE_RE.exec(def.valueType);
+		const includedSources = [].concat(
+			(match ? [ this.getSource('objectTypes', match[1]) ] : []),
+			[ def.extends ].concat(def.mixins).map(
+				templateName => this.getSource('templates', templateName))
+		).filter(source => (source && !visited.has(source)));
+		for (let source of includedSources) {
+			visited.add(source);
+			const found = this.findPropertySource(
+				{
+					source: source,
+					keyPath: source.keyPath,
+					definition: source.definition
+				}, name, visited);
+			if (found)
+				return found;
+		}
+
+		return null;
+	}
+}
+
+
+/**
+ * Load library definition from JSON and YAML files.
+ *
+ * @private
+ * @param {(string|Array.<string>)} paths Definition file and directory paths.
+ * @param {Object} [options] Load options.
+ * @param {Object.<string,function>} [options.factories] Named factory
+ * functions.
+ * @returns {LoadedDefinition} The loaded definition.
+ * @throws {module:x2node-common.X2UsageError} If the definition cannot be
+ * loaded.
+ */
+exports.load = function(paths, options) {
+
+	return new LoadedDefinition(paths, options);
+};
@@ -0,0 +1,435 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const valueTypeLabel = require('./value-type-label.js').valueTypeLabel;
+
+
+/**
+ * Relationship end symbols in Mermaid entity relationship diagrams for the
+ * multiplicities.
+ *
+ * @private
+ * @constant {Object.<string,string>}
+ */
+const ER_CARDINALITY = {
+	'1': '||',
+	'0..1': '|o',
+	'0..*': 'o{',
+	'1..*': '|{'
+};
+
+
+/**
+ * Get collection marker for the property: "[]" for an array, "{}" for a map
+ * and empty string for a scalar.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @returns {string} The marker.
+ */
+function collectionMarker(propDesc) {
+
+	return (propDesc.isArray() ? '[]' : (propDesc.isMap() ? '{}' : ''));
+}
+
+/**
+ * Get multiplicity of the values reached via a chain of properties.
+ *
+ * @private
+ * @param {Array.<module:x2node-records~PropertyDescriptor>} chain Property
+ * descriptors leading to the value.
+ * @returns {string} The multiplicity: "1", "0..1", "0..*" or "1..*".
+ */
+function multiplicity(chain) {
+
+	const many = chain.some(propDesc => !propDesc.isScalar());
+	const required = chain.every(propDesc => (
+		!propDesc.optional && (propDesc.isScalar() || (propDesc.minItems > 0))
+	));
+
+	return (required ? '1' : '0') + (many ? '..*' : (required ? '' : '..1'));
+}
+
+/**
+ * Convert name to an identifier usable in Mermaid diagrams.
+ *
+ * @private
+ * @param {string} name The name.
+ * @returns {string} The identifier.
+ */
+function toMermaidId(name) {
+
+	return String(name).replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+/**
+ * Convert value type label for use in Mermaid diagrams, which do not allow
+ * curly braces in the types. A map type, such as "string{}", is converted to
+ * "map(string)".
+ *
+ * @private
+ * @param {string} type The value type label.
+ * @returns {string} Converted value type label.
+ */
+function toMermaidType(type) {
+
+	return type.replace(/^(.*)\{\}$/, 'map($1)');
+}
+
+/**
+ * Quote string for use as a DOT identifier.
+ *
+ * @private
+ * @param {string} str The string.
+ * @returns {string} Quoted string.
+ */
+function toDOTString(str) {
+
+	return '"' + String(str).replace(/[\\"]/g, '\\$&') + '"';
+}
+
+/**
+ * Escape string for use in a DOT HTML-like label.
+ *
+ * @private
+ * @param {string} str The string.
+ * @returns {string} Escaped string.
+ */
+function escapeHTML(str) {
+
+	return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+
+/**
+ * Diagram entity: a record type, a nested object or a polymorphic subtype.
+ *
+ * @private
+ * @typedef {Object} DiagramEntity
+ * @property {string} id Entity id: the record type name followed by the
+ * nested object path.
+ * @property {module:x2node-records~PropertiesContainer} container The
+ * entity container.
+ * @property {?DiagramEntity} parent Entity that contains the nested object or
+ * the polymorphic object that has the subtype, or <code>null</code> for a
+ * record type.
+ * @property {?module:x2node-records~PropertyDescriptor} propDesc The nested
+ * object property or the subtype pseudo-property, or <code>null</code> for a
+ * record type.
+ * @property {boolean} subtype <code>true</code> for a polymorphic subtype.
+ * @property {DiagramEntity} host The entity that is rendered as a separate
+ * box: the record type or subtype itself, or, for a nested object, the box
+ * where it is rendered as a compartment.
+ * @property {Array.<module:x2node-records~PropertyDescriptor>} chain For a
+ * nested object, properties that lead to it from the host.
+ * @property {string} path For a nested object, dot-separated path from the
+ * host.
+ * @property {string} title For a nested object, compartment title: the path
+ * from the host with collection markers.
+ * @property {Array.<DiagramAttribute>} attributes The entity properties.
+ */
+
+/**
+ * Diagram entity attribute.
+ *
+ * @private
+ * @typedef {Object} DiagramAttribute
+ * @property {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @property {string} type Value type label.
+ * @property {string} path Dot-separated path of the property from the host.
+ * @property {string} label Path of the property from the host with collection
+ * markers.
+ */
+
+
+/**
+ * Library model for the diagrams.
+ *
+ * @private
+ */
+class DiagramModel {
+
+	/**
+	 * Create model of the library.
+	 *
+	 * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record
+	 * types library.
+	 * @param {Object} [options] Generation options.
+	 */
+	constructor(recordTypes, options) {
+
+		this._includeViews = (options && options.includeViews ? true : false);
+
+		this.entities = new Array();
+		this.references = new Array();
+
+		for (let recordTypeName of recordTypes.definedRecordTypeNames)
+			this.addEntity(
+				recordTypes.getRecordTypeDesc(recordTypeName), null, null);
+	}
+
+	/**
+	 * Add entity for the container and entities for its nested objects and
+	 * subtypes.
+	 *
+	 * @param {module:x2node-records~PropertiesContainer} container The
+	 * container.
+	 * @param {?DiagramEntity} parent Parent entity.
+	 * @param {?module:x2node-records~PropertyDescriptor} propDesc The nested
+	 * object property or the subtype pseudo-property.
+	 */
+	addEntity(container, parent, propDesc) {
+
+		const nestedPath = container.nestedPath;
+		const entity = {
+			id: container.recordTypeName + (nestedPath ?
+				'.' + nestedPath.substring(0, nestedPath.length - 1) : ''),
+			container: container,
+			parent: parent,
+			propDesc: propDesc,
+			subtype: (propDesc ? propDesc.isSubtype() : false),
+			attributes: new Array()
+		};
+		if (!parent || entity.subtype) {
+			entity.host = entity;
+			entity.chain = [];
+		} else {
+			const inHost = (parent.host === parent);
+			entity.host = parent.host;
+			entity.chain = parent.chain.concat(propDesc);
+			entity.path = (inHost ? '' : parent.path + '.') + propDesc.name;
+			entity.title = (inHost ? '' : parent.title + '.') + propDesc.name +
+				collectionMarker(propDesc);
+		}
+		this.entities.push(entity);
+
+		for (let propName of container.allPropertyNames) {
+			const propDesc = container.getPropertyDesc(propName);
+			if (propDesc.isSubtype() ||
+				(propDesc.isView() && !this._includeViews))
+				continue;
+			const attr = {
+				propDesc: propDesc,
+				type: valueTypeLabel(propDesc),
+				path: (entity.path ? entity.path + '.' : '') + propName,
+				label: (entity.title ? entity.title + '.' : '') + propName
+			};
+			entity.attributes.push(attr);
+			if (propDesc.isRef() || propDesc.isPolymorphRef()) {
+				const targets = (propDesc.refTargets || [ propDesc.refTarget ]);
+				for (let target of targets)
+					this.references.push({
+						entity: entity,
+						attribute: attr,
+						target: target
+					});
+			} else if ((propDesc.scalarValueType === 'object') &&
+				!propDesc.isView()) {
+				this.addEntity(propDesc.nestedProperties, entity, propDesc);
+			}
+		}
+
+		if (container.isPolymorphObject())
+			for (let subtype of container.subtypes) {
+				const subtypePropDesc = container.getPropertyDesc(subtype);
+				this.addEntity(
+					subtypePropDesc.nestedProperties, entity, subtypePropDesc);
+			}
+	}
+}
+
+
+/**
+ * Generate Graphviz DOT diagram. Every record type and subtype is a node,
+ * nested objects are compartments in the nodes.
+ *
+ * @private
+ * @param {DiagramModel} model The library model.
+ * @returns {string} The DOT source.
+ */
+function dotDiagram(model) {
+
+	const lines = [
+		'digraph records {',
+		'\tnode [shape=plaintext, fontname="Helvetica"];',
+		'\tedge [fontname="Helvetica", fontsize=10];'
+	];
+
+	// boxes for the record types and subtypes, nested objects as compartments
+	const row = (content, attrs) => '\t\t\t<tr><td' + (attrs || '') + '>' +
+		content + '</td></tr>';
+	const attrRow = attr => row(
+		(attr.propDesc.isId() ? '<u>' : '') +
+			escapeHTML(attr.propDesc.name + ': ' + attr.type) +
+			(attr.propDesc.isId() ? '</u>' : ''),
+		' port=' + toDOTString(attr.path) + ' align="left"');
+	for (let host of model.entities.filter(e => (e.host === e))) {
+		lines.push(
+			'\t' + toDOTString(host.id) + ' [label=<',
+			'\t\t<table border="0" cellborder="1" cellspacing="0">',
+			row('<b>' + escapeHTML(host.id) + '</b>', ' bgcolor="lightgrey"'));
+		for (let attr of host.attributes)
+			lines.push(attrRow(attr));
+		for (let entity of model.entities) {
+			if ((entity.host !== host) || (entity === host) ||
+				(entity.attributes.length === 0))
+				continue;
+			lines.push(row(
+				'<i>' + escapeHTML(entity.title) + '</i>',
+				' align="left" bgcolor="whitesmoke"'));
+			for (let attr of entity.attributes)
+				lines.push(attrRow(attr));
+		}
+		lines.push('\t\t</table>>];');
+	}
+
+	// subtypes as specializations
+	for (let entity of model.entities.filter(e => e.subtype)) {
+		const base = entity.parent;
+		lines.push(
+			'\t' + toDOTString(entity.id) + ' -> ' + toDOTString(base.host.id) +
+				(base.host === base ? '' : ':' + toDOTString(base.path)) +
+				' [arrowhead=empty];');
+	}
+
+	// references
+	for (let ref of model.references) {
+		lines.push(
+			'\t' + toDOTString(ref.entity.host.id) + ':' +
+				toDOTString(ref.attribute.path) + ' -> ' +
+				toDOTString(ref.target) + ' [label=' +
+				toDOTString(ref.attribute.label) + ', headlabel=' +
+				toDOTString(multiplicity(
+					ref.entity.chain.concat(ref.attribute.propDesc))) + '];');
+	}
+
+	lines.push('}');
+
+	return lines.map(line => line + '\n').join('');
+}
+
+/**
+ * Generate Mermaid entity relationship diagram. Every record type, nested
+ * object and subtype is an entity.
+ *
+ * @private
+ * @param {DiagramModel} model The library model.
+ * @returns {string} The Mermaid source.
+ */
+function erDiagram(model) {
+
+	const lines = [ 'erDiagram' ];
+
+	for (let entity of model.entities.filter(e => e.attributes.length > 0)) {
+		lines.push('\t' + toMermaidId(entity.id) + ' {');
+		for (let attr of entity.attributes)
+			lines.push(
+				'\t\t' + toMermaidType(attr.type).replace(/\|/g, '-') + ' ' +
+					attr.propDesc.name + (attr.propDesc.isId() ? ' PK' : ''));
+		lines.push('\t}');
+	}
+
+	for (let entity of model.entities) {
+		if (!entity.parent)
+			continue;
+		lines.push(
+			'\t' + toMermaidId(entity.parent.id) + ' ||--' + (
+				entity.subtype ? '|o' :
+					ER_CARDINALITY[multiplicity([ entity.propDesc ])]) +
+				' ' + toMermaidId(entity.id) + ' : "' + entity.propDesc.name +
+				'"');
+	}
+
+	for (let ref of model.references) {
+		const propDesc = ref.attribute.propDesc;
+		lines.push(
+			'\t' + toMermaidId(ref.entity.id) + ' }o--' +
+				ER_CARDINALITY[multiplicity([ propDesc ])] + ' ' +
+				toMermaidId(ref.target) + ' : "' + propDesc.name + '"');
+	}
+
+	return lines.map(line => line + '\n').join('');
+}
+
+/**
+ * Generate Mermaid class diagram. Every record type and subtype is a class,
+ * nested objects are included in the class members.
+ *
+ * @private
+ * @param {DiagramModel} model The library model.
+ * @returns {string} The Mermaid source.
+ */
+function classDiagram(model) {
+
+	const lines = [ 'classDiagram' ];
+
+	for (let host of model.entities.filter(e => (e.host === e))) {
+		lines.push('\tclass ' + toMermaidId(host.id) + ' {');
+		for (let entity of model.entities.filter(e => (e.host === host)))
+			for (let attr of entity.attributes)
+				lines.push(
+					'\t\t' + toMermaidType(attr.type).replace(/[()]/g, '~') +
+						' ' + attr.label);
+		lines.push('\t}');
+	}
+
+	for (let entity of model.entities.filter(e => e.subtype)) {
+		const base = entity.parent;
+		lines.push(
+			'\t' + toMermaidId(base.host.id) + ' <|-- ' +
+				toMermaidId(entity.id) +
+				(base.host === base ? '' : ' : ' + base.title));
+	}
+
+	for (let ref of model.references) {
+		lines.push(
+			'\t' + toMermaidId(ref.entity.host.id) + ' --> "' +
+				multiplicity(ref.entity.chain.concat(ref.attribute.propDesc)) +
+				'" ' + toMermaidId(ref.target) + ' : ' + ref.attribute.label);
+	}
+
+	return lines.map(line => line + '\n').join('');
+}
+
+
+/**
+ * Generate Graphviz DOT diagram of the library.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {Object} [options] Generation options.
+ * @returns {string} The DOT source.
+ */
+exports.generateDOT = function(recordTypes, options) {
+
+	return dotDiagram(new DiagramModel(recordTypes, options));
+};
+
+/**
+ * Generate Mermaid diagram of the library.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {Object} [options] Generation options.
+ * @returns {string} The Mermaid source.
+ * @throws {module:x2node-common.X2UsageError} If the diagram type is invalid.
+ */
+exports.generateMermaid = function(recordTypes, options) {
+
+	const diagram = (options && options.diagram) || 'erDiagram';
+	switch (diagram) {
+	case 'erDiagram':
+		return erDiagram(new DiagramModel(recordTypes, options));
+	case 'classDiagram':
+		return classDiagram(new DiagramModel(recordTypes, options));
+	default:
+		throw new common.X2UsageError(
+			`Invalid Mermaid diagram type ${String(diagram)}.`);
+	}
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * Escape reference token for inclusion in a JSON pointer.
+ *
+ * @private
+ * @param {(string|number)} token The token.
+ * @returns {string} Escaped token.
+ */
+function escapeToken(token) {
+
+	return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Append reference token to a JSON pointer.
+ *
+ * @private
+ * @param {string} pointer The pointer (empty string for the document root).
+ * @param {(string|number)} token The token to append (property name, array
+ * index or map key).
+ * @returns {string} New pointer.
+ */
+exports.append = function(pointer, token) {
+
+	return pointer + '/' + escapeToken(token);
+};
+
+/**
+ * Parse JSON pointer into reference tokens.
+ *
+ * @private
+ * @param {string} pointer The pointer (empty string for the document root).
+ * @returns {Array.<string>} Unescaped reference tokens.
+ * @throws {module:x2node-common.X2SyntaxError} If the pointer is invalid.
+ */
+exports.parse = function(pointer) {
+
+	if (pointer.length === 0)
+		return [];
+
+	if (!pointer.startsWith('/') || /~[^01]|~$/.test(pointer))
+		throw new common.X2SyntaxError(`Invalid JSON pointer "${pointer}".`);
+
+	return pointer.substring(1).split('/').map(
+		token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
@@ -0,0 +1,315 @@
+'use strict';
+
+
+/**
+ * JSON Schema dialect used by the generated schemas.
+ *
+ * @private
+ * @constant {string}
+ */
+const SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+
+/**
+ * Escape string for use in a regular expression.
+ *
+ * @private
+ * @param {string} str The string.
+ * @returns {string} Escaped string.
+ */
+function escapeRegExp(str) {
+
+	return str.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+}
+
+/**
+ * Get reference to a schema in the library schema <code>$defs</code>.
+ *
+ * @private
+ * @param {string} defName Definition name.
+ * @returns {string} Value for the <code>$ref</code> schema keyword.
+ */
+function defRef(defName) {
+
+	return '#/$defs/' + encodeURIComponent(
+		defName.replace(/~/g, '~0').replace(/\//g, '~1'));
+}
+
+
+/**
+ * JSON Schema builder.
+ *
+ * @private
+ */
+class SchemaBuilder {
+
+	/**
+	 * Create new builder.
+	 *
+	 * @param {Object} options Generation options.
+	 * @param {?Object.<string,Object>} defs Library schema definitions, or
+	 * <code>null</code> if generating standalone record type schema.
+	 */
+	constructor(options, defs) {
+
+		this._includeViews = (options && options.includeViews ? true : false);
+		this._defs = defs;
+	}
+
+	/**
+	 * Build schema for the objects described by the container.
+	 *
+	 * @param {module:x2node-records~PropertiesContainer} container The
+	 * container.
+	 * @returns {Object} The schema.
+	 */
+	containerSchema(container) {
+
+		const sharedPropDescs = this.propertyDescs(container);
+
+		if (!container.isPolymorphObject())
+			return this.objectSchema(sharedPropDescs, null);
+
+		return {
+			oneOf: container.subtypes.map(subtype => this.objectSchema(
+				sharedPropDescs.concat(this.propertyDescs(
+					container.getPropertyDesc(subtype).nestedProperties)),
+				{
+					name: container.typePropertyName,
+					value: subtype
+				}
+			))
+		};
+	}
+
+	/**
+	 * Get descriptors of the container properties included in the schema.
+	 *
+	 * @param {module:x2node-records~PropertiesContainer} container The
+	 * container.
+	 * @returns {Array.<module:x2node-records~PropertyDescriptor>} The property
+	 * descriptors.
+	 */
+	propertyDescs(container) {
+
+		return container.allPropertyNames
+			.map(propName => container.getPropertyDesc(propName))
+			.filter(propDesc => (
+				!propDesc.isSubtype() &&
+					(this._includeViews || !propDesc.isView())
+			));
+	}
+
+	/**
+	 * Build object schema.
+	 *
+	 * @param {Array.<module:x2node-records~PropertyDescriptor>} propDescs
+	 * Descriptors of the object properties.
+	 * @param {?Object} typeProp For a polymorphic object subtype, the type
+	 * property name and value.
+	 * @returns {Object} The schema.
+	 */
+	objectSchema(propDescs, typeProp) {
+
+		const schema = {
+			type: 'object',
+			properties: {}
+		};
+		const required = new Array();
+
+		if (typeProp) {
+			schema.properties[typeProp.name] = {
+				type: 'string',
+				const: typeProp.value
+			};
+			required.push(typeProp.name);
+		}
+
+		for (let propDesc of propDescs) {
+			schema.properties[propDesc.name] = this.propertySchema(propDesc);
+			if (!propDesc.optional && !propDesc.isView())
+				required.push(propDesc.name);
+		}
+
+		if (required.length > 0)
+			schema.required = required;
+
+		schema.additionalProperties = false;
+
+		return schema;
+	}
+
+	/**
+	 * Build property schema.
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @returns {Object} The schema.
+	 */
+	propertySchema(propDesc) {
+
+		const valueSchema = this.valueSchema(propDesc);
+
+		let schema;
+		if (propDesc.isArray()) {
+			schema = {
+				type: 'array',
+				items: valueSchema
+			};
+			if ((propDesc.scalarValueType !== 'object') &&
+				!propDesc.allowDuplicates)
+				schema.uniqueItems = true;
+			if (propDesc.minItems !== undefined)
+				schema.minItems = propDesc.minItems;
+			if (propDesc.maxItems !== undefined)
+				schema.maxItems = propDesc.maxItems;
+		} else if (propDesc.isMap()) {
+			schema = {
+				type: 'object',
+				additionalProperties: valueSchema
+			};
+			if (propDesc.minItems !== undefined)
+				schema.minProperties = propDesc.minItems;
+			if (propDesc.maxItems !== undefined)
+				schema.maxProperties = propDesc.maxItems;
+		} else {
+			schema = valueSchema;
+		}
+
+		if (!propDesc.modifiable)
+			schema.readOnly = true;
+
+		return schema;
+	}
+
+	/**
+	 * Build schema for a single value of the property (the property value
+	 * itself for a scalar property or a collection element for a collection
+	 * property).
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @returns {Object} The schema.
+	 */
+	valueSchema(propDesc) {
+
+		const valueTypeDesc = propDesc.scalarValueTypeDesc;
+		if (valueTypeDesc) {
+			const schema = Object.assign(
+				{ type: valueTypeDesc.jsonType }, valueTypeDesc.jsonSchema);
+			if (propDesc.allowedValues)
+				schema.enum = propDesc.allowedValues.slice();
+			if (propDesc.minLength !== undefined)
+				schema.minLength = propDesc.minLength;
+			if (propDesc.maxLength !== undefined)
+				schema.maxLength = propDesc.maxLength;
+			if (propDesc.pattern !== undefined)
+				schema.pattern = propDesc.pattern;
+			if (propDesc.integer)
+				schema.type = 'integer';
+			if (propDesc.min !== undefined)
+				schema.minimum = propDesc.min;
+			if (propDesc.max !== undefined)
+				schema.maximum = propDesc.max;
+			// fractional multipleOf is unreliable with binary floating
+			// point numbers (0.29 is not a multiple of 0.01 in most
+			// validators), so only the integer case uses the keyword
+			if (propDesc.precision === 0)
+				schema.multipleOf = 1;
+			else if (propDesc.precision !== undefined)
+				schema['x-precision'] = propDesc.precision;
+			return schema;
+		}
+
+		if (propDesc.isRef())
+			return this.refSchema(propDesc.nestedProperties);
+
+		if (propDesc.isPolymorphRef()) {
+			const refTargetsContainer = propDesc.nestedProperties;
+			return {
+				oneOf: refTargetsContainer.subtypes.map(
+					refTarget => this.refSchema(
+						refTargetsContainer.getPropertyDesc(refTarget)
+							.nestedProperties))
+			};
+		}
+
+		return this.containerSchema(propDesc.nestedProperties);
+	}
+
+	/**
+	 * Build schema for a reference value.
+	 *
+	 * @param {module:x2node-records~RecordTypeDescriptor} refTargetDesc
+	 * Descriptor of the referred record type.
+	 * @returns {Object} The schema.
+	 */
+	refSchema(refTargetDesc) {
+
+		const idPropDesc = refTargetDesc.getPropertyDesc(
+			refTargetDesc.idPropertyName);
+		const schema = {
+			type: 'string',
+			pattern: '^' + escapeRegExp(refTargetDesc.name) + '#' + (
+				idPropDesc.scalarValueTypeDesc.jsonType === 'number' ?
+					'-?\\d+(?:\\.\\d+)?$' : '.+$')
+		};
+
+		if (!this._defs)
+			return schema;
+
+		const defName = 'ref(' + refTargetDesc.name + ')';
+		this._defs[defName] = schema;
+
+		return { $ref: defRef(defName) };
+	}
+}
+
+
+/**
+ * Generate standalone JSON Schema for the records of the specified type.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} [options] Generation options.
+ * @returns {Object} JSON Schema document.
+ */
+exports.recordTypeSchema = function(recordTypeDesc, options) {
+
+	return Object.assign(
+		{
+			$schema: SCHEMA_DIALECT,
+			title: recordTypeDesc.name
+		},
+		(new SchemaBuilder(options, null)).containerSchema(recordTypeDesc)
+	);
+};
+
+/**
+ * Generate JSON Schema for all record types in the library.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {Object} [options] Generation options.
+ * @returns {Object} JSON Schema document.
+ */
+exports.librarySchema = function(recordTypes, options) {
+
+	const defs = {};
+	const builder = new SchemaBuilder(options, defs);
+
+	for (let recordTypeName of recordTypes.definedRecordTypeNames) {
+		const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+		defs[recordTypeName] = Object.assign(
+			{ title: recordTypeName },
+			builder.containerSchema(recordTypeDesc)
+		);
+	}
+
+	return {
+		$schema: SCHEMA_DIALECT,
+		$defs: defs
+	};
+};
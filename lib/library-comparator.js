@@ -0,0 +1,392 @@
+'use strict';
+
+const valueTypeLabel = require('./value-type-label.js').valueTypeLabel;
+
+
+/**
+ * Change compatibility classes.
+ *
+ * @private
+ * @enum {string}
+ */
+const Compatibility = {
+	BACKWARD: 'backward-compatible',
+	FORWARD: 'forward-compatible',
+	BREAKING: 'breaking'
+};
+
+
+/**
+ * Get names of the record types referred by the property.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @returns {?Array.<string>} Referred record type names, or <code>null</code>
+ * if not a reference property.
+ */
+function refTargets(propDesc) {
+
+	if (propDesc.isRef())
+		return [ propDesc.refTarget ];
+
+	return (propDesc.isPolymorphRef() ? propDesc.refTargets : null);
+}
+
+/**
+ * Get property cardinality label.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @returns {string} "scalar", "array" or "map".
+ */
+function cardinality(propDesc) {
+
+	if (propDesc.isScalar())
+		return 'scalar';
+
+	return (propDesc.isArray() ? 'array' : 'map');
+}
+
+/**
+ * Tell if the property is a nested object property, which properties are
+ * compared.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @returns {boolean} <code>true</code> if nested object property.
+ */
+function isNestedObject(propDesc) {
+
+	return (
+		(propDesc.scalarValueType === 'object') && !propDesc.isPolymorphRef());
+}
+
+/**
+ * Get names of the stored properties in the container. Views and subtype
+ * pseudo-properties are not included.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The container.
+ * @returns {Array.<string>} The property names.
+ */
+function storedPropertyNames(container) {
+
+	return container.allPropertyNames.filter(propName => {
+		const propDesc = container.getPropertyDesc(propName);
+		return (!propDesc.isView() && !propDesc.isSubtype());
+	});
+}
+
+
+/**
+ * Library comparator, which collects changes.
+ *
+ * @private
+ */
+class LibraryComparator {
+
+	/**
+	 * Create new comparator.
+	 */
+	constructor() {
+
+		this._changes = new Array();
+	}
+
+	/**
+	 * Collected changes.
+	 *
+	 * @member {Array.<module:x2node-records~LibraryChange>}
+	 * @readonly
+	 */
+	get changes() { return this._changes; }
+
+	/**
+	 * Add change.
+	 *
+	 * @param {string} change Change type.
+	 * @param {string} compatibility Change compatibility.
+	 * @param {module:x2node-records~PropertiesContainer} container Container,
+	 * in which the change is made.
+	 * @param {?string} name Name of the changed property or subtype in the
+	 * container, or <code>null</code> if the change is about the record type.
+	 * @param {string} message Change description.
+	 */
+	addChange(change, compatibility, container, name, message) {
+
+		const recordTypeName = String(container.recordTypeName);
+		const propertyPath = (name !== null ? container.nestedPath + name : '');
+		this._changes.push({
+			change: change,
+			compatibility: compatibility,
+			recordTypeName: recordTypeName,
+			propertyPath: propertyPath,
+			message: (
+				name !== null ?
+					`Property ${propertyPath} of record type` :
+					'Record type'
+			) + ` ${recordTypeName} ${message}`
+		});
+	}
+
+	/**
+	 * Compare libraries.
+	 *
+	 * @param {module:x2node-records~RecordTypesLibrary} oldRecordTypes The old
+	 * library.
+	 * @param {module:x2node-records~RecordTypesLibrary} newRecordTypes The new
+	 * library.
+	 */
+	compareLibraries(oldRecordTypes, newRecordTypes) {
+
+		for (let recordTypeName of oldRecordTypes.definedRecordTypeNames) {
+			const oldDesc = oldRecordTypes.getRecordTypeDesc(recordTypeName);
+			if (!newRecordTypes.hasRecordType(recordTypeName))
+				this.addChange(
+					'RECORD_TYPE_REMOVED', Compatibility.BREAKING, oldDesc,
+					null, 'was removed.');
+			else
+				this.compareObjectContainers(
+					oldDesc, newRecordTypes.getRecordTypeDesc(recordTypeName),
+					oldDesc, null);
+		}
+
+		for (let recordTypeName of newRecordTypes.definedRecordTypeNames) {
+			if (!oldRecordTypes.hasRecordType(recordTypeName))
+				this.addChange(
+					'RECORD_TYPE_ADDED', Compatibility.BACKWARD,
+					newRecordTypes.getRecordTypeDesc(recordTypeName),
+					null, 'was added.');
+		}
+	}
+
+	/**
+	 * Compare two versions of a record type or a nested object property
+	 * container. A container that changed between polymorphic and
+	 * non-polymorphic is reported without comparing its properties.
+	 *
+	 * @param {module:x2node-records~PropertiesContainer} oldContainer The old
+	 * container.
+	 * @param {module:x2node-records~PropertiesContainer} newContainer The new
+	 * container.
+	 * @param {module:x2node-records~PropertiesContainer} container Container,
+	 * in which the change is made: the record type itself or the container of
+	 * the nested object property.
+	 * @param {?string} name Name of the nested object property, or
+	 * <code>null</code> for a record type.
+	 */
+	compareObjectContainers(oldContainer, newContainer, container, name) {
+
+		const polymorph = newContainer.isPolymorphObject();
+		if (oldContainer.isPolymorphObject() !== polymorph)
+			return this.addChange(
+				'POLYMORPHISM_CHANGED', Compatibility.BREAKING, container, name,
+				(polymorph ?
+					'changed from non-polymorphic to polymorphic.' :
+					'changed from polymorphic to non-polymorphic.'));
+
+		this.compareContainers(oldContainer, newContainer);
+	}
+
+	/**
+	 * Compare properties and subtypes of two versions of a container.
+	 *
+	 * @param {module:x2node-records~PropertiesContainer} oldContainer The old
+	 * container.
+	 * @param {module:x2node-records~PropertiesContainer} newContainer The new
+	 * container.
+	 */
+	compareContainers(oldContainer, newContainer) {
+
+		// compare the properties
+		const newPropNames = storedPropertyNames(newContainer);
+		for (let propName of storedPropertyNames(oldContainer)) {
+			const oldPropDesc = oldContainer.getPropertyDesc(propName);
+			if (newPropNames.indexOf(propName) < 0)
+				this.addChange(
+					'PROPERTY_REMOVED',
+					(oldPropDesc.optional ?
+						Compatibility.FORWARD : Compatibility.BREAKING),
+					oldContainer, propName, 'was removed.');
+			else
+				this.compareProperties(
+					oldPropDesc, newContainer.getPropertyDesc(propName));
+		}
+		for (let propName of newPropNames) {
+			const newPropDesc = newContainer.getPropertyDesc(propName);
+			if (!oldContainer.hasProperty(propName) ||
+				oldContainer.getPropertyDesc(propName).isView())
+				this.addChange(
+					'PROPERTY_ADDED',
+					(newPropDesc.optional ?
+						Compatibility.BACKWARD : Compatibility.BREAKING),
+					newContainer, propName,
+					`was added as ${newPropDesc.optional ? 'optional' :
+						'required'}.`);
+		}
+
+		// compare the subtypes
+		if (!oldContainer.isPolymorphObject() ||
+			!newContainer.isPolymorphObject())
+			return;
+		if (oldContainer.typePropertyName !== newContainer.typePropertyName)
+			this.addChange(
+				'TYPE_PROPERTY_CHANGED', Compatibility.BREAKING, newContainer,
+				newContainer.typePropertyName,
+				`replaced ${oldContainer.typePropertyName} as the type` +
+					` property.`);
+		for (let subtype of oldContainer.subtypes) {
+			if (newContainer.subtypes.indexOf(subtype) < 0)
+				this.addChange(
+					'SUBTYPE_REMOVED', Compatibility.FORWARD, oldContainer,
+					subtype, 'subtype was removed.');
+			else
+				this.compareContainers(
+					oldContainer.getPropertyDesc(subtype).nestedProperties,
+					newContainer.getPropertyDesc(subtype).nestedProperties);
+		}
+		for (let subtype of newContainer.subtypes) {
+			if (oldContainer.subtypes.indexOf(subtype) < 0)
+				this.addChange(
+					'SUBTYPE_ADDED', Compatibility.BACKWARD, newContainer,
+					subtype, 'subtype was added.');
+		}
+	}
+
+	/**
+	 * Compare two versions of a property.
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} oldPropDesc The old
+	 * property descriptor.
+	 * @param {module:x2node-records~PropertyDescriptor} newPropDesc The new
+	 * property descriptor.
+	 */
+	compareProperties(oldPropDesc, newPropDesc) {
+
+		const container = newPropDesc.container;
+		const propName = newPropDesc.name;
+		const fromTo = (from, to) => `from ${from} to ${to}.`;
+
+		// cardinality
+		const oldCardinality = cardinality(oldPropDesc);
+		const newCardinality = cardinality(newPropDesc);
+		if (oldCardinality !== newCardinality) {
+			let change;
+			if (oldCardinality === 'scalar')
+				change = 'SCALAR_TO_COLLECTION';
+			else if (newCardinality === 'scalar')
+				change = 'COLLECTION_TO_SCALAR';
+			else
+				change = 'COLLECTION_TYPE_CHANGED';
+			return this.addChange(
+				change, Compatibility.BREAKING, container, propName,
+				'changed ' + fromTo(oldCardinality, newCardinality));
+		}
+
+		// value type
+		const oldTargets = refTargets(oldPropDesc);
+		const newTargets = refTargets(newPropDesc);
+		if (oldTargets && newTargets) {
+			const added = newTargets.filter(t => (oldTargets.indexOf(t) < 0));
+			const removed = oldTargets.filter(t => (newTargets.indexOf(t) < 0));
+			if ((added.length > 0) || (removed.length > 0))
+				this.addChange(
+					'REF_TARGET_CHANGED',
+					(removed.length === 0 ? Compatibility.BACKWARD : (
+						added.length === 0 ?
+							Compatibility.FORWARD : Compatibility.BREAKING)),
+					container, propName,
+					'changed reference target ' + fromTo(
+						oldTargets.join('|'), newTargets.join('|')));
+		} else if (oldPropDesc.scalarValueType !==
+			newPropDesc.scalarValueType) {
+			return this.addChange(
+				((oldPropDesc.isId() || newPropDesc.isId()) ?
+					'ID_TYPE_CHANGED' : 'VALUE_TYPE_CHANGED'),
+				Compatibility.BREAKING, container, propName,
+				'changed value type ' + fromTo(
+					valueTypeLabel(oldPropDesc), valueTypeLabel(newPropDesc)));
+		}
+
+		// optionality
+		if (oldPropDesc.optional && !newPropDesc.optional)
+			this.addChange(
+				'OPTIONAL_TO_REQUIRED', Compatibility.FORWARD, container,
+				propName, 'changed from optional to required.');
+		else if (!oldPropDesc.optional && newPropDesc.optional)
+			this.addChange(
+				'REQUIRED_TO_OPTIONAL', Compatibility.BACKWARD, container,
+				propName, 'changed from required to optional.');
+
+		// nested object properties
+		if (isNestedObject(oldPropDesc))
+			this.compareObjectContainers(
+				oldPropDesc.nestedProperties, newPropDesc.nestedProperties,
+				container, propName);
+	}
+}
+
+
+/**
+ * Compare two versions of a record types library.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} oldRecordTypes The old
+ * library.
+ * @param {module:x2node-records~RecordTypesLibrary} newRecordTypes The new
+ * library.
+ * @returns {module:x2node-records~LibraryComparison} The comparison report.
+ */
+exports.compareLibraries = function(oldRecordTypes, newRecordTypes) {
+
+	const comparator = new LibraryComparator();
+
+	comparator.compareLibraries(oldRecordTypes, newRecordTypes);
+
+	const changes = comparator.changes;
+	const backwardCompatible = changes.every(
+		change => (change.compatibility === Compatibility.BACKWARD));
+	const forwardCompatible = changes.every(
+		change => (change.compatibility === Compatibility.FORWARD));
+
+	return {
+		changes: changes,
+		backwardCompatible: backwardCompatible,
+		forwardCompatible: forwardCompatible,
+		breaking: (!backwardCompatible && !forwardCompatible)
+	};
+};
+
+/**
+ * Change between two versions of a record types library.
+ *
+ * @typedef {Object} module:x2node-records~LibraryChange
+ * @property {string} change Change type, such as "PROPERTY_ADDED",
+ * "VALUE_TYPE_CHANGED" or "SUBTYPE_REMOVED".
+ * @property {string} compatibility Change compatibility:
+ * "backward-compatible" if records valid for the old library are valid for the
+ * new one, "forward-compatible" if records valid for the new library are valid
+ * for the old one, or "breaking" if neither.
+ * @property {string} recordTypeName Name of the changed record type.
+ * @property {string} propertyPath Dot-separated path of the changed property
+ * or subtype within the record type, or empty string if the change is about
+ * the record type itself.
+ * @property {string} message Change description.
+ */
+
+/**
+ * Record types library versions comparison report.
+ *
+ * @typedef {Object} module:x2node-records~LibraryComparison
+ * @property {Array.<module:x2node-records~LibraryChange>} changes All found
+ * changes.
+ * @property {boolean} backwardCompatible <code>true</code> if all changes are
+ * backward-compatible.
+ * @property {boolean} forwardCompatible <code>true</code> if all changes are
+ * forward-compatible.
+ * @property {boolean} breaking <code>true</code> if the libraries are neither
+ * backward- nor forward-compatible.
+ */
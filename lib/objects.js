@@ -0,0 +1,68 @@
+'use strict';
+
+
+/**
+ * Tell if the value is a non-array object.
+ *
+ * @private
+ * @param {*} val The value.
+ * @returns {boolean} <code>true</code> if object.
+ */
+exports.isObject = function(val) {
+
+	return (
+		((typeof val) === 'object') && (val !== null) && !Array.isArray(val));
+};
+
+/**
+ * Tell if the value is absent (<code>undefined</code> or <code>null</code>).
+ *
+ * @private
+ * @param {*} val The value.
+ * @returns {boolean} <code>true</code> if absent.
+ */
+exports.isAbsent = function(val) {
+
+	return ((val === undefined) || (val === null));
+};
+
+/**
+ * Get subtype container for a polymorphic object.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The object
+ * container.
+ * @param {Object} obj The object.
+ * @returns {?module:x2node-records~PropertiesContainer} The subtype container,
+ * or <code>null</code> if the container is not polymorphic or the object does
+ * not have a known subtype.
+ */
+exports.getSubtypeContainer = function(container, obj) {
+
+	if (!container.isPolymorphObject())
+		return null;
+
+	const type = obj[container.typePropertyName];
+	if (((typeof type) !== 'string') || (container.subtypes.indexOf(type) < 0))
+		return null;
+
+	return container.getPropertyDesc(type).nestedProperties;
+};
+
+/**
+ * Get containers that describe properties of an object: the object container
+ * itself and, for a polymorphic object with a known subtype, the subtype
+ * container.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The object
+ * container.
+ * @param {Object} obj The object.
+ * @returns {Array.<module:x2node-records~PropertiesContainer>} The containers.
+ */
+exports.getObjectContainers = function(container, obj) {
+
+	const subtypeContainer = exports.getSubtypeContainer(container, obj);
+
+	return (subtypeContainer ? [ container, subtypeContainer ] : [ container ]);
+};
@@ -2,6 +2,9 @@
 
 const common = require('x2node-common');
 
+const definitionError = require('./definition-error.js');
+const objects = require('./objects.js');
+
 
 /**
  * Subtype property marker.
@@ -12,6 +15,30 @@ const common = require('x2node-common');
 const SUBTYPE = Symbol('SUBTYPE');
 
 
+/**
+ * Make a deep copy of a JSON-like value (used for default value literals).
+ *
+ * @private
+ * @param {*} val The value.
+ * @returns {*} The copy.
+ */
+function deepCopy(val) {
+
+	if (Array.isArray(val))
+		return val.map(deepCopy);
+
+	if (((typeof val) === 'object') && (val !== null) &&
+		!(val instanceof Date)) {
+		const copy = {};
+		for (let key of Object.keys(val))
+			copy[key] = deepCopy(val[key]);
+		return copy;
+	}
+
+	return val;
+}
+
+
 /**
  * Descriptor of an entity that has properties, such as record type or a nested
  * object property.
@@ -66,7 +93,9 @@ class PropertiesContainer {
 			} else if (containerDef.valueType &&
 				containerDef.valueType.startsWith('ref')) {
 				if (containerDef.properties)
-					throw new common.X2UsageError(
+					throw definitionError.create(
+						'POLYMORPH_REF_PROPERTIES', recordTypeName,
+						nestedPath.substring(0, nestedPath.length - 1),
 						'Polymoprhic reference property ' + nestedPath +
 							' of record type ' + String(recordTypeName) +
 							' may not have "properties" definition attribute.');
@@ -102,38 +131,48 @@ class PropertiesContainer {
 		const views = new Array();
 		for (let propName of this._propNames) {
 			const propDef = propertyDefs[propName];
-			if (propDef.viewOf !== undefined)
+			if (objects.isObject(propDef) && (propDef.viewOf !== undefined))
 				views.push(propName);
 			else
-				this.addProperty(ctx, propName, propDef);
+				ctx.attempt(() => {
+					this.addProperty(ctx, propName, propDef);
+				}, this._recordTypeName, this._nestedPath + propName);
 		}
 
 		// add view properties
 		for (let propName of views) {
-			const propDef = propertyDefs[propName];
-			const viewOfDesc = this._propertyDescs[propDef.viewOf];
-			if (!viewOfDesc)
-				throw new common.X2UsageError(
-					'Property ' + this._nestedPath + propName +
-						' of record type ' + String(this._recordTypeName) +
-						' is a view of a non-existent property ' +
-						this._nestedPath + propDef.viewOf + '.');
-			if (viewOfDesc._viewOfDesc)
-				throw new common.X2UsageError(
-					'Property ' + this._nestedPath + propName +
-						' of record type ' + String(this._recordTypeName) +
-						' is a view of another view.');
-			const viewPropDef = Object.create(viewOfDesc._definition);
-			for (let p in propDef) {
-				if ((p === 'properties') || (p === 'subtypes'))
-					throw new common.X2UsageError(
+			ctx.attempt(() => {
+				const propDef = propertyDefs[propName];
+				const viewOfDesc = this._propertyDescs[propDef.viewOf];
+				if (!viewOfDesc)
+					throw definitionError.create(
+						'VIEW_OF_UNKNOWN', this._recordTypeName,
+						this._nestedPath + propName,
 						'Property ' + this._nestedPath + propName +
 							' of record type ' + String(this._recordTypeName) +
-							' is a view and may not override the nested' +
-							' object properties or subtypes.');
-				viewPropDef[p] = propDef[p];
-			}
-			this.addProperty(ctx, propName, viewPropDef, viewOfDesc);
+							' is a view of a non-existent property ' +
+							this._nestedPath + propDef.viewOf + '.');
+				if (viewOfDesc._viewOfDesc)
+					throw definitionError.create(
+						'VIEW_OF_VIEW', this._recordTypeName,
+						this._nestedPath + propName,
+						'Property ' + this._nestedPath + propName +
+							' of record type ' + String(this._recordTypeName) +
+							' is a view of another view.');
+				const viewPropDef = Object.create(viewOfDesc._definition);
+				for (let p in propDef) {
+					if ((p === 'properties') || (p === 'subtypes'))
+						throw definitionError.create(
+							'VIEW_OVERRIDE', this._recordTypeName,
+							this._nestedPath + propName,
+							'Property ' + this._nestedPath + propName +
+								' of record type ' + String(this._recordTypeName) +
+								' is a view and may not override the nested' +
+								' object properties or subtypes.');
+					viewPropDef[p] = propDef[p];
+				}
+				this.addProperty(ctx, propName, viewPropDef, viewOfDesc);
+			}, this._recordTypeName, this._nestedPath + propName);
 		}
 
 		// add polymorphic container pseudo-properties
@@ -141,65 +180,89 @@ class PropertiesContainer {
 
 			// add type hidden property
 			if ((typeof this._typePropertyName) === 'string') {
-				if (this._propertyDescs[this._typePropertyName])
-					throw new common.X2UsageError(
-						'Polymoprhic ' + (
-								this._nestedPath.length > 0 ?
-									' nested object property ' +
-										this._nestedPath +
-										' of record type ' :
-									'record type '
-							) + String(this._recordTypeName) +
-							' contains a property with the same name as the' +
-							' type property.');
-				this.addProperty(ctx, this._typePropertyName, {
-					valueType: 'string',
-					modifiable: false
-				});
+				ctx.attempt(() => {
+					if (this._propertyDescs[this._typePropertyName])
+						throw definitionError.create(
+							'TYPE_PROPERTY_CONFLICT', this._recordTypeName,
+							this._nestedPath + this._typePropertyName,
+							'Polymoprhic ' + (
+									this._nestedPath.length > 0 ?
+										' nested object property ' +
+											this._nestedPath +
+											' of record type ' :
+										'record type '
+								) + String(this._recordTypeName) +
+								' contains a property with the same name as the' +
+								' type property.');
+					// missing subtypes are reported separately
+					const subtypeNames = Object.keys(this._definition.subtypes);
+					this.addProperty(ctx, this._typePropertyName, {
+						valueType: 'string',
+						modifiable: false,
+						allowedValues: (
+							subtypeNames.length > 0 ? subtypeNames : undefined)
+					});
+				}, this._recordTypeName,
+				this._nestedPath + this._typePropertyName);
 			}
 
 			// add subtype pseudo-properties
 			for (let subtypeName in this._definition.subtypes) {
-
-				if (this._propertyDescs[subtypeName])
-					throw new common.X2UsageError(
-						'Subtype ' + subtypeName + ' of ' + (
-								this._nestedPath.length > 0 ?
-									'polymorphic nested object property ' +
-										this._nestedPath + ' of record type ' :
-									'polymorphic record type '
-							) + String(this._recordTypeName) +
-							' shares name with one of the super-type' +
-							' properties.');
-
-				this._propNames.push(subtypeName);
-				this._subtypes.push(subtypeName);
-
-				const subtypePropDef = Object.create(
-					this._definition.subtypes[subtypeName]);
-				subtypePropDef[SUBTYPE] = true;
-				subtypePropDef.valueType = 'object';
-				subtypePropDef.optional = true;
-
-				this.addProperty(ctx, subtypeName, subtypePropDef);
+				ctx.attempt(() => {
+
+					if (this._propertyDescs[subtypeName])
+						throw definitionError.create(
+							'SUBTYPE_NAME_CONFLICT', this._recordTypeName,
+							this._nestedPath + subtypeName,
+							'Subtype ' + subtypeName + ' of ' + (
+									this._nestedPath.length > 0 ?
+										'polymorphic nested object property ' +
+											this._nestedPath +
+											' of record type ' :
+										'polymorphic record type '
+								) + String(this._recordTypeName) +
+								' shares name with one of the super-type' +
+								' properties.');
+
+					const subtypePropDef = Object.create(
+						this._definition.subtypes[subtypeName]);
+					subtypePropDef[SUBTYPE] = true;
+					subtypePropDef.valueType = 'object';
+					subtypePropDef.optional = true;
+
+					this.addProperty(ctx, subtypeName, subtypePropDef);
+
+					this._propNames.push(subtypeName);
+					this._subtypes.push(subtypeName);
+
+				}, this._recordTypeName, this._nestedPath + subtypeName);
 			}
 
 		} else if (this._isPolymorphRef) {
 
 			// add subtype pseudo-properties
 			for (let refTarget of this._definition.subtypes) {
+				ctx.attempt(() => {
+
+					this.addProperty(ctx, refTarget, {
+						[SUBTYPE]: true,
+						valueType: 'ref(' + refTarget + ')',
+						optional: true
+					});
 
-				this._propNames.push(refTarget);
-				this._subtypes.push(refTarget);
+					this._propNames.push(refTarget);
+					this._subtypes.push(refTarget);
 
-				this.addProperty(ctx, refTarget, {
-					[SUBTYPE]: true,
-					valueType: 'ref(' + refTarget + ')',
-					optional: true
-				});
+				}, this._recordTypeName, this._nestedPath + refTarget);
 			}
 		}
 
+		// exclude properties that failed to be added from the names list
+		for (let i = this._propNames.length - 1; i >= 0; i--) {
+			if (!this._propertyDescs.hasOwnProperty(this._propNames[i]))
+				this._propNames.splice(i, 1);
+		}
+
 		// return the container
 		return this;
 	}
@@ -383,8 +446,9 @@ class PropertiesContainer {
  * @constant {RegExp}
  */
 const VALUE_TYPE_RE = new RegExp(
-	'^(?:(string|number|boolean|datetime|object)' +
-		'|(ref)\\((\\S+)\\))(?:\\[\\]|\\{\\})?$'
+	'^(?:([A-Za-z_][A-Za-z0-9_]*)' +
+		'|(ref)\\((\\S+)\\)' +
+		'|(object)\\(([A-Za-z_][A-Za-z0-9_]*)\\))(?:\\[\\]|\\{\\})?$'
 );
 
 /**
@@ -414,6 +478,15 @@ class PropertyDescriptor {
 	 */
 	constructor(ctx, container, propName, propDef, viewOfDesc) {
 
+		// check that the definition is an object
+		if (!objects.isObject(propDef))
+			throw definitionError.create(
+				'INVALID_DEFINITION', container.recordTypeName,
+				container.nestedPath + propName,
+				'Property ' + container.nestedPath + propName +
+					' of record type ' + String(container.recordTypeName) +
+					' has invalid definition: expected an object.');
+
 		// save the basics
 		this._name = propName;
 		this._container = container;
@@ -433,14 +506,35 @@ class PropertyDescriptor {
 
 		// parse the value type
 		const match = VALUE_TYPE_RE.exec(propDef.valueType);
-		if (match === null)
-			throw new common.X2UsageError(
+		const typeName = (match && (match[1] || match[5]));
+		if ((match === null) || (
+			(match[1] !== undefined) && (match[1] !== 'object') &&
+				!ctx.getValueTypeDesc(typeName) &&
+				!ctx.getObjectTypeDef(typeName)))
+			throw definitionError.create(
+				'INVALID_VALUE_TYPE', container.recordTypeName,
+				container.nestedPath + propName,
 				'Property ' + container.nestedPath + propName +
 					' of record type ' + String(container.recordTypeName) +
 					' has missing or invalid valueType attribute.');
+		if ((match[5] !== undefined) && !ctx.getObjectTypeDef(typeName))
+			throw definitionError.create(
+				'UNKNOWN_OBJECT_TYPE', container.recordTypeName,
+				container.nestedPath + propName,
+				'Property ' + container.nestedPath + propName +
+					' of record type ' + String(container.recordTypeName) +
+					' refers to unknown object type ' + typeName + '.');
 		this._scalarValueType = match.find((val, ind) => ((ind > 0) && val));
 		if (this._scalarValueType === 'ref')
 			this._refTarget = match[3];
+		this._scalarValueTypeDesc = (
+			match[1] !== undefined ? ctx.getValueTypeDesc(typeName) : undefined);
+		if ((match[5] !== undefined) || (
+			(match[1] !== undefined) && (match[1] !== 'object') &&
+				!this._scalarValueTypeDesc)) {
+			this._scalarValueType = 'object';
+			this._objectTypeName = typeName;
+		}
 
 		// determine whether scalar, array or map
 		this._isArray = propDef.valueType.endsWith('[]');
@@ -466,6 +560,27 @@ class PropertyDescriptor {
 		if (this._isArray && (this.scalarValueType !== 'object'))
 			this._allowDuplicates = (propDef.allowDuplicates ? true : false);
 
+		// get documentation attributes (checked when the library is validated)
+		this._label = propDef.label;
+		this._description = propDef.description;
+
+		// get allowed values for an enumerated value property
+		this._allowedValues = propDef.allowedValues;
+
+		// get value constraints (checked when the library is validated)
+		this._minLength = propDef.minLength;
+		this._maxLength = propDef.maxLength;
+		this._pattern = propDef.pattern;
+		this._min = propDef.min;
+		this._max = propDef.max;
+		this._integer = (propDef.integer ? true : false);
+		this._precision = propDef.precision;
+		this._minItems = propDef.minItems;
+		this._maxItems = propDef.maxItems;
+
+		// get default value (checked when the library is validated)
+		this._default = propDef.default;
+
 		// additional flags for extensions
 		this._isCalculated = false;
 		this._isRecordMetaInfo = false;
@@ -521,6 +636,24 @@ class PropertyDescriptor {
 	 */
 	get viewOfDesc() { return this._viewOfDesc; }
 
+	/**
+	 * Human-readable property label from the definition's <code>label</code>
+	 * attribute, if any.
+	 *
+	 * @member {string=}
+	 * @readonly
+	 */
+	get label() { return this._label; }
+
+	/**
+	 * Property description from the definition's <code>description</code>
+	 * attribute, if any.
+	 *
+	 * @member {string=}
+	 * @readonly
+	 */
+	get description() { return this._description; }
+
 	/**
 	 * Tell if the property is a special hidden property describing the
 	 * polymorphic object type. Any container whose
@@ -551,13 +684,33 @@ class PropertyDescriptor {
 
 	/**
 	 * Scalar value type of the property. One of "string", "number", "boolean",
-	 * "datetime", "object" or "ref".
+	 * "datetime", "object", "ref" or name of a custom value type added to the
+	 * library by an extension.
 	 *
 	 * @member {string}
 	 * @readonly
 	 */
 	get scalarValueType() { return this._scalarValueType; }
 
+	/**
+	 * For a nested object property that uses a named object type from the
+	 * library definition's <code>objectTypes</code> section (value type
+	 * specified as "object(Name)" or just "Name"), the object type name.
+	 *
+	 * @member {string=}
+	 * @readonly
+	 */
+	get objectTypeName() { return this._objectTypeName; }
+
+	/**
+	 * For a property of a simple value type (not a nested object and not a
+	 * reference), descriptor of the value type.
+	 *
+	 * @member {module:x2node-records~ValueTypeDescriptor=}
+	 * @readonly
+	 */
+	get scalarValueTypeDesc() { return this._scalarValueTypeDesc; }
+
 	/**
 	 * Tell if the property is scalar.
 	 *
@@ -632,6 +785,173 @@ class PropertyDescriptor {
 	 */
 	get allowDuplicates() { return this._allowDuplicates; }
 
+	/**
+	 * For an enumerated simple value property, the list of allowed values. For a
+	 * collection property, the list applies to the collection elements. The
+	 * type property of a polymorphic object container automatically gets the
+	 * list of the subtype names.
+	 *
+	 * @member {Array.<(string|number|boolean)>=}
+	 * @readonly
+	 */
+	get allowedValues() { return this._allowedValues; }
+
+	/**
+	 * For a string value property, minimum allowed value length.
+	 *
+	 * @member {number=}
+	 * @readonly
+	 */
+	get minLength() { return this._minLength; }
+
+	/**
+	 * For a string value property, maximum allowed value length.
+	 *
+	 * @member {number=}
+	 * @readonly
+	 */
+	get maxLength() { return this._maxLength; }
+
+	/**
+	 * For a string value property, regular expression that the values must
+	 * match.
+	 *
+	 * @member {string=}
+	 * @readonly
+	 */
+	get pattern() { return this._pattern; }
+
+	/**
+	 * For a number value property, minimum allowed value (inclusive).
+	 *
+	 * @member {number=}
+	 * @readonly
+	 */
+	get min() { return this._min; }
+
+	/**
+	 * For a number value property, maximum allowed value (inclusive).
+	 *
+	 * @member {number=}
+	 * @readonly
+	 */
+	get max() { return this._max; }
+
+	/**
+	 * <code>true</code> if the property is a number value property that allows
+	 * only integer values.
+	 *
+	 * @member {boolean}
+	 * @readonly
+	 */
+	get integer() { return this._integer; }
+
+	/**
+	 * For a number value property, maximum allowed number of digits after the
+	 * decimal point.
+	 *
+	 * @member {number=}
+	 * @readonly
+	 */
+	get precision() { return this._precision; }
+
+	/**
+	 * For an array or map property, minimum allowed number of elements.
+	 *
+	 * @member {number=}
+	 * @readonly
+	 */
+	get minItems() { return this._minItems; }
+
+	/**
+	 * For an array or map property, maximum allowed number of elements.
+	 *
+	 * @member {number=}
+	 * @readonly
+	 */
+	get maxItems() { return this._maxItems; }
+
+	/**
+	 * Tell if the property has a default value specified in its definition.
+	 *
+	 * @returns {boolean} <code>true</code> if the property has default value.
+	 */
+	hasDefault() { return (this._default !== undefined); }
+
+	/**
+	 * Get the property default value for a new object. If the default value is
+	 * specified in the property definition as a function, the function is called
+	 * with the property descriptor as <code>this</code> and the object as the
+	 * argument and its result is returned. Otherwise, a deep copy of the
+	 * default value literal is returned, so that the objects never share it.
+	 *
+	 * @param {Object} obj The object (record or nested object), for which the
+	 * default value is being created.
+	 * @returns {*} The default value, or <code>undefined</code> if the property
+	 * does not have one.
+	 */
+	getDefaultValue(obj) {
+
+		if ((typeof this._default) === 'function')
+			return this._default.call(this, obj);
+
+		return deepCopy(this._default);
+	}
+
+	/**
+	 * Check single value of a simple value property (the property value itself
+	 * for a scalar property or a collection element for a collection property)
+	 * against the property value type, allowed values and value constraints.
+	 * Collection size constraints are not checked by this method.
+	 *
+	 * @param {*} val The value to check, not <code>null</code> or
+	 * <code>undefined</code>.
+	 * @returns {Array.<string>} Error messages, empty array if the value is
+	 * valid.
+	 * @throws {module:x2node-common.X2UsageError} If the property is not a
+	 * simple value property.
+	 */
+	checkValue(val) {
+
+		const valueTypeDesc = this._scalarValueTypeDesc;
+		if (!valueTypeDesc)
+			throw new common.X2UsageError(
+				'Property ' + this._container.nestedPath + this._name +
+					' of record type ' + String(this._container.recordTypeName) +
+					' is not a simple value property.');
+
+		if (!valueTypeDesc.isValid(val))
+			return [ valueTypeDesc.invalidValueMessage ];
+
+		const messages = new Array();
+
+		if (this._allowedValues && (this._allowedValues.indexOf(val) < 0))
+			messages.push('Not an allowed value.');
+
+		if ((this._minLength !== undefined) && (val.length < this._minLength))
+			messages.push(
+				`Must be at least ${this._minLength} characters long.`);
+		if ((this._maxLength !== undefined) && (val.length > this._maxLength))
+			messages.push(
+				`Must be at most ${this._maxLength} characters long.`);
+		if (this._patternRE && !this._patternRE.test(val))
+			messages.push('Does not match the required pattern.');
+
+		if ((this._min !== undefined) && (val < this._min))
+			messages.push(`Must be at least ${this._min}.`);
+		if ((this._max !== undefined) && (val > this._max))
+			messages.push(`Must be at most ${this._max}.`);
+		if (this._integer && !Number.isInteger(val))
+			messages.push('Must be an integer.');
+		if ((this._precision !== undefined) &&
+			(Number(val.toFixed(this._precision)) !== val))
+			messages.push(
+				`Must have at most ${this._precision} digits after the` +
+					` decimal point.`);
+
+		return messages;
+	}
+
 	/**
 	 * Tell if this is a calculated value property. Calculated properties are
 	 * similar to view properties. They are not stored in the record persistent
@@ -0,0 +1,143 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * Find polymorphic container subtypes, which containers have the specified
+ * property.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container Polymorphic
+ * container.
+ * @param {string} propName Property name.
+ * @returns {Array.<string>} Names of the subtypes that have the property.
+ */
+function findSubtypesWithProperty(container, propName) {
+
+	return container.subtypes.filter(
+		subtype => container.getPropertyDesc(subtype).nestedProperties
+			.hasProperty(propName));
+}
+
+
+/**
+ * Resolve dot-separated property path.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {(string|Symbol)} recordTypeName Name of the record type, relative to
+ * which the path is resolved.
+ * @param {string} path Dot-separated property path.
+ * @returns {Array.<module:x2node-records~PropertyPathSegment>} Resolved path
+ * segments, one for each property in the path.
+ * @throws {module:x2node-common.X2UsageError} If no such record type in the
+ * library or the path is invalid.
+ */
+exports.resolvePropertyPath = function(recordTypes, recordTypeName, path) {
+
+	const error = msg => new common.X2UsageError(
+		`Invalid property path "${path}" for record type` +
+			` ${String(recordTypeName)}: ${msg}`);
+
+	const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+
+	if (((typeof path) !== 'string') || (path.length === 0))
+		throw error('path must be a non-empty string.');
+
+	const segments = new Array();
+	let container = recordTypeDesc;
+	let lastPropDesc = null;
+	let referenceHop = false;
+	let subtype = null;
+	for (let propName of path.split('.')) {
+
+		if (propName.length === 0)
+			throw error('empty path segment.');
+
+		if (!container)
+			throw error(
+				`property ${lastPropDesc.container.nestedPath}` +
+					`${lastPropDesc.name} is not a nested object or` +
+					` reference.`);
+
+		// explicit narrowing to a subtype
+		if (container.isPolymorph() && (subtype === null) &&
+			container.hasProperty(propName) &&
+			container.getPropertyDesc(propName).isSubtype()) {
+			subtype = propName;
+			continue;
+		}
+
+		// find the property
+		let propDesc, implicitSubtype = false;
+		if (container.isPolymorphRef()) {
+			if (subtype === null) {
+				const subtypes = findSubtypesWithProperty(container, propName);
+				if (subtypes.length > 1)
+					throw error(
+						`property ${propName} is ambiguous among reference` +
+							` targets ${subtypes.join(', ')}.`);
+				if (subtypes.length === 1) {
+					subtype = subtypes[0];
+					implicitSubtype = true;
+				}
+			}
+			const targetDesc = (
+				subtype !== null ?
+					container.getPropertyDesc(subtype).nestedProperties : null);
+			if (targetDesc && targetDesc.hasProperty(propName))
+				propDesc = targetDesc.getPropertyDesc(propName);
+		} else if (container.isPolymorphObject()) {
+			const subtypeContainer = (
+				subtype !== null ?
+					container.getPropertyDesc(subtype).nestedProperties : null);
+			if (subtypeContainer && subtypeContainer.hasProperty(propName)) {
+				propDesc = subtypeContainer.getPropertyDesc(propName);
+			} else if (container.hasProperty(propName)) {
+				propDesc = container.getPropertyDesc(propName);
+			} else if (subtype === null) {
+				const subtypes = findSubtypesWithProperty(container, propName);
+				if (subtypes.length > 1)
+					throw error(
+						`property ${propName} is ambiguous among subtypes` +
+							` ${subtypes.join(', ')}.`);
+				if (subtypes.length === 1) {
+					subtype = subtypes[0];
+					implicitSubtype = true;
+					propDesc = container.getPropertyDesc(subtype)
+						.nestedProperties.getPropertyDesc(propName);
+				}
+			}
+		} else if (container.hasProperty(propName)) {
+			propDesc = container.getPropertyDesc(propName);
+		}
+		if (!propDesc)
+			throw error(
+				`unknown property ${propName}` + (
+					subtype !== null ? ` in subtype ${subtype}.` : '.'));
+
+		// add the segment
+		segments.push({
+			propDesc: propDesc,
+			collection: !propDesc.isScalar(),
+			referenceHop: referenceHop,
+			subtype: subtype,
+			implicitSubtype: implicitSubtype
+		});
+
+		// advance to the next container
+		lastPropDesc = propDesc;
+		referenceHop = (propDesc.isRef() || propDesc.isPolymorphRef());
+		subtype = null;
+		container = (
+			referenceHop || (propDesc.scalarValueType === 'object') ?
+				propDesc.nestedProperties : null);
+	}
+
+	if (subtype !== null)
+		throw error(`path may not end with subtype ${subtype}.`);
+
+	return segments;
+};
@@ -0,0 +1,419 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const objects = require('./objects.js');
+const pointers = require('./json-pointer.js');
+
+
+/**
+ * Regular expression for array index path segments.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const INDEX_RE = /^(?:0|[1-9][0-9]*)$/;
+
+
+/**
+ * Split value path into segments.
+ *
+ * @private
+ * @param {(string|Array.<(string|number)>)} path The path: dot-separated
+ * string, JSON pointer or array of segments.
+ * @returns {Array.<string>} Path segments.
+ * @throws {module:x2node-common.X2UsageError} If the path is invalid.
+ */
+function parsePath(path) {
+
+	let segments;
+	if (Array.isArray(path)) {
+		segments = path.map(segment => String(segment));
+	} else if (((typeof path) === 'string') && path.startsWith('/')) {
+		try {
+			segments = pointers.parse(path);
+		} catch (err) {
+			throw new common.X2UsageError(err.message);
+		}
+	} else if ((typeof path) === 'string') {
+		segments = path.split('.');
+	} else {
+		throw new common.X2UsageError(
+			'Value path must be a string or an array.');
+	}
+
+	if (segments.length === 0)
+		throw new common.X2UsageError('Value path may not be empty.');
+
+	return segments;
+}
+
+/**
+ * Tell if the property value is a nested object (or collection of nested
+ * objects), which the path can continue into.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @returns {boolean} <code>true</code> if nested object property.
+ */
+function isNestedObject(propDesc) {
+
+	return (
+		(propDesc.scalarValueType === 'object') && !propDesc.isPolymorphRef());
+}
+
+
+/**
+ * Located value in a record.
+ *
+ * @private
+ * @typedef {Object} ValueLocation
+ * @property {(Object|Array)} parent The object, array or map that contains the
+ * value.
+ * @property {(string|number)} key Property name, array index or map key of the
+ * value in the parent.
+ * @property {module:x2node-records~PropertyDescriptor} propDesc Descriptor of
+ * the property.
+ * @property {boolean} element <code>true</code> if the value is a collection
+ * element, <code>false</code> if property value.
+ */
+
+/**
+ * Value locator in a record.
+ *
+ * @private
+ */
+class ValueLocator {
+
+	/**
+	 * Create new locator.
+	 *
+	 * @param {(string|Array.<(string|number)>)} path The value path.
+	 * @param {boolean} create <code>true</code> to create missing intermediate
+	 * nested objects, arrays and maps.
+	 */
+	constructor(path, create) {
+
+		this._path = path;
+		this._segments = parsePath(path);
+		this._create = create;
+
+		this._changes = new Array();
+	}
+
+	/**
+	 * Set value in the record remembering the change, so that it can be rolled
+	 * back.
+	 *
+	 * @param {(Object|Array)} obj The object, array or map.
+	 * @param {(string|number)} key Property name, array index or map key.
+	 * @param {*} val The value.
+	 */
+	assign(obj, key, val) {
+
+		this._changes.push({
+			obj: obj,
+			key: key,
+			present: Object.prototype.hasOwnProperty.call(obj, key),
+			prevVal: obj[key]
+		});
+
+		obj[key] = val;
+	}
+
+	/**
+	 * Undo all changes made in the record by the locator.
+	 */
+	rollback() {
+
+		for (let change of this._changes.reverse()) {
+			if (change.present)
+				change.obj[change.key] = change.prevVal;
+			else if (Array.isArray(change.obj))
+				change.obj.length = change.key;
+			else
+				delete change.obj[change.key];
+		}
+
+		this._changes.length = 0;
+	}
+
+	/**
+	 * Create invalid path error.
+	 *
+	 * @param {string} msg Error message.
+	 * @returns {module:x2node-common.X2UsageError} The error.
+	 */
+	error(msg) {
+
+		return new common.X2UsageError(
+			`Invalid value path ${JSON.stringify(this._path)}: ${msg}`);
+	}
+
+	/**
+	 * Locate the value.
+	 *
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+	 * type descriptor.
+	 * @param {Object} record The record.
+	 * @returns {?ValueLocation} The value location, or <code>null</code> if an
+	 * intermediate value is missing and the locator does not create missing
+	 * values.
+	 * @throws {module:x2node-common.X2UsageError} If the path is invalid.
+	 */
+	locate(recordTypeDesc, record) {
+
+		if (!objects.isObject(record))
+			throw new common.X2UsageError('Record must be an object.');
+
+		const segments = this._segments;
+		let container = recordTypeDesc, obj = record;
+		for (let i = 0, len = segments.length; i < len; i++) {
+
+			// find the property in the object
+			const subtypeSegment = this.selectSubtype(
+				container, obj, segments[i]);
+			if (subtypeSegment === null)
+				return null;
+			if (subtypeSegment) {
+				if (++i === len)
+					throw this.error('path may not end with a subtype.');
+			}
+			const propName = segments[i];
+			const propDesc = this.getPropertyDesc(container, obj, propName);
+			if (i === len - 1)
+				return {
+					parent: obj,
+					key: propName,
+					propDesc: propDesc,
+					element: false
+				};
+
+			// get or create the property value
+			let val = obj[propName];
+			if (!isNestedObject(propDesc) && propDesc.isScalar())
+				throw this.error(
+					`property ${propName} is not a nested object or` +
+						` collection.`);
+			if ((val === undefined) || (val === null)) {
+				if (!this._create)
+					return null;
+				if (propDesc.isScalar())
+					val = propDesc.nestedProperties.newRecord();
+				else
+					val = (propDesc.isArray() ? [] : {});
+				this.assign(obj, propName, val);
+			}
+
+			// nested object property
+			if (propDesc.isScalar()) {
+				if (!objects.isObject(val))
+					throw this.error(`property ${propName} is not an object.`);
+				container = propDesc.nestedProperties;
+				obj = val;
+				continue;
+			}
+
+			// collection property, get the element
+			if (propDesc.isArray() ?
+				!Array.isArray(val) : !objects.isObject(val))
+				throw this.error(
+					`property ${propName} is not ` +
+						(propDesc.isArray() ? 'an array.' : 'a map.'));
+			let key = segments[++i];
+			if (propDesc.isArray()) {
+				if (!INDEX_RE.test(key))
+					throw this.error(`invalid array index ${key}.`);
+				key = Number(key);
+				if ((key > val.length) && this._create)
+					throw this.error(`array index ${key} is out of bounds.`);
+			}
+			if (i === len - 1)
+				return {
+					parent: val,
+					key: key,
+					propDesc: propDesc,
+					element: true
+				};
+			if (!isNestedObject(propDesc))
+				throw this.error(
+					`elements of property ${propName} are not nested objects.`);
+			let element = val[key];
+			if ((element === undefined) || (element === null)) {
+				if (!this._create)
+					return null;
+				element = propDesc.nestedProperties.newRecord();
+				this.assign(val, key, element);
+			}
+			if (!objects.isObject(element))
+				throw this.error(
+					`element ${key} of ${propName} is not an object.`);
+			container = propDesc.nestedProperties;
+			obj = element;
+		}
+	}
+
+	/**
+	 * Process subtype selection for a polymorphic object. If the current path
+	 * segment is a subtype name, the object's type is checked (or set, if the
+	 * object does not have it yet and the locator creates missing values).
+	 * Otherwise, if the object does not have the type yet, the locator creates
+	 * missing values and the property is specific to a single subtype, the type
+	 * is set.
+	 *
+	 * @param {module:x2node-records~PropertiesContainer} container The object
+	 * container.
+	 * @param {Object} obj The object.
+	 * @param {string} segment Current path segment.
+	 * @returns {?boolean} <code>true</code> if the current segment is a subtype
+	 * name, <code>false</code> if not, and <code>null</code> if the segment is
+	 * a subtype that does not match the object type and the locator does not
+	 * create missing values.
+	 */
+	selectSubtype(container, obj, segment) {
+
+		if (!container.isPolymorphObject())
+			return false;
+
+		const typePropName = container.typePropertyName;
+		const type = obj[typePropName];
+
+		// explicit subtype
+		if (container.hasProperty(segment) &&
+			container.getPropertyDesc(segment).isSubtype()) {
+			if ((type === undefined) && this._create) {
+				this.assign(obj, typePropName, segment);
+			} else if (type !== segment) {
+				if (!this._create)
+					return null;
+				throw this.error(
+					`subtype ${segment} does not match the object type.`);
+			}
+			return true;
+		}
+
+		// implicit subtype
+		if ((type === undefined) && this._create &&
+			!container.hasProperty(segment)) {
+			const subtypes = container.subtypes.filter(
+				subtype => container.getPropertyDesc(subtype).nestedProperties
+					.hasProperty(segment));
+			if (subtypes.length === 1)
+				this.assign(obj, typePropName, subtypes[0]);
+		}
+
+		return false;
+	}
+
+	/**
+	 * Get descriptor of the object property.
+	 *
+	 * @param {module:x2node-records~PropertiesContainer} container The object
+	 * container.
+	 * @param {Object} obj The object.
+	 * @param {string} propName Property name.
+	 * @returns {module:x2node-records~PropertyDescriptor} Property descriptor.
+	 * @throws {module:x2node-common.X2UsageError} If no such property.
+	 */
+	getPropertyDesc(container, obj, propName) {
+
+		const subtypeContainer = objects.getSubtypeContainer(container, obj);
+		if (subtypeContainer && subtypeContainer.hasProperty(propName))
+			return subtypeContainer.getPropertyDesc(propName);
+
+		if (container.hasProperty(propName) &&
+			!container.getPropertyDesc(propName).isSubtype())
+			return container.getPropertyDesc(propName);
+
+		throw this.error(`unknown property ${propName}.`);
+	}
+}
+
+
+/**
+ * Locate value in a record without creating missing intermediate values.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} record The record.
+ * @param {(string|Array.<(string|number)>)} path The value path.
+ * @returns {?ValueLocation} The value location, or <code>null</code> if an
+ * intermediate value is missing.
+ * @throws {module:x2node-common.X2UsageError} If the path is invalid.
+ */
+exports.locateValue = function(recordTypeDesc, record, path) {
+
+	return (new ValueLocator(path, false)).locate(recordTypeDesc, record);
+};
+
+/**
+ * Get value from a record.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} record The record.
+ * @param {(string|Array.<(string|number)>)} path The value path.
+ * @returns {*} The value, or <code>undefined</code> if not present.
+ * @throws {module:x2node-common.X2UsageError} If the path is invalid.
+ */
+exports.getValue = function(recordTypeDesc, record, path) {
+
+	const loc = (new ValueLocator(path, false)).locate(recordTypeDesc, record);
+
+	return (loc ? loc.parent[loc.key] : undefined);
+};
+
+/**
+ * Set value in a record.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} record The record.
+ * @param {(string|Array.<(string|number)>)} path The value path.
+ * @param {*} val The value to set.
+ * @throws {module:x2node-common.X2UsageError} If the path is invalid, in which
+ * case the record is left unchanged.
+ */
+exports.setValue = function(recordTypeDesc, record, path, val) {
+
+	const locator = new ValueLocator(path, true);
+	let loc;
+	try {
+		loc = locator.locate(recordTypeDesc, record);
+	} catch (err) {
+		locator.rollback();
+		throw err;
+	}
+
+	loc.parent[loc.key] = val;
+};
+
+/**
+ * Delete value from a record.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} record The record.
+ * @param {(string|Array.<(string|number)>)} path The value path.
+ * @returns {boolean} <code>true</code> if the value was present and was
+ * deleted.
+ * @throws {module:x2node-common.X2UsageError} If the path is invalid.
+ */
+exports.deleteValue = function(recordTypeDesc, record, path) {
+
+	const loc = (new ValueLocator(path, false)).locate(recordTypeDesc, record);
+	if (!loc || !Object.prototype.hasOwnProperty.call(loc.parent, loc.key))
+		return false;
+
+	if (Array.isArray(loc.parent))
+		loc.parent.splice(loc.key, 1);
+	else
+		delete loc.parent[loc.key];
+
+	return true;
+};
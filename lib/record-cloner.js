@@ -0,0 +1,156 @@
+'use strict';
+
+const objects = require('./objects.js');
+
+
+/**
+ * Deep copy value not described by the record type. Arrays and plain objects
+ * are copied recursively, anything else is copied as is.
+ *
+ * @private
+ * @param {*} val The value.
+ * @returns {*} The copy.
+ */
+function copyUndescribed(val) {
+
+	if (Array.isArray(val))
+		return val.map(copyUndescribed);
+
+	if (objects.isObject(val) &&
+		(Object.getPrototypeOf(val) === Object.prototype)) {
+		const copy = {};
+		for (let key of Object.keys(val))
+			copy[key] = copyUndescribed(val[key]);
+		return copy;
+	}
+
+	return val;
+}
+
+/**
+ * Clone object described by the specified container.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The container.
+ * @param {Object} obj The object to clone.
+ * @returns {Object} The clone.
+ */
+function cloneObject(container, obj) {
+
+	const clone = container.newRecord();
+
+	// collect names of the processed properties
+	const processedPropNames = new Set();
+
+	// clone the described properties
+	for (let c of objects.getObjectContainers(container, obj)) {
+		for (let propName of c.allPropertyNames) {
+			const propDesc = c.getPropertyDesc(propName);
+			if (propDesc.isSubtype() || (obj[propName] === undefined))
+				continue;
+			processedPropNames.add(propName);
+			clone[propName] = clonePropertyValue(propDesc, obj[propName]);
+		}
+	}
+
+	// copy anything else, including the polymorphic object type property
+	for (let propName of Object.keys(obj)) {
+		if (!processedPropNames.has(propName))
+			clone[propName] = copyUndescribed(obj[propName]);
+	}
+
+	return clone;
+}
+
+/**
+ * Clone property value.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} val The property value.
+ * @returns {*} The clone.
+ */
+function clonePropertyValue(propDesc, val) {
+
+	if ((val === null) || propDesc.isScalar())
+		return cloneValue(propDesc, val);
+
+	if (propDesc.isArray())
+		return (
+			Array.isArray(val) ?
+				val.map(element => cloneValue(propDesc, element)) :
+				copyUndescribed(val));
+
+	if (!objects.isObject(val))
+		return val;
+	const map = {};
+	for (let key of Object.keys(val))
+		map[key] = cloneValue(propDesc, val[key]);
+
+	return map;
+}
+
+/**
+ * Clone single value of the property (the property value itself for a scalar
+ * property or a collection element for a collection property).
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} val The value.
+ * @returns {*} The clone.
+ */
+function cloneValue(propDesc, val) {
+
+	if ((propDesc.scalarValueType === 'object') && !propDesc.isPolymorphRef() &&
+		objects.isObject(val))
+		return cloneObject(propDesc.nestedProperties, val);
+
+	return copyUndescribed(val);
+}
+
+
+/**
+ * Deep clone record of the specified record type.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} record The record to clone.
+ * @returns {Object} The clone.
+ */
+exports.cloneRecord = function(recordTypeDesc, record) {
+
+	return cloneObject(recordTypeDesc, record);
+};
+
+/**
+ * Clone property value. For a collection property, the value is the whole
+ * collection.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} val The property value.
+ * @returns {*} The clone.
+ */
+exports.clonePropertyValue = function(propDesc, val) {
+
+	return clonePropertyValue(propDesc, val);
+};
+
+/**
+ * Clone single value of the property (the property value for a scalar property
+ * or a collection element for a collection property).
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} val The value.
+ * @returns {*} The clone.
+ */
+exports.cloneValue = function(propDesc, val) {
+
+	return cloneValue(propDesc, val);
+};
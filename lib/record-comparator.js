@@ -0,0 +1,227 @@
+'use strict';
+
+const objects = require('./objects.js');
+
+
+/**
+ * Get normalized simple value for comparison. Valid "datetime" values are
+ * normalized to the number of milliseconds, so that the same moment in
+ * different time zones or with and without milliseconds is the same value.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} val The value.
+ * @returns {*} Normalized value.
+ */
+function normalize(propDesc, val) {
+
+	if ((propDesc.scalarValueType === 'datetime') &&
+		propDesc.scalarValueTypeDesc.isValid(val))
+		return Date.parse(val);
+
+	return val;
+}
+
+
+/**
+ * Compare objects described by the specified container.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The container.
+ * @param {*} a First object.
+ * @param {*} b Second object.
+ * @returns {boolean} <code>true</code> if equal.
+ */
+function objectsEqual(container, a, b) {
+
+	if (!objects.isObject(a) || !objects.isObject(b))
+		return (a === b);
+
+	// polymorphic objects must be of the same subtype
+	if (container.isPolymorphObject() && (
+		a[container.typePropertyName] !== b[container.typePropertyName]))
+		return false;
+
+	// compare the properties
+	for (let c of objects.getObjectContainers(container, a)) {
+		for (let propName of c.allPropertyNames) {
+			const propDesc = c.getPropertyDesc(propName);
+			if (propDesc.isSubtype() || propDesc.isView())
+				continue;
+			if (!propertyValuesEqual(propDesc, a[propName], b[propName]))
+				return false;
+		}
+	}
+
+	return true;
+}
+
+/**
+ * Compare property values.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @returns {boolean} <code>true</code> if equal.
+ */
+function propertyValuesEqual(propDesc, a, b) {
+
+	if (objects.isAbsent(a) || objects.isAbsent(b))
+		return (objects.isAbsent(a) && objects.isAbsent(b));
+
+	if (propDesc.isScalar())
+		return valuesEqual(propDesc, a, b);
+
+	if (propDesc.isArray()) {
+		if (!Array.isArray(a) || !Array.isArray(b))
+			return (a === b);
+		if (a.length !== b.length)
+			return false;
+		if ((propDesc.scalarValueType === 'object') &&
+			!propDesc.isPolymorphRef())
+			return objectArraysEqual(propDesc, a, b);
+		if (!propDesc.allowDuplicates)
+			return simpleArraysEqual(propDesc, a, b);
+		return a.every(
+			(element, ind) => valuesEqual(propDesc, element, b[ind]));
+	}
+
+	if (!objects.isObject(a) || !objects.isObject(b))
+		return (a === b);
+	const keys = Object.keys(a);
+	if (keys.length !== Object.keys(b).length)
+		return false;
+
+	return keys.every(key => (
+		Object.prototype.hasOwnProperty.call(b, key) &&
+			valuesEqual(propDesc, a[key], b[key])));
+}
+
+/**
+ * Compare nested object arrays of the same length. If the nested objects have
+ * an id property and all elements have unique ids, the elements are matched by
+ * the ids regardless of their order. Otherwise, the elements are compared
+ * by their positions.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {Array} a First array.
+ * @param {Array} b Second array.
+ * @returns {boolean} <code>true</code> if equal.
+ */
+function objectArraysEqual(propDesc, a, b) {
+
+	const container = propDesc.nestedProperties;
+	const idPropName = container.idPropertyName;
+	const byId = array => {
+		if (!idPropName)
+			return null;
+		const map = new Map();
+		for (let element of array) {
+			const id = (
+				objects.isObject(element) ? element[idPropName] : undefined);
+			if (objects.isAbsent(id) || map.has(id))
+				return null;
+			map.set(id, element);
+		}
+		return map;
+	};
+
+	const aById = byId(a), bById = byId(b);
+	if (!aById || !bById)
+		return a.every(
+			(element, ind) => valuesEqual(propDesc, element, b[ind]));
+
+	for (let [ id, element ] of aById) {
+		if (!bById.has(id) ||
+			!objectsEqual(container, element, bById.get(id)))
+			return false;
+	}
+
+	return true;
+}
+
+/**
+ * Compare simple value arrays of the same length, which do not allow
+ * duplicates, as sets, so that the element order does not matter.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {Array} a First array.
+ * @param {Array} b Second array.
+ * @returns {boolean} <code>true</code> if equal.
+ */
+function simpleArraysEqual(propDesc, a, b) {
+
+	const counts = new Map();
+	for (let element of a) {
+		const val = normalize(propDesc, element);
+		counts.set(val, (counts.get(val) || 0) + 1);
+	}
+
+	for (let element of b) {
+		const val = normalize(propDesc, element);
+		const count = counts.get(val);
+		if (!count)
+			return false;
+		counts.set(val, count - 1);
+	}
+
+	return true;
+}
+
+/**
+ * Compare single values of the property (the property values for a scalar
+ * property or collection elements for a collection property).
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @returns {boolean} <code>true</code> if equal.
+ */
+function valuesEqual(propDesc, a, b) {
+
+	if ((propDesc.scalarValueType === 'object') && !propDesc.isPolymorphRef())
+		return objectsEqual(propDesc.nestedProperties, a, b);
+
+	return (normalize(propDesc, a) === normalize(propDesc, b));
+}
+
+
+/**
+ * Compare two records of the specified record type.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} a First record.
+ * @param {Object} b Second record.
+ * @returns {boolean} <code>true</code> if the records are equal.
+ */
+exports.recordsEqual = function(recordTypeDesc, a, b) {
+
+	return objectsEqual(recordTypeDesc, a, b);
+};
+
+/**
+ * Compare two single values of the property (the property values for a scalar
+ * property or collection elements for a collection property).
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @returns {boolean} <code>true</code> if the values are equal.
+ */
+exports.valuesEqual = function(propDesc, a, b) {
+
+	return valuesEqual(propDesc, a, b);
+};
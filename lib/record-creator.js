@@ -0,0 +1,152 @@
+'use strict';
+
+const objects = require('./objects.js');
+
+
+/**
+ * Create new object described by the specified container.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The container.
+ * @param {Object} initial Initial property values.
+ * @param {boolean} coerce <code>true</code> if the initial values are
+ * provided by a property default and simple values in them must be coerced to
+ * the property value types.
+ * @returns {Object} The new object.
+ */
+function createObject(container, initial, coerce) {
+
+	const obj = container.newRecord();
+
+	// collect names of the processed properties
+	const processedPropNames = new Set();
+
+	// set the polymorphic object type
+	if (container.isPolymorphObject()) {
+		const typePropName = container.typePropertyName;
+		const type = initial[typePropName];
+		if (type !== undefined) {
+			obj[typePropName] = type;
+			processedPropNames.add(typePropName);
+		}
+	}
+
+	// set the property values
+	for (let c of objects.getObjectContainers(container, initial)) {
+		for (let propName of c.allPropertyNames) {
+			const propDesc = c.getPropertyDesc(propName);
+			if (propDesc.isSubtype() || propDesc.isView())
+				continue;
+			processedPropNames.add(propName);
+			let val = initial[propName], coerceVal = coerce;
+			if ((val === undefined) && propDesc.hasDefault()) {
+				val = propDesc.getDefaultValue(obj);
+				coerceVal = true;
+			}
+			if (val === undefined)
+				continue;
+			obj[propName] = createPropertyValue(propDesc, val, coerceVal);
+		}
+	}
+
+	// copy over anything else as is
+	for (let propName of Object.keys(initial)) {
+		if (!processedPropNames.has(propName))
+			obj[propName] = initial[propName];
+	}
+
+	return obj;
+}
+
+/**
+ * Create property value.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} val Initial property value.
+ * @param {boolean} coerce <code>true</code> if the value is provided by a
+ * property default and simple values must be coerced to the property value
+ * type.
+ * @returns {*} The property value.
+ */
+function createPropertyValue(propDesc, val, coerce) {
+
+	if ((val === null) || propDesc.isScalar())
+		return createValue(propDesc, val, coerce);
+
+	if (propDesc.isArray())
+		return (
+			Array.isArray(val) ?
+				val.map(element => createValue(propDesc, element, coerce)) :
+				val);
+
+	if (!objects.isObject(val))
+		return val;
+	const map = {};
+	for (let key of Object.keys(val))
+		map[key] = createValue(propDesc, val[key], coerce);
+
+	return map;
+}
+
+/**
+ * Create single value of the property (the property value itself for a scalar
+ * property or a collection element for a collection property).
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} val Initial value.
+ * @param {boolean} coerce <code>true</code> if the value is provided by a
+ * property default and simple values must be coerced to the property value
+ * type.
+ * @returns {*} The value.
+ */
+function createValue(propDesc, val, coerce) {
+
+	if ((val === undefined) || (val === null))
+		return val;
+
+	if (propDesc.scalarValueTypeDesc) {
+		const coerced = (
+			coerce ? propDesc.scalarValueTypeDesc.coerce(val) : undefined);
+		return (coerced !== undefined ? coerced : val);
+	}
+
+	if ((propDesc.scalarValueType === 'object') && !propDesc.isPolymorphRef() &&
+		objects.isObject(val))
+		return createObject(propDesc.nestedProperties, val, coerce);
+
+	return val;
+}
+
+
+/**
+ * Create new record of the specified record type.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} [initial] Initial property values.
+ * @returns {Object} The new record.
+ */
+exports.createRecord = function(recordTypeDesc, initial) {
+
+	return createObject(recordTypeDesc, (initial || {}), false);
+};
+
+/**
+ * Coerce simple values in a property default value literal to the property
+ * value type the same way it is done when records are created.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} val The default value literal.
+ * @returns {*} The coerced value.
+ */
+exports.coerceDefaultValue = function(propDesc, val) {
+
+	return createPropertyValue(propDesc, val, true);
+};
@@ -0,0 +1,336 @@
+'use strict';
+
+const objects = require('./objects.js');
+const pointers = require('./json-pointer.js');
+const recordComparator = require('./record-comparator.js');
+
+
+/**
+ * Get ids of the nested objects in an array.
+ *
+ * @private
+ * @param {Array} array The array.
+ * @param {string} idPropName Nested object id property name.
+ * @returns {?Array.<(string|number)>} The ids in the order of the array
+ * elements, or <code>null</code> if any element is not an object or has no id,
+ * or if the ids are not unique.
+ */
+function getElementIds(array, idPropName) {
+
+	const ids = new Array();
+	const seen = new Set();
+	for (let element of array) {
+		const id = (
+			objects.isObject(element) ? element[idPropName] : undefined);
+		if (objects.isAbsent(id) || seen.has(id))
+			return null;
+		ids.push(id);
+		seen.add(id);
+	}
+
+	return ids;
+}
+
+
+/**
+ * Record differ, which collects JSON Patch operations.
+ *
+ * @private
+ */
+class RecordDiffer {
+
+	/**
+	 * Create new differ.
+	 *
+	 * @param {Object} [options] Diff options.
+	 */
+	constructor(options) {
+
+		this._modifiableOnly = (
+			options && options.modifiableOnly ? true : false);
+
+		this._operations = new Array();
+	}
+
+	/**
+	 * Collected operations.
+	 *
+	 * @member {Array.<module:x2node-records~PatchOperation>}
+	 * @readonly
+	 */
+	get operations() { return this._operations; }
+
+	/**
+	 * Add operation.
+	 *
+	 * @param {string} op Operation type.
+	 * @param {string} path JSON pointer of the operation target.
+	 * @param {*} [val] Value for "add" and "replace" operations.
+	 */
+	addOperation(op, path, val) {
+
+		const operation = { op: op, path: path };
+		if (val !== undefined)
+			operation.value = JSON.parse(JSON.stringify(val));
+
+		this._operations.push(operation);
+	}
+
+	/**
+	 * Diff objects described by the container.
+	 *
+	 * @param {module:x2node-records~PropertiesContainer} container The
+	 * container.
+	 * @param {Object} a The original object.
+	 * @param {Object} b The new object.
+	 * @param {string} pointer JSON pointer of the object.
+	 */
+	diffObject(container, a, b, pointer) {
+
+		// replace polymorphic object with a different subtype
+		if (container.isPolymorphObject() && (
+			a[container.typePropertyName] !== b[container.typePropertyName]))
+			return this.addOperation('replace', pointer, b);
+
+		// diff the properties
+		for (let c of objects.getObjectContainers(container, b)) {
+			for (let propName of c.allPropertyNames) {
+				const propDesc = c.getPropertyDesc(propName);
+				if (propDesc.isSubtype() || propDesc.isView() ||
+					(this._modifiableOnly && !propDesc.modifiable))
+					continue;
+				this.diffProperty(
+					propDesc, a[propName], b[propName],
+					pointers.append(pointer, propName));
+			}
+		}
+	}
+
+	/**
+	 * Diff property values.
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {*} a The original value.
+	 * @param {*} b The new value.
+	 * @param {string} pointer JSON pointer of the property.
+	 */
+	diffProperty(propDesc, a, b, pointer) {
+
+		if (objects.isAbsent(a) || objects.isAbsent(b)) {
+			if (!objects.isAbsent(a))
+				this.addOperation('remove', pointer);
+			else if (!objects.isAbsent(b))
+				this.addOperation('add', pointer, b);
+			return;
+		}
+
+		if (propDesc.isScalar())
+			return this.diffValue(propDesc, a, b, pointer);
+
+		if (propDesc.isArray()) {
+			if (!Array.isArray(a) || !Array.isArray(b))
+				return this.addOperation('replace', pointer, b);
+			if ((propDesc.scalarValueType === 'object') &&
+				!propDesc.isPolymorphRef()) {
+				if (!this.diffArrayById(propDesc, a, b, pointer))
+					this.diffArrayByPosition(propDesc, a, b, pointer);
+			} else if (!propDesc.allowDuplicates) {
+				this.diffSet(propDesc, a, b, pointer);
+			} else {
+				this.diffArrayByPosition(propDesc, a, b, pointer);
+			}
+			return;
+		}
+
+		if (!objects.isObject(a) || !objects.isObject(b))
+			return this.addOperation('replace', pointer, b);
+		this.diffMap(propDesc, a, b, pointer);
+	}
+
+	/**
+	 * Diff single values of the property (the property values for a scalar
+	 * property or collection elements for a collection property).
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {*} a The original value.
+	 * @param {*} b The new value.
+	 * @param {string} pointer JSON pointer of the value.
+	 */
+	diffValue(propDesc, a, b, pointer) {
+
+		if ((propDesc.scalarValueType === 'object') &&
+			!propDesc.isPolymorphRef() &&
+			objects.isObject(a) && objects.isObject(b))
+			return this.diffObject(propDesc.nestedProperties, a, b, pointer);
+
+		if (!recordComparator.valuesEqual(propDesc, a, b))
+			this.addOperation('replace', pointer, b);
+	}
+
+	/**
+	 * Diff nested object arrays matching the elements by the nested object
+	 * ids. Elements missing in the new array are removed, elements that are
+	 * at different positions are moved and new elements are added.
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {Array} a The original array.
+	 * @param {Array} b The new array.
+	 * @param {string} pointer JSON pointer of the array.
+	 * @returns {boolean} <code>false</code> if the elements cannot be matched
+	 * by ids, in which case no operations are added.
+	 */
+	diffArrayById(propDesc, a, b, pointer) {
+
+		const container = propDesc.nestedProperties;
+		const idPropName = container.idPropertyName;
+		if (!idPropName)
+			return false;
+		const aIds = getElementIds(a, idPropName);
+		const bIds = getElementIds(b, idPropName);
+		if (!aIds || !bIds)
+			return false;
+
+		// remove elements missing in the new array
+		const current = aIds.slice();
+		const bIdsSet = new Set(bIds);
+		for (let i = current.length - 1; i >= 0; i--) {
+			if (!bIdsSet.has(current[i])) {
+				this.addOperation('remove', pointers.append(pointer, i));
+				current.splice(i, 1);
+			}
+		}
+
+		// put elements to their new positions and diff them
+		const aElements = new Map(aIds.map((id, ind) => [ id, a[ind] ]));
+		b.forEach((element, ind) => {
+			const id = bIds[ind];
+			const elementPointer = pointers.append(pointer, ind);
+			if (!aElements.has(id)) {
+				this.addOperation('add', elementPointer, element);
+				current.splice(ind, 0, id);
+				return;
+			}
+			const curInd = current.indexOf(id);
+			if (curInd !== ind) {
+				this._operations.push({
+					op: 'move',
+					from: pointers.append(pointer, curInd),
+					path: elementPointer
+				});
+				current.splice(curInd, 1);
+				current.splice(ind, 0, id);
+			}
+			this.diffObject(
+				container, aElements.get(id), element, elementPointer);
+		});
+
+		return true;
+	}
+
+	/**
+	 * Diff arrays by element positions. Elements at the same positions are
+	 * diffed, extra elements are removed from or added to the end.
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {Array} a The original array.
+	 * @param {Array} b The new array.
+	 * @param {string} pointer JSON pointer of the array.
+	 */
+	diffArrayByPosition(propDesc, a, b, pointer) {
+
+		const numCommon = Math.min(a.length, b.length);
+		for (let i = 0; i < numCommon; i++)
+			this.diffValue(propDesc, a[i], b[i], pointers.append(pointer, i));
+
+		for (let i = a.length - 1; i >= b.length; i--)
+			this.addOperation('remove', pointers.append(pointer, i));
+
+		for (let i = a.length; i < b.length; i++)
+			this.addOperation('add', pointers.append(pointer, '-'), b[i]);
+	}
+
+	/**
+	 * Diff simple value arrays that do not allow duplicates as sets. Elements
+	 * missing in the new array are removed and new elements are appended, the
+	 * order of the elements is not considered.
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {Array} a The original array.
+	 * @param {Array} b The new array.
+	 * @param {string} pointer JSON pointer of the array.
+	 */
+	diffSet(propDesc, a, b, pointer) {
+
+		const added = b.slice();
+		const removed = new Array();
+		a.forEach((element, ind) => {
+			const addedInd = added.findIndex(
+				val => recordComparator.valuesEqual(propDesc, element, val));
+			if (addedInd >= 0)
+				added.splice(addedInd, 1);
+			else
+				removed.push(ind);
+		});
+
+		for (let i = removed.length - 1; i >= 0; i--)
+			this.addOperation('remove', pointers.append(pointer, removed[i]));
+
+		for (let element of added)
+			this.addOperation('add', pointers.append(pointer, '-'), element);
+	}
+
+	/**
+	 * Diff maps by keys.
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {Object} a The original map.
+	 * @param {Object} b The new map.
+	 * @param {string} pointer JSON pointer of the map.
+	 */
+	diffMap(propDesc, a, b, pointer) {
+
+		const has = (map, key) => (
+			Object.prototype.hasOwnProperty.call(map, key));
+
+		for (let key of Object.keys(a)) {
+			if (!has(b, key))
+				this.addOperation('remove', pointers.append(pointer, key));
+		}
+
+		for (let key of Object.keys(b)) {
+			const elementPointer = pointers.append(pointer, key);
+			if (has(a, key))
+				this.diffValue(propDesc, a[key], b[key], elementPointer);
+			else
+				this.addOperation('add', elementPointer, b[key]);
+		}
+	}
+}
+
+
+/**
+ * Diff two records of the specified record type.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} from The original record.
+ * @param {Object} to The new record.
+ * @param {Object} [options] Diff options.
+ * @returns {Array.<module:x2node-records~PatchOperation>} JSON Patch
+ * operations that turn the original record into the new one.
+ */
+exports.diffRecords = function(recordTypeDesc, from, to, options) {
+
+	const differ = new RecordDiffer(options);
+
+	differ.diffObject(recordTypeDesc, from, to, '');
+
+	return differ.operations;
+};
@@ -0,0 +1,629 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const definitionError = require('./definition-error.js');
+const objects = require('./objects.js');
+const recordCloner = require('./record-cloner.js');
+const recordValidator = require('./record-validator.js');
+const refs = require('./refs.js');
+
+
+/**
+ * Deep copy record data. Arrays and plain objects are copied recursively,
+ * anything else is copied as is.
+ *
+ * @private
+ * @param {*} val The value.
+ * @returns {*} The copy.
+ */
+function copyValue(val) {
+
+	if (Array.isArray(val))
+		return val.map(copyValue);
+
+	if (objects.isObject(val)) {
+		const copy = {};
+		for (let key of Object.keys(val))
+			copy[key] = copyValue(val[key]);
+		return copy;
+	}
+
+	return val;
+}
+
+/**
+ * Tell if the value is a valid migration step path: dot-separated, non-empty
+ * segments, where "*" stands for all elements of an array or a map.
+ *
+ * @private
+ * @param {*} val The value.
+ * @param {boolean} [forProperty] <code>true</code> if the path must end with a
+ * property name.
+ * @returns {boolean} <code>true</code> if valid path.
+ */
+function isPath(val, forProperty) {
+
+	if (((typeof val) !== 'string') || (val.length === 0))
+		return false;
+
+	const segments = val.split('.');
+
+	return (
+		segments.every(segment => (segment.length > 0)) &&
+			(!forProperty || (segments[segments.length - 1] !== '*')));
+}
+
+/**
+ * Get path of a property in the same object as the property at the specified
+ * path.
+ *
+ * @private
+ * @param {string} path Property path.
+ * @param {string} relPath Path relative to the object that has the property.
+ * @returns {string} The path.
+ */
+function siblingPath(path, relPath) {
+
+	const lastDotInd = path.lastIndexOf('.');
+
+	return (
+		lastDotInd < 0 ? relPath : path.substring(0, lastDotInd + 1) + relPath);
+}
+
+/**
+ * Get keys of the children of a record data object or array selected by a
+ * path segment.
+ *
+ * @private
+ * @param {*} parent The parent value.
+ * @param {string} segment The path segment.
+ * @returns {Array.<(string|number)>} Keys of the present children.
+ */
+function childKeys(parent, segment) {
+
+	if (segment === '*') {
+		if (Array.isArray(parent))
+			return Array.from(parent.keys());
+		return (objects.isObject(parent) ? Object.keys(parent) : []);
+	}
+
+	return (
+		objects.isObject(parent) && (parent[segment] !== undefined) ?
+			[ segment ] : []);
+}
+
+/**
+ * Find values in the record data by a migration step path.
+ *
+ * @private
+ * @param {Object} record The record data.
+ * @param {string} path The path.
+ * @returns {Array.<{parent: (Object|Array), key: (string|number)}>} Locations
+ * of the present values.
+ */
+function findValues(record, path) {
+
+	const segments = path.split('.');
+	const lastSegment = segments.pop();
+
+	let parents = [ record ];
+	for (let segment of segments) {
+		const children = new Array();
+		for (let parent of parents) {
+			for (let key of childKeys(parent, segment)) {
+				const child = parent[key];
+				if (objects.isObject(child) || Array.isArray(child))
+					children.push(child);
+			}
+		}
+		parents = children;
+	}
+
+	const locations = new Array();
+	for (let parent of parents)
+		for (let key of childKeys(parent, lastSegment))
+			locations.push({ parent: parent, key: key });
+
+	return locations;
+}
+
+/**
+ * Find property in an object container, including the properties of the
+ * polymorphic object subtypes.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The container.
+ * @param {string} propName Property name.
+ * @returns {?module:x2node-records~PropertyDescriptor} The property
+ * descriptor, or <code>null</code> if not found.
+ */
+function findProperty(container, propName) {
+
+	if (container.hasProperty(propName) &&
+		!container.getPropertyDesc(propName).isSubtype())
+		return container.getPropertyDesc(propName);
+
+	if (container.isPolymorphObject())
+		for (let subtype of container.subtypes) {
+			const subtypeContainer =
+				container.getPropertyDesc(subtype).nestedProperties;
+			if (subtypeContainer.hasProperty(propName))
+				return subtypeContainer.getPropertyDesc(propName);
+		}
+
+	return null;
+}
+
+/**
+ * Migration step path resolved against the record type.
+ *
+ * @private
+ * @typedef {Object} ResolvedPath
+ * @property {?module:x2node-records~PropertyDescriptor} propDesc Descriptor of
+ * the last property in the path, or <code>null</code> for the empty path.
+ * @property {boolean} element <code>true</code> if the path ends with "*" and
+ * selects the collection elements.
+ * @property {?module:x2node-records~PropertiesContainer} container Container
+ * of the object selected by the path, or <code>null</code> if the path does
+ * not select a nested object.
+ */
+
+/**
+ * Resolve migration step path against the current record type definition.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {string} path The path, may be empty.
+ * @returns {?ResolvedPath} Resolved path, or <code>null</code> if the path
+ * does not lead to a property of the record type.
+ */
+function resolvePath(recordTypeDesc, path) {
+
+	let container = recordTypeDesc, propDesc = null, element = false;
+	for (let segment of (path.length > 0 ? path.split('.') : [])) {
+		if (segment === '*') {
+			if (!propDesc || propDesc.isScalar() || element)
+				return null;
+			element = true;
+		} else {
+			if (!container)
+				return null;
+			propDesc = findProperty(container, segment);
+			if (!propDesc)
+				return null;
+			element = false;
+		}
+		container = (
+			(propDesc.scalarValueType === 'object') &&
+				!propDesc.isPolymorphRef() &&
+				(element || propDesc.isScalar()) ?
+				propDesc.nestedProperties : null);
+	}
+
+	return {
+		propDesc: propDesc,
+		element: element,
+		container: container
+	};
+}
+
+
+/**
+ * Declarative migration step operations. For each operation, the
+ * <code>check</code> function tells what is wrong with the step definition,
+ * if anything, and the <code>apply</code> function performs the step on the
+ * record data. The <code>target</code> function returns path of the values
+ * produced by the step, which is resolved against the record type and passed
+ * to the optional <code>checkTarget</code> function that tells what is wrong
+ * with the step result, if anything.
+ *
+ * @private
+ * @constant {Object.<string,Object>}
+ */
+const STEP_OPS = {
+
+	'rename': {
+		check(step) {
+			if (!isPath(step.path, true))
+				return 'missing or invalid path.';
+			if (!isPath(step.to, true) || (step.to.indexOf('.') >= 0))
+				return 'missing or invalid new property name.';
+		},
+		target(step) {
+			return siblingPath(step.path, step.to);
+		},
+		apply(step, record) {
+			for (let loc of findValues(record, step.path)) {
+				const val = loc.parent[loc.key];
+				delete loc.parent[loc.key];
+				loc.parent[step.to] = val;
+			}
+		}
+	},
+
+	'move': {
+		check(step) {
+			if (!isPath(step.path, true))
+				return 'missing or invalid path.';
+			if (!isPath(step.to, true) ||
+				(step.to.split('.').indexOf('*') >= 0))
+				return 'missing or invalid new property path.';
+		},
+		target(step) {
+			return siblingPath(step.path, step.to);
+		},
+		apply(step, record) {
+			const toSegments = step.to.split('.');
+			const toPropName = toSegments.pop();
+			for (let loc of findValues(record, step.path)) {
+				const val = loc.parent[loc.key];
+				delete loc.parent[loc.key];
+				let target = loc.parent;
+				for (let segment of toSegments) {
+					if ((target[segment] === undefined) ||
+						(target[segment] === null))
+						target[segment] = {};
+					target = target[segment];
+					if (!objects.isObject(target))
+						break;
+				}
+				if (objects.isObject(target))
+					target[toPropName] = val;
+				else
+					loc.parent[loc.key] = val;
+			}
+		}
+	},
+
+	'splitSubtype': {
+		check(step) {
+			if ((step.path !== '') && !isPath(step.path))
+				return 'missing or invalid path.';
+			if (((typeof step.typeProperty) !== 'string') ||
+				(step.typeProperty.length === 0))
+				return 'missing or invalid type property name.';
+			if (((typeof step.subtype) !== 'string') ||
+				(step.subtype.length === 0))
+				return 'missing or invalid subtype.';
+			if (((typeof step.by) !== 'function') &&
+				(((typeof step.by) !== 'string') || (step.by.length === 0)))
+				return 'missing or invalid subtype selector.';
+			if ((step.subtypes !== undefined) &&
+				!objects.isObject(step.subtypes))
+				return 'subtypes mapping is not an object.';
+		},
+		target(step) {
+			return step.path;
+		},
+		checkTarget(step, resolved) {
+			const container = resolved.container;
+			if (!container || !container.isPolymorphObject() ||
+				(container.typePropertyName !== step.typeProperty))
+				return `${step.path || 'record'} is not a polymorphic object` +
+					` with type property ${step.typeProperty}.`;
+			for (let key of Object.keys(step.subtypes || {})) {
+				const subtype = step.subtypes[key];
+				if (container.subtypes.indexOf(subtype) < 0)
+					return `unknown subtype ${String(subtype)}.`;
+			}
+		},
+		apply(step, record) {
+			const targets = (
+				step.path === '' ? [ record ] :
+					findValues(record, step.path).map(
+						loc => loc.parent[loc.key]));
+			for (let obj of targets) {
+				if (!objects.isObject(obj) ||
+					(obj[step.typeProperty] !== step.subtype))
+					continue;
+				let subtype;
+				if ((typeof step.by) === 'function')
+					subtype = step.by(obj);
+				else if (step.subtypes === undefined)
+					subtype = obj[step.by];
+				else if (Object.prototype.hasOwnProperty.call(
+					step.subtypes, obj[step.by]))
+					subtype = step.subtypes[obj[step.by]];
+				if ((typeof subtype) !== 'string')
+					continue;
+				obj[step.typeProperty] = subtype;
+				if ((typeof step.by) === 'string')
+					delete obj[step.by];
+			}
+		}
+	},
+
+	'toArray': {
+		check(step) {
+			if (!isPath(step.path, true))
+				return 'missing or invalid path.';
+		},
+		target(step) {
+			return step.path;
+		},
+		checkTarget(step, resolved) {
+			if (!resolved.propDesc.isArray() || resolved.element)
+				return `property ${step.path} is not an array.`;
+		},
+		apply(step, record) {
+			for (let loc of findValues(record, step.path)) {
+				const val = loc.parent[loc.key];
+				if ((val !== null) && !Array.isArray(val))
+					loc.parent[loc.key] = [ val ];
+			}
+		}
+	},
+
+	'remapReferences': {
+		check(step) {
+			if (!isPath(step.path))
+				return 'missing or invalid path.';
+			if (((typeof step.from) !== 'string') || (step.from.length === 0))
+				return 'missing or invalid original reference target.';
+			if ((step.to !== undefined) && (
+				((typeof step.to) !== 'string') || (step.to.length === 0)))
+				return 'invalid new reference target.';
+			if ((step.ids !== undefined) && !objects.isObject(step.ids) &&
+				((typeof step.ids) !== 'function'))
+				return 'ids mapping is neither an object nor a function.';
+		},
+		target(step) {
+			return step.path;
+		},
+		checkTarget(step, resolved, recordTypes) {
+			const refTarget = (step.to || step.from);
+			if (!recordTypes.hasRecordType(refTarget))
+				return `unknown reference target ${refTarget}.`;
+			const propDesc = resolved.propDesc;
+			if (!(propDesc.isRef() ? (propDesc.refTarget === refTarget) : (
+				propDesc.isPolymorphRef() &&
+					(propDesc.refTargets.indexOf(refTarget) >= 0))))
+				return `property ${step.path} is not a reference to` +
+					` ${refTarget}.`;
+		},
+		apply(step, record) {
+			const remap = ref => {
+				if (refs.getRefTarget(ref) !== step.from)
+					return ref;
+				const id = ref.substring(step.from.length + 1);
+				let newId;
+				if ((typeof step.ids) === 'function')
+					newId = step.ids(id);
+				else if (step.ids &&
+					Object.prototype.hasOwnProperty.call(step.ids, id))
+					newId = step.ids[id];
+				return `${step.to || step.from}#${
+					newId !== undefined ? newId : id}`;
+			};
+			for (let loc of findValues(record, step.path)) {
+				const val = loc.parent[loc.key];
+				if (Array.isArray(val))
+					loc.parent[loc.key] = val.map(remap);
+				else if (objects.isObject(val))
+					for (let key of Object.keys(val))
+						val[key] = remap(val[key]);
+				else
+					loc.parent[loc.key] = remap(val);
+			}
+		}
+	}
+};
+
+
+/**
+ * Check that the values produced by the record type migration steps are
+ * described by the record type. Values transformed by a later step, or any
+ * values if a later step is a function, are not checked.
+ *
+ * @private
+ * @param {module:x2node-records~LibraryConstructionContext} ctx Library
+ * construction context.
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes The library.
+ * @param {string} recordTypeName Record type name.
+ * @param {Map.<number,Array>} recordTypeSteps Steps of the record type
+ * migrations by the migration version.
+ */
+function checkStepTargets(ctx, recordTypes, recordTypeName, recordTypeSteps) {
+
+	const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+
+	const allSteps = new Array();
+	const versions = Array.from(recordTypeSteps.keys()).sort((a, b) => a - b);
+	for (let version of versions)
+		recordTypeSteps.get(version).forEach((step, ind) => {
+			allSteps.push({ version: version, ind: ind, step: step });
+		});
+
+	allSteps.forEach((entry, entryInd) => {
+		const step = entry.step;
+		if ((typeof step) === 'function')
+			return;
+		const op = STEP_OPS[step.op];
+		const target = op.target(step);
+		if (allSteps.slice(entryInd + 1).some(later => (
+			((typeof later.step) === 'function') || (
+				(later.step.path.length > 0) && (
+					(target === later.step.path) ||
+						target.startsWith(later.step.path + '.'))))))
+			return;
+		const resolved = resolvePath(recordTypeDesc, target);
+		const msg = (
+			!resolved ? `${target} is not a property of the record type.` : (
+				op.checkTarget ?
+					op.checkTarget(step, resolved, recordTypes) : undefined));
+		if (msg)
+			ctx.attempt(() => {
+				throw definitionError.create(
+					'INVALID_MIGRATION', recordTypeName, '',
+					`Migration of record type ${recordTypeName} to version` +
+						` ${entry.version} has invalid step at index` +
+						` ${entry.ind}: ${msg}`);
+			}, recordTypeName, '');
+	});
+}
+
+
+/**
+ * Validate library version and migrations definitions and assign the
+ * migration steps to the record type descriptors.
+ *
+ * @private
+ * @param {module:x2node-records~LibraryConstructionContext} ctx Library
+ * construction context.
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes The library.
+ */
+exports.setupMigrations = function(ctx, recordTypes) {
+
+	const version = recordTypes.version;
+	const validVersion = ctx.attempt(() => {
+		if ((version !== undefined) &&
+			(!Number.isInteger(version) || (version < 1)))
+			throw definitionError.create(
+				'INVALID_VERSION', undefined, '',
+				'Invalid library version: must be a positive integer.');
+	});
+
+	const stepsByRecordType = new Map();
+	const migrationDefs = (
+		recordTypes.definition.recordTypes ?
+			recordTypes.definition.migrations : undefined);
+	const invalidMigrations = (recordTypeName, msg) => definitionError.create(
+		'INVALID_MIGRATION', recordTypeName, '', msg);
+	if ((migrationDefs !== undefined) && ctx.attempt(() => {
+		if (!objects.isObject(migrationDefs))
+			throw invalidMigrations(
+				undefined, 'Library migrations definition is not an object.');
+		if ((version === undefined) || !validVersion)
+			throw invalidMigrations(
+				undefined,
+				'Library migrations are specified, but the library does not' +
+					' have a valid version.');
+	})) {
+		for (let versionKey of Object.keys(migrationDefs)) {
+			const migrationVersion = Number(versionKey);
+			const migrationDef = migrationDefs[versionKey];
+			if (!ctx.attempt(() => {
+				if (!/^[0-9]+$/.test(versionKey) || (migrationVersion < 2) ||
+					(migrationVersion > version))
+					throw invalidMigrations(
+						undefined,
+						`Invalid migration version ${versionKey}: must be an` +
+							` integer from 2 to the library version` +
+							` ${version}.`);
+				if (!objects.isObject(migrationDef))
+					throw invalidMigrations(
+						undefined,
+						`Migration to version ${versionKey} is not an object.`);
+			}))
+				continue;
+			for (let recordTypeName of Object.keys(migrationDef)) {
+				const steps = migrationDef[recordTypeName];
+				ctx.attempt(() => {
+					if (!recordTypes.hasRecordType(recordTypeName))
+						throw invalidMigrations(
+							recordTypeName,
+							`Migration to version ${versionKey} refers to` +
+								` unknown record type ${recordTypeName}.`);
+					const migrationName = `Migration of record type` +
+						` ${recordTypeName} to version ${versionKey}`;
+					if (!Array.isArray(steps))
+						throw invalidMigrations(
+							recordTypeName,
+							`${migrationName} is not an array of steps.`);
+					steps.forEach((step, ind) => {
+						if ((typeof step) === 'function')
+							return;
+						const op = (
+							objects.isObject(step) &&
+								Object.prototype.hasOwnProperty.call(
+									STEP_OPS, step.op) ?
+								STEP_OPS[step.op] : null);
+						const msg = (
+							op ? op.check(step) :
+								'not a function or object with a valid op.');
+						if (msg)
+							throw invalidMigrations(
+								recordTypeName,
+								`${migrationName} has invalid step at index` +
+									` ${ind}: ${msg}`);
+					});
+					const recordTypeSteps = (
+						stepsByRecordType.get(recordTypeName) || new Map());
+					stepsByRecordType.set(recordTypeName, recordTypeSteps);
+					recordTypeSteps.set(migrationVersion, steps);
+				}, recordTypeName, '');
+			}
+		}
+	}
+
+	// check the step results against the record types
+	for (let recordTypeName of stepsByRecordType.keys())
+		checkStepTargets(
+			ctx, recordTypes, recordTypeName,
+			stepsByRecordType.get(recordTypeName));
+
+	for (let recordTypeName of recordTypes.definedRecordTypeNames)
+		recordTypes.getRecordTypeDesc(recordTypeName)._migrations = {
+			version: (validVersion ? version : undefined),
+			steps: (stepsByRecordType.get(recordTypeName) || new Map())
+		};
+};
+
+/**
+ * Migrate record of the specified record type from an older library version.
+ * Only the final migrated record is validated, against the current record
+ * type definition.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} [migrations] The record type migrations assigned by
+ * <code>setupMigrations()</code>.
+ * @param {Object} record The record to migrate.
+ * @param {number} fromVersion Library version, to which the record
+ * corresponds.
+ * @returns {Object} The migrated record.
+ * @throws {module:x2node-common.X2UsageError} If the library does not have a
+ * version, the record is not an object or the record version is invalid.
+ * @throws {module:x2node-common.X2SyntaxError} If the migrated record is
+ * invalid. The error object has <code>errors</code> property with the
+ * validation errors.
+ */
+exports.migrateRecord = function(
+	recordTypeDesc, migrations, record, fromVersion) {
+
+	if (!objects.isObject(record))
+		throw new common.X2UsageError('Record must be an object.');
+	if (!migrations || (migrations.version === undefined))
+		throw new common.X2UsageError(
+			'Record types library does not have a version.');
+	if (!Number.isInteger(fromVersion) || (fromVersion < 1) ||
+		(fromVersion > migrations.version))
+		throw new common.X2UsageError(
+			`Invalid record version ${fromVersion}: must be an integer from 1` +
+				` to ${migrations.version}.`);
+
+	let migrated = copyValue(record);
+	for (let v = fromVersion + 1; v <= migrations.version; v++) {
+		for (let step of (migrations.steps.get(v) || [])) {
+			if ((typeof step) === 'function') {
+				const res = step(migrated);
+				if (res !== undefined)
+					migrated = res;
+			} else {
+				STEP_OPS[step.op].apply(step, migrated);
+			}
+		}
+	}
+
+	const errors = recordValidator.validateRecord(recordTypeDesc, migrated);
+	if (errors) {
+		const err = new common.X2SyntaxError('Migrated record is invalid.');
+		err.errors = errors;
+		throw err;
+	}
+
+	return recordCloner.cloneRecord(recordTypeDesc, migrated);
+};
@@ -0,0 +1,574 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const objects = require('./objects.js');
+const pointers = require('./json-pointer.js');
+const recordAccessor = require('./record-accessor.js');
+const recordCloner = require('./record-cloner.js');
+const recordComparator = require('./record-comparator.js');
+const recordValidator = require('./record-validator.js');
+
+
+/**
+ * Tell if two JSON values are structurally equal.
+ *
+ * @private
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @returns {boolean} <code>true</code> if equal.
+ */
+function jsonEqual(a, b) {
+
+	if (Array.isArray(a))
+		return (
+			Array.isArray(b) && (a.length === b.length) &&
+				a.every((element, ind) => jsonEqual(element, b[ind])));
+
+	if (objects.isObject(a)) {
+		if (!objects.isObject(b))
+			return false;
+		const keys = Object.keys(a);
+		return (
+			(keys.length === Object.keys(b).length) &&
+				keys.every(key => (
+					Object.prototype.hasOwnProperty.call(b, key) &&
+						jsonEqual(a[key], b[key]))));
+	}
+
+	return (a === b);
+}
+
+/**
+ * Tell if JSON Merge Patch object changes type of a polymorphic object.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The object
+ * container.
+ * @param {Object} obj The object in the record.
+ * @param {Object} patch The patch object.
+ * @returns {boolean} <code>true</code> if the patch has a different subtype.
+ */
+function switchesSubtype(container, obj, patch) {
+
+	if (!container.isPolymorphObject())
+		return false;
+
+	const type = patch[container.typePropertyName];
+
+	return (
+		(type !== undefined) && (type !== null) &&
+			(type !== obj[container.typePropertyName]));
+}
+
+/**
+ * Convert value in a record, which may include objects created by factories,
+ * to plain JSON value.
+ *
+ * @private
+ * @param {*} val The value.
+ * @returns {*} Plain JSON value.
+ */
+function toJSON(val) {
+
+	return JSON.parse(JSON.stringify(val));
+}
+
+/**
+ * Remove <code>null</code> members from a JSON Merge Patch value, as they are
+ * removed when the value is merged into a missing target.
+ *
+ * @private
+ * @param {*} val The value.
+ * @returns {*} The value without the <code>null</code> members.
+ */
+function removeNulls(val) {
+
+	if (!objects.isObject(val))
+		return val;
+
+	const res = {};
+	for (let key of Object.keys(val))
+		if (val[key] !== null)
+			res[key] = removeNulls(val[key]);
+
+	return res;
+}
+
+
+/**
+ * Record patcher, which applies changes to a copy of the record and collects
+ * errors.
+ *
+ * @private
+ */
+class RecordPatcher {
+
+	/**
+	 * Create new patcher.
+	 *
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc
+	 * Record type descriptor.
+	 * @param {Object} record The record to patch. The record itself is not
+	 * modified.
+	 */
+	constructor(recordTypeDesc, record) {
+
+		this._recordTypeDesc = recordTypeDesc;
+		this._record = recordCloner.cloneRecord(recordTypeDesc, record);
+
+		this._errors = new Array();
+	}
+
+	/**
+	 * Get the patched record.
+	 *
+	 * @returns {Object} The patched record.
+	 * @throws {module:x2node-common.X2SyntaxError} If any errors were found.
+	 * The error object has <code>errors</code> property with the array of
+	 * [PatchError]{@link module:x2node-records~PatchError} objects.
+	 */
+	getResult() {
+
+		const errors = this._errors;
+		if (errors.length > 0) {
+			const err = new common.X2SyntaxError(
+				`Invalid patch (${errors.length} error` +
+					`${errors.length > 1 ? 's' : ''}):\n` +
+					errors.map(e => `  - ${e.path}: ${e.message}`).join('\n'));
+			err.errors = errors;
+			throw err;
+		}
+
+		return this._record;
+	}
+
+	/**
+	 * Run a patch step and collect its errors.
+	 *
+	 * @param {number} [operation] Index of the JSON Patch operation, if any.
+	 * @param {string} path JSON pointer to report if the step fails.
+	 * @param {function} step The step function.
+	 */
+	attempt(operation, path, step) {
+
+		try {
+			step();
+		} catch (err) {
+			if (!(err instanceof common.X2SyntaxError))
+				throw err;
+			const errors = (
+				err.errors || [ { path: path, message: err.message } ]);
+			for (let e of errors) {
+				const patchError = { path: e.path, message: e.message };
+				if (operation !== undefined)
+					patchError.operation = operation;
+				this._errors.push(patchError);
+			}
+		}
+	}
+
+	/**
+	 * Locate value in the record.
+	 *
+	 * @param {string} path JSON pointer of the value.
+	 * @param {boolean} [append] <code>true</code> to allow "-" as the last
+	 * array index, which means the position after the last element.
+	 * @returns {Object} The value location with <code>parent</code>,
+	 * <code>key</code>, <code>propDesc</code> and <code>element</code>
+	 * properties.
+	 * @throws {module:x2node-common.X2SyntaxError} If the path is invalid or
+	 * the value's parent does not exist.
+	 */
+	locate(path, append) {
+
+		if (((typeof path) !== 'string') ||
+			((path.length > 0) && !path.startsWith('/')))
+			throw new common.X2SyntaxError('Invalid JSON pointer.');
+		if (path.length === 0)
+			throw new common.X2SyntaxError(
+				'Operation may not target the whole record.');
+
+		const locate = p => {
+			let loc;
+			try {
+				loc = recordAccessor.locateValue(
+					this._recordTypeDesc, this._record, p);
+			} catch (err) {
+				if (!(err instanceof common.X2UsageError))
+					throw err;
+				throw new common.X2SyntaxError(err.message);
+			}
+			if (!loc)
+				throw new common.X2SyntaxError('Value does not exist.');
+			return loc;
+		};
+
+		// end of an array
+		if (append && path.endsWith('/-')) {
+			const arrayLoc = locate(path.substring(0, path.length - 2));
+			const array = arrayLoc.parent[arrayLoc.key];
+			if (!arrayLoc.element && arrayLoc.propDesc.isArray() &&
+				Array.isArray(array))
+				return {
+					parent: array,
+					key: array.length,
+					propDesc: arrayLoc.propDesc,
+					element: true
+				};
+		}
+
+		return locate(path);
+	}
+
+	/**
+	 * Check that the located value exists.
+	 *
+	 * @param {Object} loc The value location.
+	 * @throws {module:x2node-common.X2SyntaxError} If the value does not exist.
+	 */
+	checkExists(loc) {
+
+		const parent = loc.parent;
+		if (Array.isArray(parent) ?
+			(loc.key >= parent.length) :
+			!Object.prototype.hasOwnProperty.call(parent, loc.key) ||
+				(parent[loc.key] === undefined))
+			throw new common.X2SyntaxError('Value does not exist.');
+	}
+
+	/**
+	 * Check that the property can be modified.
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @throws {module:x2node-common.X2SyntaxError} If the property cannot be
+	 * modified.
+	 */
+	checkModifiable(propDesc) {
+
+		if (propDesc.isView())
+			throw new common.X2SyntaxError('Cannot modify view property.');
+		if (propDesc.isId())
+			throw new common.X2SyntaxError('Cannot modify id property.');
+		if (propDesc.isPolymorphObjectType())
+			throw new common.X2SyntaxError(
+				'Cannot modify polymorphic object type.');
+		if (!propDesc.modifiable)
+			throw new common.X2SyntaxError(
+				'Cannot modify read-only property.');
+	}
+
+	/**
+	 * Check that the value is valid for the location.
+	 *
+	 * @param {Object} loc The value location.
+	 * @param {*} val The value, or <code>undefined</code> to check if the
+	 * property can be removed.
+	 * @param {string} path JSON pointer of the location.
+	 * @throws {module:x2node-common.X2SyntaxError} If the value is invalid.
+	 * The error object has <code>errors</code> property with the validation
+	 * errors.
+	 */
+	checkValue(loc, val, path) {
+
+		const propDesc = loc.propDesc;
+		const errors = (
+			loc.element ?
+				recordValidator.validateElementValue(propDesc, val) :
+				recordValidator.validatePropertyValue(propDesc, val));
+		if (!errors)
+			return;
+
+		const err = new common.X2SyntaxError('Invalid value.');
+		err.errors = new Array();
+		for (let pointer of Object.keys(errors))
+			for (let message of errors[pointer])
+				err.errors.push({ path: path + pointer, message: message });
+		throw err;
+	}
+
+	/**
+	 * Check that the value is not already in an array that does not allow
+	 * duplicates.
+	 *
+	 * @param {Object} loc The element location.
+	 * @param {*} val The element value.
+	 * @param {number} replacedInd Index of the element replaced by the value,
+	 * or -1 if the value is inserted.
+	 * @throws {module:x2node-common.X2SyntaxError} If duplicate value.
+	 */
+	checkDuplicate(loc, val, replacedInd) {
+
+		const propDesc = loc.propDesc;
+		if (Array.isArray(loc.parent) &&
+			(propDesc.scalarValueType !== 'object') &&
+			!propDesc.allowDuplicates &&
+			loc.parent.some((element, ind) => (
+				(ind !== replacedInd) &&
+					recordComparator.valuesEqual(propDesc, element, val))))
+			throw new common.X2SyntaxError('Duplicate array element.');
+	}
+
+	/**
+	 * Add value.
+	 *
+	 * @param {string} path JSON pointer of the location.
+	 * @param {*} val The value.
+	 */
+	add(path, val) {
+
+		const loc = this.locate(path, true);
+		this.checkModifiable(loc.propDesc);
+		if (Array.isArray(loc.parent)) {
+			if (loc.key > loc.parent.length)
+				throw new common.X2SyntaxError('Array index is out of bounds.');
+			this.checkValue(loc, val, path);
+			this.checkDuplicate(loc, val, -1);
+			loc.parent.splice(
+				loc.key, 0, recordCloner.cloneValue(loc.propDesc, val));
+		} else {
+			this.set(loc, val, path);
+		}
+	}
+
+	/**
+	 * Remove value.
+	 *
+	 * @param {string} path JSON pointer of the location.
+	 */
+	remove(path) {
+
+		const loc = this.locate(path);
+		this.checkExists(loc);
+		this.checkModifiable(loc.propDesc);
+		if (!loc.element)
+			this.checkValue(loc, undefined, path);
+
+		if (Array.isArray(loc.parent))
+			loc.parent.splice(loc.key, 1);
+		else
+			delete loc.parent[loc.key];
+	}
+
+	/**
+	 * Replace existing value.
+	 *
+	 * @param {string} path JSON pointer of the location.
+	 * @param {*} val The new value.
+	 */
+	replace(path, val) {
+
+		const loc = this.locate(path);
+		this.checkExists(loc);
+		this.checkModifiable(loc.propDesc);
+		this.set(loc, val, path);
+	}
+
+	/**
+	 * Validate and set value at the location, which must be modifiable.
+	 *
+	 * @param {Object} loc The value location.
+	 * @param {*} val The new value.
+	 * @param {string} path JSON pointer of the location.
+	 */
+	set(loc, val, path) {
+
+		this.checkValue(loc, val, path);
+		if (loc.element)
+			this.checkDuplicate(loc, val, loc.key);
+		loc.parent[loc.key] = (
+			loc.element ?
+				recordCloner.cloneValue(loc.propDesc, val) :
+				recordCloner.clonePropertyValue(loc.propDesc, val));
+	}
+
+	/**
+	 * Get existing value.
+	 *
+	 * @param {string} path JSON pointer of the location.
+	 * @returns {*} The value.
+	 */
+	get(path) {
+
+		const loc = this.locate(path);
+		this.checkExists(loc);
+
+		return loc.parent[loc.key];
+	}
+
+	/**
+	 * Apply JSON Patch operation.
+	 *
+	 * @param {Object} op The operation.
+	 */
+	applyOperation(op) {
+
+		if (!objects.isObject(op))
+			throw new common.X2SyntaxError('Operation must be an object.');
+		const needsValue = [ 'add', 'replace', 'test' ].indexOf(op.op) >= 0;
+		if (needsValue && (op.value === undefined))
+			throw new common.X2SyntaxError('Missing operation value.');
+		const needsFrom = [ 'move', 'copy' ].indexOf(op.op) >= 0;
+		if (needsFrom && ((typeof op.from) !== 'string'))
+			throw new common.X2SyntaxError('Missing operation source.');
+
+		switch (op.op) {
+		case 'add':
+			this.add(op.path, op.value);
+			break;
+		case 'remove':
+			this.remove(op.path);
+			break;
+		case 'replace':
+			this.replace(op.path, op.value);
+			break;
+		case 'move':
+			if (((typeof op.path) === 'string') &&
+				op.path.startsWith(op.from + '/'))
+				throw new common.X2SyntaxError(
+					'Cannot move value into itself.');
+			if (op.path !== op.from) {
+				const val = this.get(op.from);
+				this.remove(op.from);
+				this.add(op.path, val);
+			}
+			break;
+		case 'copy':
+			this.add(op.path, this.get(op.from));
+			break;
+		case 'test':
+			if (!jsonEqual(toJSON(this.get(op.path)), op.value))
+				throw new common.X2SyntaxError('Test failed.');
+			break;
+		default:
+			throw new common.X2SyntaxError(
+				`Invalid operation ${JSON.stringify(op.op)}.`);
+		}
+	}
+
+	/**
+	 * Apply JSON Patch.
+	 *
+	 * @param {Array.<module:x2node-records~PatchOperation>} patch The patch.
+	 */
+	applyPatch(patch) {
+
+		if (!Array.isArray(patch))
+			return this.attempt(undefined, '', () => {
+				throw new common.X2SyntaxError('Patch must be an array.');
+			});
+
+		patch.forEach((op, ind) => {
+			this.attempt(
+				ind, (objects.isObject(op) ? String(op.path) : ''),
+				() => this.applyOperation(op));
+		});
+	}
+
+	/**
+	 * Merge JSON Merge Patch members into an object in the record.
+	 *
+	 * @param {string} pointer JSON pointer of the object, or empty string for
+	 * the record.
+	 * @param {Object} patch The patch object.
+	 */
+	mergeMembers(pointer, patch) {
+
+		for (let key of Object.keys(patch)) {
+			const path = pointers.append(pointer, key);
+			this.attempt(undefined, path, () => this.merge(path, patch[key]));
+		}
+	}
+
+	/**
+	 * Merge JSON Merge Patch value into the record.
+	 *
+	 * @param {string} path JSON pointer of the location.
+	 * @param {*} val The patch value.
+	 */
+	merge(path, val) {
+
+		const loc = this.locate(path);
+		const propDesc = loc.propDesc;
+		const cur = loc.parent[loc.key];
+
+		// remove the value
+		if (val === null) {
+			if (cur !== undefined)
+				this.remove(path);
+			return;
+		}
+
+		// merge into existing nested object or map, unless the patch switches
+		// polymorphic object subtype, in which case the object is replaced
+		if (objects.isObject(val) && objects.isObject(cur) && (
+			(propDesc.isMap() && !loc.element) || (
+				(propDesc.scalarValueType === 'object') &&
+					!propDesc.isPolymorphRef() &&
+					!switchesSubtype(propDesc.nestedProperties, cur, val))))
+			return this.mergeMembers(path, val);
+
+		// set the value, unless unchanged
+		if ((cur !== undefined) && jsonEqual(toJSON(cur), val))
+			return;
+		this.checkModifiable(propDesc);
+		this.set(loc, removeNulls(val), path);
+	}
+
+	/**
+	 * Apply JSON Merge Patch.
+	 *
+	 * @param {Object} patch The patch.
+	 */
+	applyMergePatch(patch) {
+
+		if (!objects.isObject(patch))
+			return this.attempt(undefined, '', () => {
+				throw new common.X2SyntaxError('Patch must be an object.');
+			});
+
+		this.mergeMembers('', patch);
+	}
+}
+
+
+/**
+ * Apply JSON Patch (RFC 6902) to a record of the specified record type.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} record The record. The record is not modified.
+ * @param {Array.<module:x2node-records~PatchOperation>} patch The patch.
+ * @returns {Object} The patched record.
+ * @throws {module:x2node-common.X2SyntaxError} If the patch is invalid.
+ */
+exports.applyPatch = function(recordTypeDesc, record, patch) {
+
+	const patcher = new RecordPatcher(recordTypeDesc, record);
+
+	patcher.applyPatch(patch);
+
+	return patcher.getResult();
+};
+
+/**
+ * Apply JSON Merge Patch (RFC 7386) to a record of the specified record type.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} record The record. The record is not modified.
+ * @param {Object} patch The patch.
+ * @returns {Object} The patched record.
+ * @throws {module:x2node-common.X2SyntaxError} If the patch is invalid.
+ */
+exports.applyMergePatch = function(recordTypeDesc, record, patch) {
+
+	const patcher = new RecordPatcher(recordTypeDesc, record);
+
+	patcher.applyMergePatch(patch);
+
+	return patcher.getResult();
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const refs = require('./refs.js');
+
+
+/**
+ * Call function for every valid reference in the record.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} record The record.
+ * @param {function} handler Function called with the reference value, the
+ * [RecordReference]{@link module:x2node-records~RecordReference} object and
+ * the target record type descriptor. Whatever the handler returns is
+ * returned to the record walker, so it can replace the reference value.
+ */
+function forEachReference(recordTypeDesc, record, handler) {
+
+	recordTypeDesc.walk(record, (val, node) => {
+
+		const propDesc = node.propDesc;
+		if ((!propDesc.isRef() && !propDesc.isPolymorphRef()) ||
+			(!propDesc.isScalar() && !node.element) ||
+			((typeof val) !== 'string'))
+			return;
+
+		// find the target record type
+		let targetDesc;
+		if (propDesc.isRef()) {
+			targetDesc = propDesc.nestedProperties;
+		} else {
+			const targetType = refs.getRefTarget(val);
+			if (propDesc.refTargets.indexOf(targetType) < 0)
+				return;
+			targetDesc = propDesc.nestedProperties.getPropertyDesc(targetType)
+				.nestedProperties;
+		}
+
+		// get the id, ignore invalid references
+		let id;
+		try {
+			id = targetDesc.refToId(val);
+		} catch (err) {
+			if (err instanceof common.X2SyntaxError)
+				return;
+			throw err;
+		}
+
+		return handler(val, {
+			path: node.pointer,
+			targetType: targetDesc.name,
+			id: id
+		}, targetDesc);
+	});
+}
+
+
+/**
+ * Get all references in the record.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} record The record.
+ * @returns {Array.<module:x2node-records~RecordReference>} The references.
+ */
+exports.getReferences = function(recordTypeDesc, record) {
+
+	const refs = new Array();
+
+	forEachReference(recordTypeDesc, record, (val, ref) => {
+		refs.push(ref);
+	});
+
+	return refs;
+};
+
+/**
+ * Rewrite references in the record.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} record The record.
+ * @param {function} mapper Function that takes the
+ * [RecordReference]{@link module:x2node-records~RecordReference} object and
+ * returns the new id, or <code>undefined</code> to leave the reference
+ * unchanged.
+ * @returns {number} Number of rewritten references.
+ * @throws {module:x2node-common.X2UsageError} If the mapper returns an id that
+ * is not valid for the reference target record type, in which case the record
+ * is left unchanged.
+ */
+exports.rewriteReferences = function(recordTypeDesc, record, mapper) {
+
+	// map all ids first, so that the record is not modified if any is invalid
+	const newRefs = new Array();
+	forEachReference(recordTypeDesc, record, (val, ref, targetDesc) => {
+		const newId = mapper(ref);
+		if ((newId === undefined) || (newId === ref.id)) {
+			newRefs.push(undefined);
+			return;
+		}
+		const idValueTypeDesc = targetDesc.getPropertyDesc(
+			targetDesc.idPropertyName).scalarValueTypeDesc;
+		if (!idValueTypeDesc.isValid(newId))
+			throw new common.X2UsageError(
+				`Invalid new id ${String(newId)} for reference ${val} at` +
+					` ${ref.path}: ${idValueTypeDesc.invalidValueMessage}`);
+		newRefs.push(`${ref.targetType}#${newId}`);
+	});
+
+	// rewrite the references
+	let ind = 0;
+	forEachReference(recordTypeDesc, record, () => newRefs[ind++]);
+
+	return newRefs.filter(newRef => (newRef !== undefined)).length;
+};
@@ -3,6 +3,15 @@
 const common = require('x2node-common');
 
 const PropertiesContainer = require('./properties-container.js');
+const recordValidator = require('./record-validator.js');
+const recordCreator = require('./record-creator.js');
+const recordWalker = require('./record-walker.js');
+const recordReferences = require('./record-references.js');
+const recordCloner = require('./record-cloner.js');
+const recordComparator = require('./record-comparator.js');
+const recordDiffer = require('./record-differ.js');
+const recordPatcher = require('./record-patcher.js');
+const recordMigrator = require('./record-migrator.js');
 
 
 /**
@@ -38,6 +47,24 @@ class RecordTypeDescriptor extends PropertiesContainer {
 	 */
 	get name() { return this.recordTypeName; }
 
+	/**
+	 * Human-readable record type label from the definition's
+	 * <code>label</code> attribute, if any.
+	 *
+	 * @member {string=}
+	 * @readonly
+	 */
+	get label() { return this.definition.label; }
+
+	/**
+	 * Record type description from the definition's <code>description</code>
+	 * attribute, if any.
+	 *
+	 * @member {string=}
+	 * @readonly
+	 */
+	get description() { return this.definition.description; }
+
 	/**
 	 * Convert reference to a record of this record type to the record id.
 	 *
@@ -48,24 +75,365 @@ class RecordTypeDescriptor extends PropertiesContainer {
 	 */
 	refToId(ref) {
 
+		// record types with Symbol names cannot be referred
 		if (((typeof ref) !== 'string') ||
+			((typeof this.recordTypeName) !== 'string') ||
 			!ref.startsWith(this.recordTypeName + '#') ||
 			(ref.indexOf('#') === ref.length - 1))
 			throw new common.X2SyntaxError(
-				`Invalid ${this.recordTypeName} record reference.`);
+				`Invalid ${String(this.recordTypeName)} record reference.`);
 
 		const idPropDesc = this.getPropertyDesc(this.idPropertyName);
-		if (idPropDesc.scalarValueType === 'string')
-			return ref.substring(this.recordTypeName.length + 1);
-
-		const id = Number(ref.substring(this.recordTypeName.length + 1));
-		if (!Number.isFinite(id))
+		const id = idPropDesc.scalarValueTypeDesc.parse(
+			ref.substring(this.recordTypeName.length + 1));
+		if (id === undefined)
 			throw new common.X2SyntaxError(
 				`Invalid ${this.recordTypeName} record reference.`);
 
 		return id;
 	}
+
+	/**
+	 * Create new record of this record type. The record object is created using
+	 * the record type factory (see
+	 * [newRecord()]{@link module:x2node-records~PropertiesContainer#newRecord})
+	 * and the initial property values are copied into it. Properties that are
+	 * not included in the initial values, but have default values specified in
+	 * their definitions get the default values. Nested objects (including the
+	 * nested objects provided in the default values) are created the same way
+	 * recursively using their own factories and defaults. For polymorphic
+	 * objects, the subtype is selected by the type property in the initial
+	 * values. Simple values provided by the defaults are coerced to the property
+	 * value type if possible (for example, a <code>Date</code> object is
+	 * converted to a "datetime" string), while the initial values are copied
+	 * as they are. The initial values object is not modified.
+	 *
+	 * @param {Object} [initial] Initial property values.
+	 * @returns {Object} The new record.
+	 */
+	createRecord(initial) {
+
+		return recordCreator.createRecord(this, initial);
+	}
+
+	/**
+	 * Deep clone record of this record type. Unlike generic deep copy, the
+	 * record and every nested object in it are created using the corresponding
+	 * factories (see
+	 * [newRecord()]{@link module:x2node-records~PropertiesContainer#newRecord}),
+	 * so the clone has the same classes as a record created with
+	 * [createRecord()]{@link module:x2node-records~RecordTypeDescriptor#createRecord}.
+	 * For polymorphic objects, the subtype is selected by the type property.
+	 * Values are not coerced or validated. Properties not described by the
+	 * record type are deep copied as plain JSON values.
+	 *
+	 * @param {Object} record The record to clone.
+	 * @returns {Object} The clone.
+	 */
+	clone(record) {
+
+		return recordCloner.cloneRecord(this, record);
+	}
+
+	/**
+	 * Tell if two records of this record type are equal as described by the
+	 * record type. Missing and <code>null</code> property values are the same.
+	 * "datetime" values are compared as moments in time, so the same moment
+	 * written in different time zones is equal. Simple value arrays that do not
+	 * allow duplicates are compared as sets. Elements of nested object arrays
+	 * are matched by the nested object id property, if it is defined, rather
+	 * than by their positions. View properties and properties not described by
+	 * the record type are ignored.
+	 *
+	 * @param {Object} a First record.
+	 * @param {Object} b Second record.
+	 * @returns {boolean} <code>true</code> if the records are equal.
+	 */
+	equals(a, b) {
+
+		return recordComparator.recordsEqual(this, a, b);
+	}
+
+	/**
+	 * Compute changes between two versions of a record of this record type as
+	 * a list of JSON Patch (RFC 6902) operations, which, when applied to the
+	 * original record, produce the new record. The same comparison rules as in
+	 * [equals()]{@link module:x2node-records~RecordTypeDescriptor#equals} are
+	 * used to tell if values changed. Elements of nested object arrays with an
+	 * id property are matched by the ids, so that changes in an element are
+	 * reported as changes of its properties and reordered elements are reported
+	 * as "move" operations. Map entries are matched by the keys. A polymorphic
+	 * object with a changed subtype is replaced as a whole. Simple value arrays
+	 * that do not allow duplicates are treated as sets: removed values are
+	 * removed and new values are appended. Other arrays are compared element by
+	 * element. View properties and properties not described by the record type
+	 * are ignored.
+	 *
+	 * @param {Object} from The original record.
+	 * @param {Object} to The new record.
+	 * @param {Object} [options] Diff options.
+	 * @param {boolean} [options.modifiableOnly] If <code>true</code>, changes
+	 * in the properties that are not modifiable (including the ids) are not
+	 * reported.
+	 * @returns {Array.<module:x2node-records~PatchOperation>} The operations,
+	 * empty if the records are equal.
+	 */
+	diff(from, to, options) {
+
+		return recordDiffer.diffRecords(this, from, to, options);
+	}
+
+	/**
+	 * Apply JSON Patch (RFC 6902) to a record of this record type. Every
+	 * operation path is resolved against the record type, so that only the
+	 * properties described by the record type can be targeted. Properties that
+	 * are views, ids, polymorphic object type properties or otherwise not
+	 * modifiable cannot be changed, required properties cannot be removed and
+	 * new values must be valid for the properties (see
+	 * [validate()]{@link module:x2node-records~RecordTypeDescriptor#validate}).
+	 * A value cannot be added to a non-object array that does not allow
+	 * duplicates if the array already has an equal value (compared the same
+	 * way as in
+	 * [equals()]{@link module:x2node-records~RecordTypeDescriptor#equals}).
+	 * New nested objects are created using their factories. The patch is
+	 * applied atomically: the record itself is not modified and the patched
+	 * copy is returned only if all operations succeed.
+	 *
+	 * @param {Object} record The record.
+	 * @param {Array.<module:x2node-records~PatchOperation>} patch The patch.
+	 * @returns {Object} New, patched record.
+	 * @throws {module:x2node-common.X2SyntaxError} If the patch is invalid or
+	 * cannot be applied. The error object has <code>errors</code> property with
+	 * the array of [PatchError]{@link module:x2node-records~PatchError} objects
+	 * describing all failed operations.
+	 */
+	applyPatch(record, patch) {
+
+		return recordPatcher.applyPatch(this, record, patch);
+	}
+
+	/**
+	 * Apply JSON Merge Patch (RFC 7386) to a record of this record type. The
+	 * same rules as in
+	 * [applyPatch()]{@link module:x2node-records~RecordTypeDescriptor#applyPatch}
+	 * apply. Nested objects and maps in the patch are merged into the existing
+	 * ones, arrays replace the existing arrays as a whole. A polymorphic object
+	 * in the patch with a type different from the current one replaces the
+	 * existing object as a whole. Values in the patch
+	 * that are equal to the current values are ignored, so that, for example,
+	 * the patch may include the unchanged ids.
+	 *
+	 * @param {Object} record The record.
+	 * @param {Object} patch The patch.
+	 * @returns {Object} New, patched record.
+	 * @throws {module:x2node-common.X2SyntaxError} If the patch is invalid or
+	 * cannot be applied. The error object has <code>errors</code> property with
+	 * the array of [PatchError]{@link module:x2node-records~PatchError} objects.
+	 */
+	applyMergePatch(record, patch) {
+
+		return recordPatcher.applyMergePatch(this, record, patch);
+	}
+
+	/**
+	 * Upgrade record of this record type created with an older version of the
+	 * record types library (see library's <code>version</code> property). The
+	 * migration steps defined in the library for this record type are
+	 * performed in the version order, starting from the version next to the
+	 * record version. The migrated record is created using the factories, the
+	 * same way as in
+	 * [clone()]{@link module:x2node-records~RecordTypeDescriptor#clone}. The
+	 * original record is not modified. The migrated record is validated the
+	 * same way as by
+	 * [validate()]{@link module:x2node-records~RecordTypeDescriptor#validate}.
+	 * The library keeps only the current record type definitions, so the
+	 * validation is against the current definition only and the record data
+	 * between the steps is not checked.
+	 *
+	 * @param {Object} record The record.
+	 * @param {number} fromVersion Library version, to which the record
+	 * corresponds.
+	 * @returns {Object} New, migrated record.
+	 * @throws {module:x2node-common.X2UsageError} If the library does not have
+	 * a version, the record is not an object or the record version is not a
+	 * positive integer not greater than the library version.
+	 * @throws {module:x2node-common.X2SyntaxError} If the migrated record is
+	 * invalid. The error object has <code>errors</code> property with the
+	 * validation errors as returned by <code>validate()</code>.
+	 */
+	migrate(record, fromVersion) {
+
+		return recordMigrator.migrateRecord(
+			this, this._migrations, record, fromVersion);
+	}
+
+	/**
+	 * Walk the record and call the visitor for every present property value
+	 * (including the polymorphic object type properties) and, for array and map
+	 * properties, every collection element. The properties are visited in the
+	 * order they are defined, the nested objects are entered after they are
+	 * visited and for polymorphic objects the properties of the subtype
+	 * specified by the object type property are visited after the shared ones.
+	 * References are not followed and the properties not described by the
+	 * record type are ignored. The visitor can replace the value by returning
+	 * the replacement (which is then entered instead of the original value),
+	 * tell the walker not to enter the value by returning
+	 * <code>SKIP</code> or remove the value from the record (a property is
+	 * deleted, an array element is spliced out) by returning
+	 * <code>PRUNE</code>. The <code>SKIP</code> and <code>PRUNE</code>
+	 * constants are exported by the module.
+	 *
+	 * @param {Object} record The record.
+	 * @param {module:x2node-records~RecordVisitor} visitor The visitor.
+	 * @param {Object} [options] Walk options.
+	 * @param {boolean} [options.includeViews] Visit view properties (skipped by
+	 * default).
+	 */
+	walk(record, visitor, options) {
+
+		recordWalker.walkRecord(this, record, visitor, options);
+	}
+
+	/**
+	 * Get all references contained in the record, including references in
+	 * nested objects, arrays, maps and polymorphic reference properties. View
+	 * properties are not included. Invalid reference values are ignored (use
+	 * [validate()]{@link module:x2node-records~RecordTypeDescriptor#validate}
+	 * to find them).
+	 *
+	 * @param {Object} record The record.
+	 * @returns {Array.<module:x2node-records~RecordReference>} The references
+	 * in the order they appear in the record.
+	 */
+	getReferences(record) {
+
+		return recordReferences.getReferences(this, record);
+	}
+
+	/**
+	 * Rewrite references contained in the record (for example, to remap record
+	 * ids when importing records). The mapper function is called for every
+	 * reference that would be returned by
+	 * [getReferences()]{@link module:x2node-records~RecordTypeDescriptor#getReferences}
+	 * and returns the new referred record id. The reference target record type
+	 * does not change. The record is modified in place.
+	 *
+	 * @param {Object} record The record.
+	 * @param {function} mapper Function that takes the
+	 * [RecordReference]{@link module:x2node-records~RecordReference} object and
+	 * returns the new id, or <code>undefined</code> to leave the reference
+	 * unchanged.
+	 * @returns {number} Number of rewritten references.
+	 * @throws {module:x2node-common.X2UsageError} If the mapper returns an id
+	 * that is not valid for the reference target record type, in which case the
+	 * record is left unchanged.
+	 */
+	rewriteReferences(record, mapper) {
+
+		return recordReferences.rewriteReferences(this, record, mapper);
+	}
+
+	/**
+	 * Convert id of a record of this record type to the record reference.
+	 *
+	 * @param {(string|number)} id Record id.
+	 * @returns {string} Record reference.
+	 * @throws {module:x2node-common.X2UsageError} If the id is not a valid
+	 * value of the record type id property or the record type name is a
+	 * <code>Symbol</code>, which cannot be used in a reference.
+	 */
+	idToRef(id) {
+
+		if ((typeof this.recordTypeName) !== 'string')
+			throw new common.X2UsageError(
+				`Record type ${String(this.recordTypeName)} cannot be` +
+					` referred: record type name is not a string.`);
+
+		const idPropDesc = this.getPropertyDesc(this.idPropertyName);
+		if (!idPropDesc.scalarValueTypeDesc.isValid(id))
+			throw new common.X2UsageError(
+				`Invalid ${this.recordTypeName} record id ${String(id)}.`);
+
+		return `${this.recordTypeName}#${id}`;
+	}
+
+	/**
+	 * Validate record instance against this record type. The whole record is
+	 * checked and all found problems are reported: missing required
+	 * properties, values of wrong types, invalid references, wrong array and
+	 * map shapes, unknown polymorphic object subtypes and unknown properties.
+	 * View properties are ignored.
+	 *
+	 * @param {Object} record The record to validate.
+	 * @returns {?Object.<string,Array.<string>>} Validation errors keyed by JSON
+	 * pointers of the invalid values in the record, or <code>null</code> if the
+	 * record is valid.
+	 */
+	validate(record) {
+
+		return recordValidator.validateRecord(this, record);
+	}
 }
 
+/**
+ * Reference contained in a record.
+ *
+ * @typedef {Object} module:x2node-records~RecordReference
+ * @property {string} path JSON pointer of the reference value in the record.
+ * @property {string} targetType Name of the referred record type.
+ * @property {(string|number)} id Referred record id.
+ */
+
+/**
+ * JSON Patch (RFC 6902) operation.
+ *
+ * @typedef {Object} module:x2node-records~PatchOperation
+ * @property {string} op Operation type: "add", "remove", "replace", "move",
+ * "copy" or "test".
+ * @property {string} path JSON pointer of the operation target location in
+ * the record.
+ * @property {string} [from] For "move" and "copy" operations, JSON pointer of
+ * the source location.
+ * @property {*} [value] For "add", "replace" and "test" operations, the value.
+ */
+
+/**
+ * Error found when applying a patch to a record.
+ *
+ * @typedef {Object} module:x2node-records~PatchError
+ * @property {number} [operation] For JSON Patch, index of the failed
+ * operation in the patch.
+ * @property {string} path JSON pointer of the invalid value in the record.
+ * @property {string} message Error message.
+ */
+
+/**
+ * Record visitor function used with the record type descriptor's
+ * [walk()]{@link module:x2node-records~RecordTypeDescriptor#walk} method.
+ *
+ * @callback module:x2node-records~RecordVisitor
+ * @param {*} value The visited value.
+ * @param {module:x2node-records~RecordVisitorNode} node Information about the
+ * visited value.
+ * @returns {*} <code>undefined</code> to continue normally, the module's
+ * <code>SKIP</code> to not enter the value, the module's <code>PRUNE</code>
+ * to remove the value from the record, or the replacement value.
+ */
+
+/**
+ * Information about the value visited by a record visitor.
+ *
+ * @typedef {Object} module:x2node-records~RecordVisitorNode
+ * @property {module:x2node-records~PropertyDescriptor} propDesc Descriptor of
+ * the property.
+ * @property {string} pointer JSON pointer of the value in the record.
+ * @property {(Object|Array)} parent The object that has the property, or the
+ * array or map for a collection element.
+ * @property {(string|number)} key Property name, array index or map key of the
+ * value in the parent.
+ * @property {boolean} element <code>true</code> if the value is an array or
+ * map element, <code>false</code> if it is the property value.
+ */
+
 // export the class
 module.exports = RecordTypeDescriptor;
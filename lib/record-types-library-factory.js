@@ -5,6 +5,10 @@ const common = require('x2node-common');
 const RecordTypesLibrary = require('./record-types-library.js');
 const PropertiesContainer = require('./properties-container.js');
 const CoreExtension = require('./core.js');
+const definitionError = require('./definition-error.js');
+const valueTypes = require('./value-types.js');
+const templates = require('./templates.js');
+const definitionLoader = require('./definition-loader.js');
 
 
 /**
@@ -24,11 +28,18 @@ class LibraryConstructionContext {
 	 *
 	 * @private
 	 * @param {Iterable.<module:x2node-records.Extension>} Extensions.
+	 * @param {boolean} collectErrors <code>true</code> to collect all
+	 * definition errors instead of throwing the first one.
 	 */
-	constructor(extensions) {
+	constructor(extensions, collectErrors) {
 
 		this._extensions = Array.from(extensions);
 
+		this._errors = (collectErrors ? new Array() : null);
+
+		this._valueTypeDescs = valueTypes.createRegistry();
+		this._valueTypesSealed = false;
+
 		this._validators = new Array();
 		this._onLibraryCompleteHandlersPlan = {
 			ctxHandlers: null,
@@ -51,7 +62,9 @@ class LibraryConstructionContext {
 	validateLibrary() {
 
 		this._validators.forEach(validator => {
-			validator(this._recordTypes);
+			this.attempt(() => {
+				validator(this._recordTypes);
+			});
 		});
 
 		this._validators.length = 0;
@@ -69,13 +82,17 @@ class LibraryConstructionContext {
 		this._onLibraryCompleteHandlersPlan.ctxHandlers =
 			this._onLibraryCompleteHandlersPlan.byLibrary;
 
-		return this._recordTypes = this._extensions.reduce(
+		this._recordTypes = this._extensions.reduce(
 			(res, extension) => (
 				extension.extendRecordTypesLibrary ?
 					extension.extendRecordTypesLibrary(this, res) : res
 			),
 			recordTypes
 		);
+
+		this._valueTypesSealed = true;
+
+		return this._recordTypes;
 	}
 
 	/**
@@ -95,22 +112,30 @@ class LibraryConstructionContext {
 			byContainer: new Array()
 		});
 
-		return this._extensions.reduce(
-			(res, extension, i) => {
-				this._onLibraryCompleteHandlersPlan.ctxHandlers =
-					this._onLibraryCompleteHandlersPlan.byContainers[i];
-				const onContainerCompleteHandlersPlan =
-					this._onContainerCompleteHandlersPlansStack[
-						this._onContainerCompleteHandlersPlansStack.length - 1];
-				onContainerCompleteHandlersPlan.ctxHandlers =
-					onContainerCompleteHandlersPlan.byContainer;
-				return (
-					extension.extendPropertiesContainer ?
-						extension.extendPropertiesContainer(this, res) : res
-				);
-			},
-			container
-		);
+		try {
+			return this._extensions.reduce(
+				(res, extension, i) => {
+					this._onLibraryCompleteHandlersPlan.ctxHandlers =
+						this._onLibraryCompleteHandlersPlan.byContainers[i];
+					const onContainerCompleteHandlersPlan =
+						this._onContainerCompleteHandlersPlansStack[
+							this._onContainerCompleteHandlersPlansStack.length -
+								1];
+					onContainerCompleteHandlersPlan.ctxHandlers =
+						onContainerCompleteHandlersPlan.byContainer;
+					return (
+						extension.extendPropertiesContainer ?
+							extension.extendPropertiesContainer(this, res) : res
+					);
+				},
+				container
+			);
+		} catch (err) {
+			this._onContainerCompleteHandlersPlansStack.pop();
+			this._inContainer = (
+				this._onContainerCompleteHandlersPlansStack.length > 0);
+			throw err;
+		}
 	}
 
 	/**
@@ -173,7 +198,9 @@ class LibraryConstructionContext {
 				this._onLibraryCompleteHandlersPlan.byLibrary;
 			handlersCalled = 0;
 			handlers.forEach(handler => {
-				handler(this._recordTypes);
+				this.attempt(() => {
+					handler(this._recordTypes);
+				});
 				handlersCalled++;
 			});
 		} while (handlersCalled > 0);
@@ -212,7 +239,10 @@ class LibraryConstructionContext {
 				onContainerCompleteHandlersPlan.byContainer;
 			handlersCalled = 0;
 			handlers.forEach(handler => {
-				handler(container);
+				this.attempt(() => {
+					handler(container);
+				}, container.recordTypeName, container.nestedPath.substring(
+					0, container.nestedPath.length - 1));
 				handlersCalled++;
 			});
 		} while (handlersCalled > 0);
@@ -242,7 +272,11 @@ class LibraryConstructionContext {
 					containerPropDesc.container.recordTypeName,
 					containerPropDesc.container.nestedPath +
 						containerPropDesc.name + '.',
-					containerDef,
+					this.resolveContainerDefinition(
+						containerDef,
+						containerPropDesc.container.recordTypeName,
+						containerPropDesc.container.nestedPath +
+							containerPropDesc.name + '.'),
 					containerPropDesc.container,
 					containerPropDesc.modifiable
 				)
@@ -250,6 +284,61 @@ class LibraryConstructionContext {
 		);
 	}
 
+	/**
+	 * Get definition of a named object type from the <code>objectTypes</code>
+	 * section of the library definition.
+	 *
+	 * @param {string} name Object type name.
+	 * @returns {Object} Object type definition, or <code>undefined</code> if
+	 * no such object type.
+	 */
+	getObjectTypeDef(name) {
+
+		const objectTypeDefs = this.objectTypeDefs;
+
+		return (
+			objectTypeDefs && objectTypeDefs.hasOwnProperty(name) ?
+				objectTypeDefs[name] : undefined);
+	}
+
+	/**
+	 * Named object type definitions from the library definition, if any.
+	 *
+	 * @member {Object.<string,Object>=}
+	 * @readonly
+	 */
+	get objectTypeDefs() {
+
+		const libraryDef = this._recordTypes.definition;
+
+		return (libraryDef.recordTypes ? libraryDef.objectTypes : undefined);
+	}
+
+	/**
+	 * Resolve container definition that uses templates from the library
+	 * definition via its <code>extends</code> and <code>mixins</code>
+	 * attributes.
+	 *
+	 * @private
+	 * @param {Object} containerDef Container definition.
+	 * @param {(string|Symbol)} recordTypeName Name of the record type, to which
+	 * the container belongs.
+	 * @param {string} nestedPath Container nested path (empty string for a
+	 * record type).
+	 * @returns {Object} Resolved container definition, or the original
+	 * definition if it does not use templates.
+	 * @throws {module:x2node-common.X2UsageError} If the templates are used
+	 * incorrectly.
+	 */
+	resolveContainerDefinition(containerDef, recordTypeName, nestedPath) {
+
+		const libraryDef = this._recordTypes.definition;
+
+		return templates.resolveContainerDefinition(
+			(libraryDef.recordTypes ? libraryDef.templates : undefined),
+			containerDef, recordTypeName, nestedPath);
+	}
+
 	/**
 	 * Add record type to the record types library.
 	 *
@@ -269,12 +358,65 @@ class LibraryConstructionContext {
 			throw new common.X2UsageError('Wrong invocation.');
 
 		if (this._recordTypes.hasRecordType(recordTypeName))
-			throw new common.X2UsageError(
+			throw definitionError.create(
+				'DUPLICATE_RECORD_TYPE', recordTypeName, '',
 				'Record type ' + String(recordTypeName) + ' already exists.');
 
 		this._recordTypes.addRecordType(this, recordTypeName, recordTypeDef);
 	}
 
+	/**
+	 * Add custom simple value type to the library. Once added, the value type
+	 * name can be used in the property definitions' <code>valueType</code>
+	 * attribute the same way as the built-in "string", "number", "boolean" and
+	 * "datetime" value types, including arrays and maps (for example,
+	 * "uuid[]").
+	 *
+	 * <p>This method can only be called from the extension's
+	 * [extendRecordTypesLibrary()]{@link module:x2node-records.Extension#extendRecordTypesLibrary}
+	 * function.
+	 *
+	 * @param {string} name Value type name.
+	 * @param {module:x2node-records.ValueTypeDefinition} valueTypeDef Value type
+	 * definition.
+	 * @throws {module:x2node-common.X2UsageError} If value type with the same
+	 * name already exists, the definition is invalid or if called from a wrong
+	 * place in the extension.
+	 */
+	addValueType(name, valueTypeDef) {
+
+		if (this._valueTypesSealed)
+			throw new common.X2UsageError('Wrong invocation.');
+
+		if (this._valueTypeDescs.has(name))
+			throw new common.X2UsageError(
+				'Value type ' + name + ' already exists.');
+
+		this._valueTypeDescs.set(
+			name, valueTypes.createDescriptor(name, valueTypeDef));
+	}
+
+	/**
+	 * Get descriptor of a simple value type.
+	 *
+	 * @param {string} name Value type name.
+	 * @returns {module:x2node-records~ValueTypeDescriptor=} The value type
+	 * descriptor, or <code>undefined</code> if no such value type.
+	 */
+	getValueTypeDesc(name) {
+
+		return this._valueTypeDescs.get(name);
+	}
+
+	/**
+	 * Registry of all simple value types.
+	 *
+	 * @private
+	 * @member {Map.<string,module:x2node-records~ValueTypeDescriptor>}
+	 * @readonly
+	 */
+	get valueTypeDescs() { return this._valueTypeDescs; }
+
 	/**
 	 * Add hidden property to the current context properties container. The
 	 * property descriptor will be available via the container's
@@ -292,12 +434,66 @@ class LibraryConstructionContext {
 			throw new common.X2UsageError('Wrong invocation.');
 
 		if (this._completingContainer.hasProperty(propName))
-			throw new common.X2UsageError(
+			throw definitionError.create(
+				'DUPLICATE_PROPERTY', this._completingContainer.recordTypeName,
+				this._completingContainer.nestedPath + propName,
 				'Property ' + propName + ' already exists.');
 
 		this._completingContainer.addProperty(this, propName, propDef);
 	}
 
+	/**
+	 * Perform a library definition processing task. If the context collects
+	 * definition errors, an
+	 * [X2UsageError]{@link module:x2node-common.X2UsageError} thrown by the task
+	 * is recorded and the processing continues. Otherwise, the error is thrown.
+	 *
+	 * @param {function} task The task function. Takes no arguments.
+	 * @param {(string|Symbol)} [recordTypeName] Name of the record type, to
+	 * which the task pertains, used for errors that do not specify it
+	 * themselves.
+	 * @param {string} [propertyPath] Path of the property, to which the task
+	 * pertains, used for errors that do not specify it themselves.
+	 * @returns {boolean} <code>true</code> if the task completed successfully.
+	 */
+	attempt(task, recordTypeName, propertyPath) {
+
+		if (!this._errors) {
+			task();
+			return true;
+		}
+
+		try {
+			task();
+		} catch (err) {
+			if (!(err instanceof common.X2UsageError))
+				throw err;
+			this._errors.push({
+				code: (err.code || 'INVALID_DEFINITION'),
+				recordTypeName: (
+					err.recordTypeName !== undefined ?
+						err.recordTypeName : recordTypeName),
+				propertyPath: (
+					err.propertyPath !== undefined ?
+						err.propertyPath : propertyPath),
+				message: err.message
+			});
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Definition errors collected by the context, or <code>null</code> if the
+	 * context does not collect errors.
+	 *
+	 * @private
+	 * @member {?Array.<module:x2node-records~DefinitionError>}
+	 * @readonly
+	 */
+	get errors() { return this._errors; }
+
 	/**
 	 * Register validator invoked after the library completion.
 	 *
@@ -390,16 +586,108 @@ class RecordTypesLibraryFactory {
 	 *
 	 * @param {Object} libraryDef Library definition object including record type
 	 * definitions.
+	 * @param {Object} [options] Build options.
+	 * @param {boolean} [options.collectErrors] If <code>true</code>, all
+	 * definition errors are collected and reported together in a single error
+	 * thrown at the end. Otherwise, the first found definition error is thrown.
 	 * @returns {module:x2node-records~RecordTypesLibrary} Record types library.
 	 * @throws {module:x2node-common.X2UsageError} If any record type definitions
-	 * are found invalid.
+	 * are found invalid. If errors are collected, the error object has
+	 * <code>errors</code> property with the array of
+	 * [DefinitionError]{@link module:x2node-records~DefinitionError} objects.
+	 */
+	buildLibrary(libraryDef, options) {
+
+		const collectErrors = (options && options.collectErrors ? true : false);
+
+		const ctx = new LibraryConstructionContext(
+			this._extensions, collectErrors);
+
+		const recordTypes = this._build(ctx, libraryDef);
+
+		if (collectErrors && (ctx.errors.length > 0))
+			throw collectedErrorsError(ctx.errors);
+
+		return recordTypes;
+	}
+
+	/**
+	 * Load library definition from JSON and YAML files and build the record
+	 * types library. Definition errors include the file and the line of the
+	 * invalid definition.
+	 *
+	 * @param {(string|Array.<string>)} paths Paths of the definition files and
+	 * directories with the definition files.
+	 * @param {Object} [options] Load and build options.
+	 * @param {Object.<string,function>} [options.factories] Named factory
+	 * functions for the <code>factory</code> definition attributes.
+	 * @param {boolean} [options.collectErrors] If <code>true</code>, all
+	 * definition errors are collected and reported together.
+	 * @returns {module:x2node-records~RecordTypesLibrary} Record types library.
+	 * @throws {module:x2node-common.X2UsageError} If the definition files cannot
+	 * be loaded or any record type definitions are found invalid.
 	 */
-	buildLibrary(libraryDef) {
+	loadLibrary(paths, options) {
+
+		const loaded = definitionLoader.load(paths, options);
 
-		const ctx = new LibraryConstructionContext(this._extensions);
+		const locate = err => {
+			const loc = loaded.locate(err.recordTypeName, err.propertyPath);
+			if (loc) {
+				err.file = loc.file;
+				err.line = loc.line;
+				err.message = `${loc.file}:${loc.line}: ${err.message}`;
+			}
+		};
+
+		try {
+			return this.buildLibrary(loaded.definition, options);
+		} catch (err) {
+			if (!(err instanceof common.X2UsageError))
+				throw err;
+			if (!err.errors) {
+				locate(err);
+				throw err;
+			}
+			err.errors.forEach(locate);
+			throw collectedErrorsError(err.errors);
+		}
+	}
+
+	/**
+	 * Check the provided library definitions and report all found definition
+	 * errors.
+	 *
+	 * @param {Object} libraryDef Library definition object including record type
+	 * definitions.
+	 * @returns {module:x2node-records~LibraryDiagnostics} Diagnostics report.
+	 */
+	checkLibrary(libraryDef) {
+
+		const ctx = new LibraryConstructionContext(this._extensions, true);
+
+		const recordTypes = this._build(ctx, libraryDef);
+
+		return {
+			valid: (ctx.errors.length === 0),
+			errors: ctx.errors,
+			recordTypes: (ctx.errors.length === 0 ? recordTypes : null)
+		};
+	}
+
+	/**
+	 * Build record types library using the specified construction context.
+	 *
+	 * @private
+	 * @param {module:x2node-records~LibraryConstructionContext} ctx Library
+	 * construction context.
+	 * @param {Object} libraryDef Library definition object.
+	 * @returns {module:x2node-records~RecordTypesLibrary} Record types library.
+	 */
+	_build(ctx, libraryDef) {
 
 		const recordTypes = ctx.extendLibrary(
-			new RecordTypesLibrary(libraryDef)
+			new RecordTypesLibrary(libraryDef, ctx.valueTypeDescs)
 		).addRecordTypes(ctx);
 
 		ctx.completeLibrary();
@@ -409,5 +697,53 @@ class RecordTypesLibraryFactory {
 	}
 }
 
+/**
+ * Create error that reports all definition errors collected during the library
+ * construction.
+ *
+ * @private
+ * @param {Array.<module:x2node-records~DefinitionError>} errors The errors.
+ * @returns {module:x2node-common.X2UsageError} Error to throw.
+ */
+function collectedErrorsError(errors) {
+
+	const err = new common.X2UsageError(
+		`Invalid record types library definition` +
+			` (${errors.length} error${errors.length > 1 ? 's' : ''}):\n` +
+			errors.map(e => '  - ' + e.message).join('\n'));
+	err.errors = errors;
+
+	return err;
+}
+
+/**
+ * Record types library definition error descriptor.
+ *
+ * @typedef {Object} module:x2node-records~DefinitionError
+ * @property {string} code Machine-readable error code, such as
+ * "INVALID_VALUE_TYPE", "UNKNOWN_REF_TARGET" or "MULTIPLE_IDS".
+ * @property {(string|Symbol)} [recordTypeName] Name of the record type, which
+ * definition is invalid.
+ * @property {string} [propertyPath] Dot-separated path to the invalid property
+ * within the record type, or empty string if the error is about the record
+ * type itself.
+ * @property {string} message Error message.
+ * @property {string} [file] For a library loaded from files, path of the file
+ * with the invalid definition.
+ * @property {number} [line] For a library loaded from files, line of the
+ * invalid definition in the file.
+ */
+
+/**
+ * Record types library definition diagnostics report.
+ *
+ * @typedef {Object} module:x2node-records~LibraryDiagnostics
+ * @property {boolean} valid <code>true</code> if no definition errors found.
+ * @property {Array.<module:x2node-records~DefinitionError>} errors All found
+ * definition errors.
+ * @property {?module:x2node-records~RecordTypesLibrary} recordTypes The built
+ * library, or <code>null</code> if the definition is invalid.
+ */
+
 // export the class
 module.exports = RecordTypesLibraryFactory;
@@ -2,7 +2,12 @@
 
 const common = require('x2node-common');
 
+const definitionError = require('./definition-error.js');
+const objects = require('./objects.js');
 const RecordTypeDescriptor = require('./record-type-descriptor.js');
+const propertyPath = require('./property-path.js');
+const ReferenceGraph = require('./reference-graph.js');
+const refs = require('./refs.js');
 
 
 /**
@@ -21,11 +26,15 @@ class RecordTypesLibrary {
 	 *
 	 * @protected
 	 * @param {Object} libraryDef Library definition.
+	 * @param {Map.<string,module:x2node-records~ValueTypeDescriptor>}
+	 * valueTypeDescs Registry of the simple value types.
 	 */
-	constructor(libraryDef) {
+	constructor(libraryDef, valueTypeDescs) {
 
 		this._definition = libraryDef;
 
+		this._valueTypeDescs = valueTypeDescs;
+
 		this._definedRecordTypeNames = [];
 
 		this._recordTypeDescs = {};
@@ -44,9 +53,11 @@ class RecordTypesLibrary {
 		const recordTypeDefs = (
 			this._definition.recordTypes || this._definition);
 		for (let recordTypeName in recordTypeDefs) {
-			this.addRecordType(
-				ctx, recordTypeName, recordTypeDefs[recordTypeName]);
-			this._definedRecordTypeNames.push(recordTypeName);
+			if (ctx.attempt(() => {
+				this.addRecordType(
+					ctx, recordTypeName, recordTypeDefs[recordTypeName]);
+			}, recordTypeName, ''))
+				this._definedRecordTypeNames.push(recordTypeName);
 		}
 
 		return this;
@@ -60,13 +71,24 @@ class RecordTypesLibrary {
 	 * construction context.
 	 * @param {(string|Symbol)} recordTypeName Record type name.
 	 * @param {Object} recordTypeDef Record type definition.
+	 * @throws {module:x2node-common.X2UsageError} If the record type definition
+	 * is invalid.
 	 */
 	addRecordType(ctx, recordTypeName, recordTypeDef) {
 
+		if (!objects.isObject(recordTypeDef))
+			throw definitionError.create(
+				'INVALID_DEFINITION', recordTypeName, '',
+				'Record type ' + String(recordTypeName) +
+					' has invalid definition: expected an object.');
+
 		this._recordTypeDescs[recordTypeName] =
 			ctx.completeContainer(
 				ctx.extendContainer(
-					new RecordTypeDescriptor(recordTypeName, recordTypeDef)
+					new RecordTypeDescriptor(
+						recordTypeName,
+						ctx.resolveContainerDefinition(
+							recordTypeDef, recordTypeName, ''))
 				).addProperties(ctx)
 			);
 	}
@@ -102,6 +124,37 @@ class RecordTypesLibrary {
 		return this._recordTypeDescs.hasOwnProperty(recordTypeName);
 	}
 
+	/**
+	 * Get descriptor of the specified simple value type.
+	 *
+	 * @param {string} valueTypeName Value type name, such as "string" or name of
+	 * a custom value type added by an extension.
+	 * @returns {module:x2node-records~ValueTypeDescriptor} Value type
+	 * descriptor.
+	 * @throws {module:x2node-common.X2UsageError} If no such value type in the
+	 * library.
+	 */
+	getValueTypeDesc(valueTypeName) {
+
+		const valueTypeDesc = this._valueTypeDescs.get(valueTypeName);
+		if (!valueTypeDesc)
+			throw new common.X2UsageError(
+				`Unknown value type ${valueTypeName}.`);
+
+		return valueTypeDesc;
+	}
+
+	/**
+	 * Tell if the library has the specified simple value type.
+	 *
+	 * @param {string} valueTypeName Value type name.
+	 * @returns {boolean} <code>true</code> if there is such value type.
+	 */
+	hasValueType(valueTypeName) {
+
+		return this._valueTypeDescs.has(valueTypeName);
+	}
+
 	/**
 	 * The original library definition provided to the factory.
 	 *
@@ -119,6 +172,23 @@ class RecordTypesLibrary {
 	 */
 	get definedRecordTypeNames() { return this._definedRecordTypeNames; }
 
+	/**
+	 * Library version from the definition's <code>version</code> attribute, if
+	 * any. Records created with an older version of the library can be
+	 * upgraded using record type descriptor's
+	 * [migrate()]{@link module:x2node-records~RecordTypeDescriptor#migrate}
+	 * method.
+	 *
+	 * @member {number=}
+	 * @readonly
+	 */
+	get version() {
+
+		const libraryDef = this._definition;
+
+		return (libraryDef.recordTypes ? libraryDef.version : undefined);
+	}
+
 	/**
 	 * Convert reference to a record of the specified record type to the
 	 * record id.
@@ -138,7 +208,136 @@ class RecordTypesLibrary {
 
 		return recordTypeDesc.refToId(ref);
 	}
+
+	/**
+	 * Convert id of a record of the specified record type to the record
+	 * reference.
+	 *
+	 * @param {string} recordTypeName Record type name.
+	 * @param {(string|number)} id Record id.
+	 * @returns {string} Record reference.
+	 * @throws {module:x2node-common.X2UsageError} If no such record type in the
+	 * library or the id is invalid.
+	 */
+	idToRef(recordTypeName, id) {
+
+		return this.getRecordTypeDesc(recordTypeName).idToRef(id);
+	}
+
+	/**
+	 * Parse record reference. Unlike
+	 * [refToId()]{@link module:x2node-records~RecordTypesLibrary#refToId}, the
+	 * record type does not need to be known upfront, which is useful for the
+	 * values of polymorphic reference properties.
+	 *
+	 * @param {string} ref Record reference.
+	 * @returns {module:x2node-records~ParsedReference} Parsed reference.
+	 * @throws {module:x2node-common.X2SyntaxError} If the reference has invalid
+	 * syntax, refers to an unknown record type or has an invalid id.
+	 */
+	parseRef(ref) {
+
+		const recordTypeName = refs.getRefTarget(ref);
+		if (!recordTypeName || !this.hasRecordType(recordTypeName))
+			throw new common.X2SyntaxError(
+				`Invalid record reference ${String(ref)}.`);
+
+		return {
+			recordTypeName: recordTypeName,
+			id: this._recordTypeDescs[recordTypeName].refToId(ref)
+		};
+	}
+
+	/**
+	 * Tell if the value is a valid record reference. This is the check applied
+	 * to the values of polymorphic reference properties, in which case the
+	 * allowed targets are the property's <code>refTargets</code>.
+	 *
+	 * @param {*} ref The value to check.
+	 * @param {(string|Array.<string>)} [allowedTargets] Allowed referred record
+	 * type name or names. If not specified, a reference to any record type in
+	 * the library is valid.
+	 * @returns {boolean} <code>true</code> if valid reference.
+	 */
+	isValidRef(ref, allowedTargets) {
+
+		return refs.isValidRef(ref, recordTypeName => (
+			this.hasRecordType(recordTypeName) && (
+				(allowedTargets === undefined) || (
+					Array.isArray(allowedTargets) ?
+						(allowedTargets.indexOf(recordTypeName) >= 0) :
+						(allowedTargets === recordTypeName))) ?
+				this._recordTypeDescs[recordTypeName] : null));
+	}
+
+	/**
+	 * Resolve dot-separated property path, such as "items.product.name",
+	 * relative to the specified record type. Each path segment is a property
+	 * name. A nested object property is followed into its nested properties
+	 * and a reference property is followed into the properties of the
+	 * referred record type. For a polymorphic object or a polymorphic
+	 * reference the next segment can be the subtype (or the reference target
+	 * record type) name, which narrows the path to the subtype explicitly.
+	 * Otherwise, a subtype-specific property is found in the subtypes (or the
+	 * reference targets) automatically, as long as only one of them has it.
+	 *
+	 * @param {(string|Symbol)} recordTypeName Record type name.
+	 * @param {string} path Dot-separated property path.
+	 * @returns {Array.<module:x2node-records~PropertyPathSegment>} Resolved path
+	 * segments, one for each property in the path (explicit subtype segments
+	 * are not included).
+	 * @throws {module:x2node-common.X2UsageError} If no such record type in the
+	 * library or the path is invalid (contains unknown or ambiguous properties,
+	 * continues past a simple value property or ends with a subtype).
+	 */
+	resolvePropertyPath(recordTypeName, path) {
+
+		return propertyPath.resolvePropertyPath(this, recordTypeName, path);
+	}
+
+	/**
+	 * Get graph of references between the record types in the library. The
+	 * graph is built on the first call and is cached.
+	 *
+	 * @returns {module:x2node-records~ReferenceGraph} The reference graph.
+	 */
+	getReferenceGraph() {
+
+		if (!this._referenceGraph)
+			this._referenceGraph = new ReferenceGraph(
+				Reflect.ownKeys(this._recordTypeDescs).map(
+					recordTypeName => this._recordTypeDescs[recordTypeName]));
+
+		return this._referenceGraph;
+	}
 }
 
+/**
+ * Parsed record reference.
+ *
+ * @typedef {Object} module:x2node-records~ParsedReference
+ * @property {string} recordTypeName Referred record type name.
+ * @property {(string|number)} id Referred record id.
+ */
+
+/**
+ * Resolved property path segment.
+ *
+ * @typedef {Object} module:x2node-records~PropertyPathSegment
+ * @property {module:x2node-records~PropertyDescriptor} propDesc Descriptor of
+ * the property.
+ * @property {boolean} collection <code>true</code> if the property is an array
+ * or a map, so the rest of the path crosses a collection.
+ * @property {boolean} referenceHop <code>true</code> if the property belongs
+ * to a record type reached by following the reference in the previous
+ * segment.
+ * @property {?string} subtype If the property is specific to a polymorphic
+ * object subtype (or belongs to one of the targets of a polymorphic
+ * reference), the subtype (or the target record type) name. Otherwise,
+ * <code>null</code>.
+ * @property {boolean} implicitSubtype <code>true</code> if the subtype was not
+ * specified in the path explicitly and was found by the property name.
+ */
+
 // export the class
 module.exports = RecordTypesLibrary;
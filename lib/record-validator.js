@@ -0,0 +1,347 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const pointers = require('./json-pointer.js');
+const refs = require('./refs.js');
+
+
+/**
+ * Record instance validation errors collector.
+ *
+ * @private
+ */
+class ValidationErrors {
+
+	/**
+	 * Create new, empty collector.
+	 */
+	constructor() {
+
+		this._errors = null;
+	}
+
+	/**
+	 * Add error.
+	 *
+	 * @param {string} pointer JSON pointer of the invalid value.
+	 * @param {string} message Error message.
+	 * @returns {boolean} Always <code>false</code>.
+	 */
+	add(pointer, message) {
+
+		if (!this._errors)
+			this._errors = {};
+
+		const list = this._errors[pointer];
+		if (list)
+			list.push(message);
+		else
+			this._errors[pointer] = [ message ];
+
+		return false;
+	}
+
+	/**
+	 * Collected errors, or <code>null</code> if none.
+	 *
+	 * @member {Object.<string,Array.<string>>}
+	 * @readonly
+	 */
+	get errors() { return this._errors; }
+}
+
+
+/**
+ * Validate properties of an object described by the specified container.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The container.
+ * @param {*} obj The object to validate.
+ * @param {string} pointer JSON pointer of the object.
+ * @param {ValidationErrors} errors Errors collector.
+ */
+function validateObject(container, obj, pointer, errors) {
+
+	if (((typeof obj) !== 'object') || (obj === null) || Array.isArray(obj))
+		return errors.add(pointer, 'Expected an object.');
+
+	// collect names of the allowed properties
+	const knownPropNames = new Set();
+
+	// find the subtype container for a polymorphic object
+	const containers = [ container ];
+	let unknownSubtype = false;
+	if (container.isPolymorphObject()) {
+		const typePropName = container.typePropertyName;
+		knownPropNames.add(typePropName);
+		const type = obj[typePropName];
+		if ((type === undefined) || (type === null)) {
+			errors.add(
+				pointers.append(pointer, typePropName),
+				'Missing required property.');
+			unknownSubtype = true;
+		} else if (((typeof type) !== 'string') ||
+			(container.subtypes.indexOf(type) < 0)) {
+			errors.add(
+				pointers.append(pointer, typePropName),
+				'Unknown subtype.');
+			unknownSubtype = true;
+		} else {
+			containers.push(container.getPropertyDesc(type).nestedProperties);
+		}
+	}
+
+	// validate the properties
+	for (let c of containers) {
+		for (let propName of c.allPropertyNames) {
+			const propDesc = c.getPropertyDesc(propName);
+			if (propDesc.isSubtype())
+				continue;
+			knownPropNames.add(propName);
+			if (propDesc.isView())
+				continue;
+			validateProperty(
+				propDesc, obj[propName], pointers.append(pointer, propName),
+				errors);
+		}
+	}
+
+	// check for unknown properties
+	for (let propName of Object.keys(obj)) {
+		if (knownPropNames.has(propName) || (
+			unknownSubtype && isSubtypeProperty(container, propName)))
+			continue;
+		errors.add(pointers.append(pointer, propName), 'Unknown property.');
+	}
+}
+
+/**
+ * Tell if the property belongs to any of the polymorphic object container
+ * subtypes.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container Polymorphic
+ * object container.
+ * @param {string} propName Property name.
+ * @returns {boolean} <code>true</code> if subtype property.
+ */
+function isSubtypeProperty(container, propName) {
+
+	return container.subtypes.some(
+		subtype => container.getPropertyDesc(subtype).nestedProperties
+			.hasProperty(propName));
+}
+
+/**
+ * Validate property value.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} val Property value.
+ * @param {string} pointer JSON pointer of the property.
+ * @param {ValidationErrors} errors Errors collector.
+ */
+function validateProperty(propDesc, val, pointer, errors) {
+
+	// check if the value is present
+	if ((val === undefined) || (val === null)) {
+		if (!propDesc.optional)
+			errors.add(pointer, 'Missing required property.');
+		return;
+	}
+
+	// validate scalar value
+	if (propDesc.isScalar())
+		return validateValue(propDesc, val, pointer, errors);
+
+	// validate array
+	if (propDesc.isArray()) {
+		if (!Array.isArray(val))
+			return errors.add(pointer, 'Expected an array.');
+		validateSize(propDesc, val.length, pointer, errors);
+		const checkDuplicates = (
+			(propDesc.scalarValueType !== 'object') &&
+				!propDesc.allowDuplicates);
+		const seen = (checkDuplicates ? new Set() : null);
+		val.forEach((element, ind) => {
+			const elementPointer = pointers.append(pointer, ind);
+			if ((element === undefined) || (element === null))
+				return errors.add(elementPointer, 'Missing array element.');
+			if (validateValue(propDesc, element, elementPointer, errors) &&
+				checkDuplicates) {
+				if (seen.has(element))
+					errors.add(elementPointer, 'Duplicate array element.');
+				seen.add(element);
+			}
+		});
+		return;
+	}
+
+	// validate map
+	if (((typeof val) !== 'object') || Array.isArray(val))
+		return errors.add(pointer, 'Expected a map.');
+	validateSize(propDesc, Object.keys(val).length, pointer, errors);
+	for (let key of Object.keys(val)) {
+		const element = val[key];
+		const elementPointer = pointers.append(pointer, key);
+		if ((element === undefined) || (element === null))
+			errors.add(elementPointer, 'Missing map element.');
+		else
+			validateValue(propDesc, element, elementPointer, errors);
+	}
+}
+
+/**
+ * Validate collection property size.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {number} size Number of elements in the collection.
+ * @param {string} pointer JSON pointer of the property.
+ * @param {ValidationErrors} errors Errors collector.
+ */
+function validateSize(propDesc, size, pointer, errors) {
+
+	if ((propDesc.minItems !== undefined) && (size < propDesc.minItems))
+		errors.add(pointer, `Must have at least ${propDesc.minItems} elements.`);
+	if ((propDesc.maxItems !== undefined) && (size > propDesc.maxItems))
+		errors.add(pointer, `Must have at most ${propDesc.maxItems} elements.`);
+}
+
+/**
+ * Validate single scalar value (the property value for a scalar property, or
+ * collection element for a collection property).
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} val The value, not <code>null</code> or <code>undefined</code>.
+ * @param {string} pointer JSON pointer of the value.
+ * @param {ValidationErrors} errors Errors collector.
+ * @returns {boolean} <code>true</code> if the value has valid type.
+ */
+function validateValue(propDesc, val, pointer, errors) {
+
+	if (propDesc.scalarValueTypeDesc) {
+		if (!propDesc.scalarValueTypeDesc.isValid(val))
+			return errors.add(
+				pointer, propDesc.scalarValueTypeDesc.invalidValueMessage);
+		for (let message of propDesc.checkValue(val))
+			errors.add(pointer, message);
+		return true;
+	}
+
+	switch (propDesc.scalarValueType) {
+	case 'ref':
+		return validateRef(propDesc.nestedProperties, val, pointer, errors);
+	case 'object':
+		if (propDesc.isPolymorphRef()) {
+			const refTargets = propDesc.nestedProperties;
+			const getTargetDesc = refTarget => (
+				refTargets.subtypes.indexOf(refTarget) >= 0 ?
+					refTargets.getPropertyDesc(refTarget).nestedProperties :
+					null);
+			if (!refs.isValidRef(val, getTargetDesc))
+				return errors.add(
+					pointer, (
+						getTargetDesc(refs.getRefTarget(val)) ?
+							'Invalid reference.' :
+							'Invalid reference target.'));
+			return true;
+		}
+		validateObject(propDesc.nestedProperties, val, pointer, errors);
+	}
+
+	return true;
+}
+
+/**
+ * Validate reference value.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} refTargetDesc Reference
+ * target record type descriptor.
+ * @param {*} val The reference value.
+ * @param {string} pointer JSON pointer of the value.
+ * @param {ValidationErrors} errors Errors collector.
+ * @returns {boolean} <code>true</code> if valid reference.
+ */
+function validateRef(refTargetDesc, val, pointer, errors) {
+
+	try {
+		refTargetDesc.refToId(val);
+	} catch (err) {
+		if (err instanceof common.X2SyntaxError)
+			return errors.add(pointer, 'Invalid reference.');
+		throw err;
+	}
+
+	return true;
+}
+
+
+/**
+ * Validate record instance against the record type descriptor.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} record The record to validate.
+ * @returns {?Object.<string,Array.<string>>} Validation errors keyed by JSON
+ * pointers of the invalid values, or <code>null</code> if the record is valid.
+ */
+exports.validateRecord = function(recordTypeDesc, record) {
+
+	const errors = new ValidationErrors();
+
+	validateObject(recordTypeDesc, record, '', errors);
+
+	return errors.errors;
+};
+
+/**
+ * Validate property value.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} val The property value.
+ * @returns {?Object.<string,Array.<string>>} Validation errors keyed by JSON
+ * pointers of the invalid values relative to the property value, or
+ * <code>null</code> if the value is valid.
+ */
+exports.validatePropertyValue = function(propDesc, val) {
+
+	const errors = new ValidationErrors();
+
+	validateProperty(propDesc, val, '', errors);
+
+	return errors.errors;
+};
+
+/**
+ * Validate single value of a collection property (an array or map element).
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Collection
+ * property descriptor.
+ * @param {*} val The element value.
+ * @returns {?Object.<string,Array.<string>>} Validation errors keyed by JSON
+ * pointers of the invalid values relative to the element, or
+ * <code>null</code> if the value is valid.
+ */
+exports.validateElementValue = function(propDesc, val) {
+
+	const errors = new ValidationErrors();
+
+	if ((val === undefined) || (val === null))
+		errors.add(
+			'', `Missing ${propDesc.isArray() ? 'array' : 'map'} element.`);
+	else
+		validateValue(propDesc, val, '', errors);
+
+	return errors.errors;
+};
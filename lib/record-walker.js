@@ -0,0 +1,219 @@
+'use strict';
+
+const objects = require('./objects.js');
+const pointers = require('./json-pointer.js');
+
+
+/**
+ * Visitor return value that tells the walker not to enter the value.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const SKIP = Symbol('SKIP');
+
+/**
+ * Visitor return value that tells the walker to remove the value from the
+ * record.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const PRUNE = Symbol('PRUNE');
+
+
+
+/**
+ * Record walker.
+ *
+ * @private
+ */
+class RecordWalker {
+
+	/**
+	 * Create new walker.
+	 *
+	 * @param {module:x2node-records~RecordVisitor} visitor The visitor.
+	 * @param {Object} [options] Walk options.
+	 */
+	constructor(visitor, options) {
+
+		this._visitor = visitor;
+		this._includeViews = (options && options.includeViews ? true : false);
+	}
+
+	/**
+	 * Walk properties of an object.
+	 *
+	 * @param {module:x2node-records~PropertiesContainer} container The object
+	 * container.
+	 * @param {Object} obj The object.
+	 * @param {string} pointer JSON pointer of the object.
+	 */
+	walkObject(container, obj, pointer) {
+
+		// visit the polymorphic object type property
+		if (container.isPolymorphObject()) {
+			const typePropName = container.typePropertyName;
+			if (obj[typePropName] !== undefined)
+				this.visitProperty(
+					container.getPropertyDesc(typePropName), obj, pointer);
+		}
+
+		// visit the properties
+		for (let c of objects.getObjectContainers(container, obj)) {
+			for (let propName of c.allPropertyNames) {
+				const propDesc = c.getPropertyDesc(propName);
+				if (propDesc.isSubtype() ||
+					(propDesc.isView() && !this._includeViews))
+					continue;
+				if (obj[propName] !== undefined)
+					this.visitProperty(propDesc, obj, pointer);
+			}
+		}
+	}
+
+	/**
+	 * Visit property value and, unless skipped or pruned, enter it.
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {Object} obj The object that has the property.
+	 * @param {string} objPointer JSON pointer of the object.
+	 */
+	visitProperty(propDesc, obj, objPointer) {
+
+		const propName = propDesc.name;
+		const pointer = pointers.append(objPointer, propName);
+		const val = this.visit(obj[propName], {
+			propDesc: propDesc,
+			pointer: pointer,
+			parent: obj,
+			key: propName,
+			element: false
+		});
+		if (val === PRUNE) {
+			delete obj[propName];
+			return;
+		}
+		if (val === SKIP)
+			return;
+
+		if (propDesc.isScalar())
+			this.enterValue(propDesc, val, pointer);
+		else if (propDesc.isArray() && Array.isArray(val))
+			this.walkArray(propDesc, val, pointer);
+		else if (propDesc.isMap() && objects.isObject(val))
+			this.walkMap(propDesc, val, pointer);
+	}
+
+	/**
+	 * Walk array elements.
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {Array} array The array.
+	 * @param {string} pointer JSON pointer of the array.
+	 */
+	walkArray(propDesc, array, pointer) {
+
+		const pruned = new Array();
+		array.forEach((element, ind) => {
+			const elementPointer = pointers.append(pointer, ind);
+			const val = this.visit(element, {
+				propDesc: propDesc,
+				pointer: elementPointer,
+				parent: array,
+				key: ind,
+				element: true
+			});
+			if (val === PRUNE)
+				pruned.push(ind);
+			else if (val !== SKIP)
+				this.enterValue(propDesc, val, elementPointer);
+		});
+
+		for (let i = pruned.length - 1; i >= 0; i--)
+			array.splice(pruned[i], 1);
+	}
+
+	/**
+	 * Walk map elements.
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {Object} map The map.
+	 * @param {string} pointer JSON pointer of the map.
+	 */
+	walkMap(propDesc, map, pointer) {
+
+		for (let key of Object.keys(map)) {
+			const elementPointer = pointers.append(pointer, key);
+			const val = this.visit(map[key], {
+				propDesc: propDesc,
+				pointer: elementPointer,
+				parent: map,
+				key: key,
+				element: true
+			});
+			if (val === PRUNE)
+				delete map[key];
+			else if (val !== SKIP)
+				this.enterValue(propDesc, val, elementPointer);
+		}
+	}
+
+	/**
+	 * Call the visitor and apply replacement value, if any.
+	 *
+	 * @param {*} val The value.
+	 * @param {module:x2node-records~RecordVisitorNode} node The value node.
+	 * @returns {*} The value to enter, or <code>SKIP</code> or
+	 * <code>PRUNE</code>.
+	 */
+	visit(val, node) {
+
+		const res = this._visitor(val, node);
+		if ((res === undefined) || (res === SKIP) || (res === PRUNE))
+			return (res === undefined ? val : res);
+
+		node.parent[node.key] = res;
+
+		return res;
+	}
+
+	/**
+	 * Enter single value (the property value for a scalar property or a
+	 * collection element), if it is a nested object.
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {*} val The value.
+	 * @param {string} pointer JSON pointer of the value.
+	 */
+	enterValue(propDesc, val, pointer) {
+
+		if ((propDesc.scalarValueType === 'object') &&
+			!propDesc.isPolymorphRef() && objects.isObject(val))
+			this.walkObject(propDesc.nestedProperties, val, pointer);
+	}
+}
+
+
+/**
+ * Walk record.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} record The record.
+ * @param {module:x2node-records~RecordVisitor} visitor The visitor.
+ * @param {Object} [options] Walk options.
+ */
+exports.walkRecord = function(recordTypeDesc, record, visitor, options) {
+
+	(new RecordWalker(visitor, options)).walkObject(recordTypeDesc, record, '');
+};
+
+exports.SKIP = SKIP;
+exports.PRUNE = PRUNE;
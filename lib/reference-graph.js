@@ -0,0 +1,265 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * Collect references made by the properties in the container and its nested
+ * containers.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The container.
+ * @param {Array.<module:x2node-records~ReferenceGraphEdge>} edges Array, to
+ * which to add the references.
+ */
+function collectEdges(container, edges) {
+
+	for (let propName of container.allPropertyNames) {
+		const propDesc = container.getPropertyDesc(propName);
+		if (propDesc.isView())
+			continue;
+		let targets;
+		if (propDesc.isRef())
+			targets = [ propDesc.refTarget ];
+		else if (propDesc.isPolymorphRef())
+			targets = propDesc.refTargets;
+		else if (propDesc.scalarValueType === 'object')
+			collectEdges(propDesc.nestedProperties, edges);
+		if (targets)
+			for (let target of targets)
+				edges.push({
+					source: container.recordTypeName,
+					target: target,
+					propertyPath: container.nestedPath + propName,
+					propDesc: propDesc
+				});
+	}
+}
+
+
+/**
+ * Graph of references between record types in a record types library. The
+ * graph nodes are record types and the edges are reference properties,
+ * including references in nested objects, polymorphic object subtypes and
+ * every target of polymorphic references. View properties are not included.
+ *
+ * @memberof module:x2node-records
+ * @inner
+ */
+class ReferenceGraph {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. The graph is available via the record types library's
+	 * [getReferenceGraph()]{@link module:x2node-records~RecordTypesLibrary#getReferenceGraph}
+	 * method.
+	 *
+	 * @private
+	 * @param {Array.<module:x2node-records~RecordTypeDescriptor>}
+	 * recordTypeDescs Descriptors of all record types in the library.
+	 */
+	constructor(recordTypeDescs) {
+
+		this._recordTypeNames = recordTypeDescs.map(
+			recordTypeDesc => recordTypeDesc.name);
+
+		this._outgoing = new Map();
+		this._incoming = new Map();
+		for (let recordTypeName of this._recordTypeNames) {
+			this._outgoing.set(recordTypeName, new Array());
+			this._incoming.set(recordTypeName, new Array());
+		}
+
+		for (let recordTypeDesc of recordTypeDescs) {
+			const edges = new Array();
+			collectEdges(recordTypeDesc, edges);
+			for (let edge of edges) {
+				this._outgoing.get(edge.source).push(edge);
+				this._incoming.get(edge.target).push(edge);
+			}
+		}
+
+		this._components = this._findComponents();
+	}
+
+	/**
+	 * Find strongly connected components of the graph using Tarjan's
+	 * algorithm. The components are found in the order, in which every
+	 * component comes after all the components it references.
+	 *
+	 * @private
+	 * @returns {Array.<Array.<(string|Symbol)>>} The components.
+	 */
+	_findComponents() {
+
+		const components = new Array();
+		const indexes = new Map();
+		const lowLinks = new Map();
+		const stack = new Array();
+		const onStack = new Set();
+		let nextIndex = 0;
+
+		const visit = recordTypeName => {
+			indexes.set(recordTypeName, nextIndex);
+			lowLinks.set(recordTypeName, nextIndex);
+			nextIndex++;
+			stack.push(recordTypeName);
+			onStack.add(recordTypeName);
+
+			for (let edge of this._outgoing.get(recordTypeName)) {
+				if (!indexes.has(edge.target)) {
+					visit(edge.target);
+					lowLinks.set(recordTypeName, Math.min(
+						lowLinks.get(recordTypeName), lowLinks.get(edge.target)));
+				} else if (onStack.has(edge.target)) {
+					lowLinks.set(recordTypeName, Math.min(
+						lowLinks.get(recordTypeName), indexes.get(edge.target)));
+				}
+			}
+
+			if (lowLinks.get(recordTypeName) === indexes.get(recordTypeName)) {
+				const component = new Array();
+				let member;
+				do {
+					member = stack.pop();
+					onStack.delete(member);
+					component.unshift(member);
+				} while (member !== recordTypeName);
+				components.push(component);
+			}
+		};
+
+		for (let recordTypeName of this._recordTypeNames) {
+			if (!indexes.has(recordTypeName))
+				visit(recordTypeName);
+		}
+
+		return components;
+	}
+
+	/**
+	 * Get graph node edges.
+	 *
+	 * @private
+	 * @param {Map.<string,Array>} edgesMap Outgoing or incoming edges map.
+	 * @param {(string|Symbol)} recordTypeName Record type name.
+	 * @returns {Array.<module:x2node-records~ReferenceGraphEdge>} The edges.
+	 * @throws {module:x2node-common.X2UsageError} If no such record type.
+	 */
+	_getEdges(edgesMap, recordTypeName) {
+
+		const edges = edgesMap.get(recordTypeName);
+		if (!edges)
+			throw new common.X2UsageError(
+				`Unknown record type ${String(recordTypeName)}.`);
+
+		return edges;
+	}
+
+	/**
+	 * Names of all record types in the graph.
+	 *
+	 * @member {Array.<(string|Symbol)>}
+	 * @readonly
+	 */
+	get recordTypeNames() { return this._recordTypeNames; }
+
+	/**
+	 * Get references made by the record type.
+	 *
+	 * @param {(string|Symbol)} recordTypeName Record type name.
+	 * @returns {Array.<module:x2node-records~ReferenceGraphEdge>} The
+	 * references in the order the reference properties are defined.
+	 * @throws {module:x2node-common.X2UsageError} If no such record type.
+	 */
+	getReferences(recordTypeName) {
+
+		return this._getEdges(this._outgoing, recordTypeName);
+	}
+
+	/**
+	 * Get references to the record type made by any record type, including the
+	 * record type itself.
+	 *
+	 * @param {(string|Symbol)} recordTypeName Record type name.
+	 * @returns {Array.<module:x2node-records~ReferenceGraphEdge>} The
+	 * references.
+	 * @throws {module:x2node-common.X2UsageError} If no such record type.
+	 */
+	getReferrers(recordTypeName) {
+
+		return this._getEdges(this._incoming, recordTypeName);
+	}
+
+	/**
+	 * Get names of the record types referred by the record type.
+	 *
+	 * @param {(string|Symbol)} recordTypeName Record type name.
+	 * @returns {Array.<(string|Symbol)>} Referred record type names without
+	 * duplicates.
+	 * @throws {module:x2node-common.X2UsageError} If no such record type.
+	 */
+	getReferredTypes(recordTypeName) {
+
+		return Array.from(new Set(
+			this.getReferences(recordTypeName).map(edge => edge.target)));
+	}
+
+	/**
+	 * Get names of the record types that refer to the record type.
+	 *
+	 * @param {(string|Symbol)} recordTypeName Record type name.
+	 * @returns {Array.<(string|Symbol)>} Referring record type names without
+	 * duplicates.
+	 * @throws {module:x2node-common.X2UsageError} If no such record type.
+	 */
+	getReferringTypes(recordTypeName) {
+
+		return Array.from(new Set(
+			this.getReferrers(recordTypeName).map(edge => edge.source)));
+	}
+
+	/**
+	 * Record types in dependency order: every record type comes after the record
+	 * types it refers to, so that, for example, records can be loaded in this
+	 * order. Record types that refer to each other in a cycle cannot be
+	 * ordered and are grouped together. Therefore, the list elements are groups
+	 * of record type names. A group with a single record type that does not
+	 * refer to itself is not a cycle.
+	 *
+	 * @member {Array.<Array.<(string|Symbol)>>}
+	 * @readonly
+	 */
+	get dependencyOrder() { return this._components; }
+
+	/**
+	 * Reference cycles: the groups from <code>dependencyOrder</code> with more
+	 * than one record type, or with a single record type that refers to itself.
+	 *
+	 * @member {Array.<Array.<(string|Symbol)>>}
+	 * @readonly
+	 */
+	get cycles() {
+
+		return this._components.filter(component => (
+			(component.length > 1) ||
+				this.getReferredTypes(component[0]).indexOf(component[0]) >= 0
+		));
+	}
+}
+
+/**
+ * Edge of the record types reference graph.
+ *
+ * @typedef {Object} module:x2node-records~ReferenceGraphEdge
+ * @property {string} source Name of the referring record type.
+ * @property {string} target Name of the referred record type.
+ * @property {string} propertyPath Dot-separated path of the reference property
+ * in the referring record type.
+ * @property {module:x2node-records~PropertyDescriptor} propDesc The reference
+ * property descriptor. For a polymorphic reference property, the graph has an
+ * edge for each reference target.
+ */
+
+// export the class
+module.exports = ReferenceGraph;
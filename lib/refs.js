@@ -0,0 +1,53 @@
+'use strict';
+
+const common = require('x2node-common');
+
+/**
+ * Get name of the record type referred by a reference without checking if the
+ * record type exists and the id is valid.
+ *
+ * @private
+ * @param {*} ref The reference value.
+ * @returns {?string} The referred record type name, or <code>null</code> if
+ * the value does not have the reference syntax ("RecordType#id").
+ */
+exports.getRefTarget = function(ref) {
+
+	if ((typeof ref) !== 'string')
+		return null;
+
+	const hashInd = ref.indexOf('#');
+	if ((hashInd <= 0) || (hashInd === ref.length - 1))
+		return null;
+
+	return ref.substring(0, hashInd);
+};
+
+/**
+ * Tell if the value is a valid reference to a record of one of the allowed
+ * record types.
+ *
+ * @private
+ * @param {*} ref The value to check.
+ * @param {function} getTargetDesc Function that takes referred record type
+ * name and returns the record type descriptor, or <code>null</code> if the
+ * record type is unknown or not allowed.
+ * @returns {boolean} <code>true</code> if valid reference.
+ */
+exports.isValidRef = function(ref, getTargetDesc) {
+
+	const recordTypeName = exports.getRefTarget(ref);
+	const targetDesc = (recordTypeName ? getTargetDesc(recordTypeName) : null);
+	if (!targetDesc)
+		return false;
+
+	try {
+		targetDesc.refToId(ref);
+	} catch (err) {
+		if (err instanceof common.X2SyntaxError)
+			return false;
+		throw err;
+	}
+
+	return true;
+};
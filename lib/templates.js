@@ -0,0 +1,150 @@
+'use strict';
+
+const definitionError = require('./definition-error.js');
+
+
+/**
+ * Container definition attributes that are not inherited from the templates
+ * as is.
+ *
+ * @private
+ * @constant {Set.<string>}
+ */
+const MERGED_ATTRS = new Set([ 'properties', 'extends', 'mixins' ]);
+
+
+/**
+ * Get names of the templates used by a container or template definition.
+ *
+ * @private
+ * @param {Object} def The definition.
+ * @returns {Array.<string>} Template names, base template first, then the
+ * mixins in the order they are listed.
+ * @throws {TypeError} If the template names are specified incorrectly.
+ */
+function getTemplateNames(def) {
+
+	const names = new Array();
+
+	if (def.extends !== undefined) {
+		if ((typeof def.extends) !== 'string')
+			throw new TypeError('extends attribute must be a string.');
+		names.push(def.extends);
+	}
+
+	if (def.mixins !== undefined) {
+		if (!Array.isArray(def.mixins) ||
+			!def.mixins.every(name => ((typeof name) === 'string')))
+			throw new TypeError(
+				'mixins attribute must be an array of strings.');
+		names.push(...def.mixins);
+	}
+
+	return names;
+}
+
+
+/**
+ * Resolve container (record type or nested object) definition that uses
+ * templates via its <code>extends</code> and <code>mixins</code> attributes.
+ * The result is a new definition object with the properties of the base
+ * template, then the properties of the mixins and then the container's own
+ * properties. Other attributes are taken from the templates in the same order
+ * with the container's own attributes taking precedence. Templates may use
+ * other templates. A template used more than once (for example, a mixin used by
+ * both the base template and the container) is included only once.
+ *
+ * @private
+ * @param {Object.<string,Object>} [templateDefs] Template definitions from the
+ * library definition.
+ * @param {Object} containerDef Container definition.
+ * @param {(string|Symbol)} recordTypeName Name of the record type, to which the
+ * container belongs.
+ * @param {string} nestedPath Container nested path (empty string for a record
+ * type).
+ * @returns {Object} Resolved container definition, or the original definition
+ * if it does not use templates.
+ * @throws {module:x2node-common.X2UsageError} If the definition refers to an
+ * unknown template, the templates refer to each other in a cycle or the same
+ * property is defined more than once.
+ */
+exports.resolveContainerDefinition = function(
+	templateDefs, containerDef, recordTypeName, nestedPath) {
+
+	if ((containerDef.extends === undefined) &&
+		(containerDef.mixins === undefined))
+		return containerDef;
+
+	const propertyPath = nestedPath.substring(0, nestedPath.length - 1);
+	const error = (code, msg) => definitionError.create(
+		code, recordTypeName, propertyPath,
+		(
+			propertyPath.length > 0 ?
+				`Nested object property ${propertyPath} of record type ` :
+				'Record type '
+		) + `${String(recordTypeName)} has invalid definition: ${msg}`);
+
+	const resolvedDef = {};
+	const propDefs = {};
+	const propSources = {};
+	const includedTemplateNames = new Set();
+
+	const include = (def, source, chain) => {
+
+		// include the used templates first
+		let templateNames;
+		try {
+			templateNames = getTemplateNames(def);
+		} catch (err) {
+			throw error('INVALID_TEMPLATE', `${source}: ${err.message}`);
+		}
+		for (let templateName of templateNames) {
+			if (chain.indexOf(templateName) >= 0)
+				throw error(
+					'TEMPLATE_CYCLE',
+					'templates form a cycle: ' +
+						chain.concat(templateName).join(' -> ') + '.');
+			if (includedTemplateNames.has(templateName))
+				continue;
+			const templateDef = (
+				templateDefs && Object.prototype.hasOwnProperty.call(
+					templateDefs, templateName) ?
+					templateDefs[templateName] : undefined);
+			if (((typeof templateDef) !== 'object') || (templateDef === null))
+				throw error(
+					'INVALID_TEMPLATE', `unknown template ${templateName}.`);
+			include(
+				templateDef, `template ${templateName}`,
+				chain.concat(templateName));
+			includedTemplateNames.add(templateName);
+		}
+
+		// merge the attributes
+		for (let attr in def) {
+			if (!MERGED_ATTRS.has(attr))
+				resolvedDef[attr] = def[attr];
+		}
+
+		// merge the properties
+		const defPropDefs = (def.properties || {});
+		for (let propName in defPropDefs) {
+			if (propSources[propName])
+				throw error(
+					'PROPERTY_CONFLICT',
+					`property ${propName} is defined in both` +
+						` ${propSources[propName]} and ${source}.`);
+			propSources[propName] = source;
+			propDefs[propName] = defPropDefs[propName];
+		}
+	};
+
+	include(containerDef, 'own definition', []);
+
+	for (let attr of [ 'extends', 'mixins' ]) {
+		if (containerDef[attr] !== undefined)
+			resolvedDef[attr] = containerDef[attr];
+	}
+	resolvedDef.properties = propDefs;
+
+	return resolvedDef;
+};
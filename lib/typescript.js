@@ -0,0 +1,354 @@
+'use strict';
+
+
+/**
+ * Regular expression for valid TypeScript identifiers.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const IDENTIFIER_RE = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+
+/**
+ * Convert name to a TypeScript identifier.
+ *
+ * @private
+ * @param {string} name The name.
+ * @returns {string} Valid identifier.
+ */
+function toIdentifier(name) {
+
+	const id = String(name).replace(/[^A-Za-z0-9_$]/g, '_');
+
+	return (/^[0-9]/.test(id) ? '_' + id : id);
+}
+
+/**
+ * Convert name to a Pascal case identifier part. Parts of the name that are in
+ * all upper case (for example, subtype names like "CREDIT_CARD") are converted
+ * to lower case first.
+ *
+ * @private
+ * @param {string} name The name.
+ * @returns {string} Pascal case name.
+ */
+function toPascalCase(name) {
+
+	return String(name).split(/[^A-Za-z0-9$]+/).map(part => (
+		part.toUpperCase() === part ? part.toLowerCase() : part
+	)).map(
+		part => part.substring(0, 1).toUpperCase() + part.substring(1)
+	).join('');
+}
+
+/**
+ * Get property key for a TypeScript interface member.
+ *
+ * @private
+ * @param {string} propName Property name.
+ * @returns {string} The key, quoted if necessary.
+ */
+function toPropertyKey(propName) {
+
+	return (
+		IDENTIFIER_RE.test(propName) ?
+			propName : '\'' + propName.replace(/[\\']/g, '\\$&') + '\'');
+}
+
+/**
+ * Get string literal type.
+ *
+ * @private
+ * @param {string} val The string value.
+ * @returns {string} The literal type.
+ */
+function toStringLiteral(val) {
+
+	return '\'' + String(val).replace(/[\\']/g, '\\$&') + '\'';
+}
+
+
+/**
+ * TypeScript declarations builder.
+ *
+ * @private
+ */
+class DeclarationsBuilder {
+
+	/**
+	 * Create new builder.
+	 *
+	 * @param {Object} options Generation options.
+	 */
+	constructor(options) {
+
+		this._includeViews = (options && options.includeViews ? true : false);
+		this._indent = (
+			options && (options.indent !== undefined) ?
+				options.indent : '\t');
+
+		this._decls = new Array();
+
+		this._typeNames = new Set();
+		this._nestedTypeNames = new Map();
+	}
+
+	/**
+	 * Allocate name for a declared type. If the name is already taken by
+	 * another type, a numeric suffix is added to it.
+	 *
+	 * @param {string} name Desired type name.
+	 * @returns {string} Unique type name.
+	 */
+	allocateTypeName(name) {
+
+		let typeName = name;
+		for (let n = 2; this._typeNames.has(typeName); n++)
+			typeName = name + n;
+
+		this._typeNames.add(typeName);
+
+		return typeName;
+	}
+
+	/**
+	 * Add declarations for record types. The record type names are allocated
+	 * before any nested object type names, so that the record type interfaces
+	 * keep their names.
+	 *
+	 * @param {Array.<module:x2node-records~RecordTypeDescriptor>}
+	 * recordTypeDescs Record type descriptors.
+	 */
+	addRecordTypes(recordTypeDescs) {
+
+		const typeNames = recordTypeDescs.map(
+			recordTypeDesc => this.allocateTypeName(
+				toIdentifier(recordTypeDesc.name)));
+
+		recordTypeDescs.forEach((recordTypeDesc, ind) => {
+			this.addContainer(recordTypeDesc, typeNames[ind]);
+		});
+	}
+
+	/**
+	 * Add declarations for the objects described by the container.
+	 *
+	 * @param {module:x2node-records~PropertiesContainer} container The
+	 * container.
+	 * @param {string} typeName Name of the declared type.
+	 */
+	addContainer(container, typeName) {
+
+		// non-polymorphic container
+		if (!container.isPolymorphObject()) {
+			this.addInterface(typeName, null, container, null, typeName);
+			return;
+		}
+
+		// shared properties
+		const hasShared = container.allPropertyNames.some(propName => {
+			const propDesc = container.getPropertyDesc(propName);
+			return (
+				!propDesc.isSubtype() &&
+					(this._includeViews || !propDesc.isView())
+			);
+		});
+		const baseTypeName = (
+			hasShared ? this.allocateTypeName(typeName + 'Base') : null);
+		if (hasShared)
+			this.addInterface(baseTypeName, null, container, null, typeName);
+
+		// discriminated union of the subtypes
+		const typePropDesc = container.getPropertyDesc(
+			container.typePropertyName);
+		const subtypeNames = container.subtypes.map(subtype => {
+			const subtypeName = this.allocateTypeName(
+				typeName + toPascalCase(subtype));
+			this.addInterface(
+				subtypeName, baseTypeName,
+				container.getPropertyDesc(subtype).nestedProperties,
+				(typePropDesc.modifiable ? '' : 'readonly ') +
+					toPropertyKey(container.typePropertyName) + ': ' +
+					toStringLiteral(subtype) + ';',
+				subtypeName
+			);
+			return subtypeName;
+		});
+		this._decls.push(
+			'export type ' + typeName + ' = ' + subtypeNames.join(' | ') + ';');
+	}
+
+	/**
+	 * Add interface declaration.
+	 *
+	 * @param {string} typeName Interface name.
+	 * @param {?string} baseTypeName Name of the extended interface, if any.
+	 * @param {module:x2node-records~PropertiesContainer} container Container
+	 * with the interface properties.
+	 * @param {?string} typeMember Type property member declaration for a
+	 * polymorphic object subtype.
+	 * @param {string} nestedTypeNamePrefix Prefix for the names of the types
+	 * declared for the nested objects.
+	 */
+	addInterface(
+		typeName, baseTypeName, container, typeMember, nestedTypeNamePrefix) {
+
+		const members = new Array();
+		if (typeMember)
+			members.push(this._indent + typeMember);
+
+		const nested = new Array();
+		for (let propName of container.allPropertyNames) {
+			const propDesc = container.getPropertyDesc(propName);
+			if (propDesc.isSubtype() ||
+				(!this._includeViews && propDesc.isView()))
+				continue;
+			members.push(
+				this._indent +
+					(propDesc.modifiable ? '' : 'readonly ') +
+					toPropertyKey(propName) +
+					(propDesc.optional || propDesc.isView() ? '?: ' : ': ') +
+					this.propertyType(
+						propDesc, nestedTypeNamePrefix, nested) + ';');
+		}
+
+		this._decls.push(
+			'export interface ' + typeName +
+				(baseTypeName ? ' extends ' + baseTypeName : '') + ' {\n' +
+				members.map(member => member + '\n').join('') +
+				'}');
+
+		for (let n of nested)
+			this.addContainer(n.container, n.typeName);
+	}
+
+	/**
+	 * Get property type.
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {string} nestedTypeNamePrefix Prefix for the names of the types
+	 * declared for the nested objects.
+	 * @param {Array.<Object>} nested Nested object types to declare.
+	 * @returns {string} The property type.
+	 */
+	propertyType(propDesc, nestedTypeNamePrefix, nested) {
+
+		const valueType = this.valueType(
+			propDesc, nestedTypeNamePrefix, nested);
+
+		if (propDesc.isArray())
+			return (
+				valueType.indexOf(' | ') >= 0 ?
+					'(' + valueType + ')[]' : valueType + '[]');
+
+		if (propDesc.isMap())
+			return '{ [key: string]: ' + valueType + ' }';
+
+		return valueType;
+	}
+
+	/**
+	 * Get type of a single value of the property (the property value itself for
+	 * a scalar property or a collection element for a collection property).
+	 *
+	 * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+	 * descriptor.
+	 * @param {string} nestedTypeNamePrefix Prefix for the names of the types
+	 * declared for the nested objects.
+	 * @param {Array.<Object>} nested Nested object types to declare.
+	 * @returns {string} The value type.
+	 */
+	valueType(propDesc, nestedTypeNamePrefix, nested) {
+
+		if (propDesc.allowedValues)
+			return propDesc.allowedValues.map(val => (
+				(typeof val) === 'string' ? toStringLiteral(val) : String(val)
+			)).join(' | ');
+
+		if (propDesc.scalarValueTypeDesc)
+			return propDesc.scalarValueTypeDesc.jsonType;
+
+		if (propDesc.isRef())
+			return this.refType(propDesc.nestedProperties);
+
+		if (propDesc.isPolymorphRef()) {
+			const refTargetsContainer = propDesc.nestedProperties;
+			return refTargetsContainer.subtypes.map(
+				refTarget => this.refType(
+					refTargetsContainer.getPropertyDesc(refTarget)
+						.nestedProperties)
+			).join(' | ');
+		}
+
+		// views share nested objects with their base properties
+		const basePropDesc = (propDesc.viewOfDesc || propDesc);
+		const typeNameKey = nestedTypeNamePrefix + '.' + basePropDesc.name;
+		let typeName = this._nestedTypeNames.get(typeNameKey);
+		if (!typeName) {
+			typeName = this.allocateTypeName(
+				nestedTypeNamePrefix + toPascalCase(basePropDesc.name));
+			this._nestedTypeNames.set(typeNameKey, typeName);
+		}
+		if (propDesc.isView())
+			return typeName;
+
+		nested.push({
+			container: propDesc.nestedProperties,
+			typeName: typeName
+		});
+
+		return typeName;
+	}
+
+	/**
+	 * Get reference value type.
+	 *
+	 * @param {module:x2node-records~RecordTypeDescriptor} refTargetDesc
+	 * Descriptor of the referred record type.
+	 * @returns {string} The type.
+	 */
+	refType(refTargetDesc) {
+
+		const idPropDesc = refTargetDesc.getPropertyDesc(
+			refTargetDesc.idPropertyName);
+
+		return '`' + String(refTargetDesc.name).replace(/[`\\$]/g, '\\$&') +
+			'#${' + (
+				idPropDesc.scalarValueTypeDesc.jsonType === 'number' ?
+					'number' : 'string'
+			) + '}`';
+	}
+
+	/**
+	 * The declarations source code.
+	 *
+	 * @member {string}
+	 * @readonly
+	 */
+	get source() {
+
+		return this._decls.map(decl => decl + '\n').join('\n');
+	}
+}
+
+
+/**
+ * Generate TypeScript declarations for the record types in the library.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {Object} [options] Generation options.
+ * @returns {string} TypeScript declarations source code.
+ */
+exports.generateDeclarations = function(recordTypes, options) {
+
+	const builder = new DeclarationsBuilder(options);
+
+	builder.addRecordTypes(recordTypes.definedRecordTypeNames.map(
+		recordTypeName => recordTypes.getRecordTypeDesc(recordTypeName)));
+
+	return builder.source;
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+
+/**
+ * Get human-readable label of the property value type, such as "string",
+ * "ref(Account)", "ref(Account|Product)", "Address" (for a named object type)
+ * or "object[]".
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @returns {string} The value type label.
+ */
+exports.valueTypeLabel = function(propDesc) {
+
+	let type;
+	if (propDesc.isRef())
+		type = 'ref(' + propDesc.refTarget + ')';
+	else if (propDesc.isPolymorphRef())
+		type = 'ref(' + propDesc.refTargets.join('|') + ')';
+	else if (propDesc.scalarValueType === 'object')
+		type = (propDesc.objectTypeName || 'object');
+	else
+		type = propDesc.scalarValueType;
+
+	return type + (propDesc.isArray() ? '[]' : (propDesc.isMap() ? '{}' : ''));
+};
@@ -0,0 +1,287 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * Regular expression for the "datetime" values.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const DATETIME_RE = new RegExp(
+	'^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(?:\\.\\d{1,3})?' +
+		'(?:Z|[+-]\\d{2}:\\d{2})$'
+);
+
+/**
+ * Regular expression for valid value type names.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const VALUE_TYPE_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Value type names that may not be used for simple value types.
+ *
+ * @private
+ * @constant {Set.<string>}
+ */
+const RESERVED_NAMES = new Set([ 'object', 'ref' ]);
+
+/**
+ * Allowed JSON representations of simple values.
+ *
+ * @private
+ * @constant {Set.<string>}
+ */
+const JSON_TYPES = new Set([ 'string', 'number', 'boolean' ]);
+
+
+/**
+ * Descriptor of a simple (not a nested object and not a reference) property
+ * value type. Besides the built-in "string", "number", "boolean" and
+ * "datetime" value types, custom value types can be added to the library by
+ * extensions via the construction context's
+ * [addValueType()]{@link module:x2node-records~LibraryConstructionContext#addValueType}
+ * method.
+ *
+ * @memberof module:x2node-records
+ * @inner
+ */
+class ValueTypeDescriptor {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. Value type descriptors are created internally and are available via
+	 * the property descriptor's <code>scalarValueTypeDesc</code> property and the
+	 * record types library's
+	 * [getValueTypeDesc()]{@link module:x2node-records~RecordTypesLibrary#getValueTypeDesc}
+	 * method.
+	 *
+	 * @private
+	 * @param {string} name Value type name.
+	 * @param {module:x2node-records.ValueTypeDefinition} valueTypeDef Value type
+	 * definition.
+	 * @throws {module:x2node-common.X2UsageError} If the definition is invalid.
+	 */
+	constructor(name, valueTypeDef) {
+
+		if (((typeof name) !== 'string') || !VALUE_TYPE_NAME_RE.test(name) ||
+			RESERVED_NAMES.has(name))
+			throw new common.X2UsageError(`Invalid value type name ${name}.`);
+		if (!valueTypeDef || !JSON_TYPES.has(valueTypeDef.jsonType))
+			throw new common.X2UsageError(
+				`Value type ${name} has missing or invalid jsonType.`);
+		for (let hook of [ 'validate', 'coerce', 'parse' ]) {
+			if ((valueTypeDef[hook] !== undefined) &&
+				((typeof valueTypeDef[hook]) !== 'function'))
+				throw new common.X2UsageError(
+					`Value type ${name} has ${hook} specified,` +
+						` but it is not a function.`);
+		}
+
+		this._name = name;
+		this._definition = valueTypeDef;
+		this._jsonType = valueTypeDef.jsonType;
+		this._jsonSchema = (valueTypeDef.jsonSchema || {});
+		this._invalidValueMessage = (
+			valueTypeDef.invalidValueMessage ||
+				`Expected a valid ${name} value.`);
+	}
+
+	/**
+	 * Value type name as used in the property definitions' <code>valueType</code>
+	 * attribute.
+	 *
+	 * @member {string}
+	 * @readonly
+	 */
+	get name() { return this._name; }
+
+	/**
+	 * Value type definition.
+	 *
+	 * @member {module:x2node-records.ValueTypeDefinition}
+	 * @readonly
+	 */
+	get definition() { return this._definition; }
+
+	/**
+	 * JSON type used to represent the values in records. One of "string",
+	 * "number" or "boolean".
+	 *
+	 * @member {string}
+	 * @readonly
+	 */
+	get jsonType() { return this._jsonType; }
+
+	/**
+	 * Additional JSON Schema keywords for the values (for example,
+	 * <code>format</code>).
+	 *
+	 * @member {Object}
+	 * @readonly
+	 */
+	get jsonSchema() { return this._jsonSchema; }
+
+	/**
+	 * Error message used when a record contains an invalid value.
+	 *
+	 * @member {string}
+	 * @readonly
+	 */
+	get invalidValueMessage() { return this._invalidValueMessage; }
+
+	/**
+	 * Tell if the value is a valid value of this type as it appears in a record.
+	 *
+	 * @param {*} val The value to check.
+	 * @returns {boolean} <code>true</code> if valid value.
+	 */
+	isValid(val) {
+
+		if ((typeof val) !== this._jsonType)
+			return false;
+
+		if ((this._jsonType === 'number') && !Number.isFinite(val))
+			return false;
+
+		return (
+			this._definition.validate ?
+				(this._definition.validate(val) ? true : false) : true);
+	}
+
+	/**
+	 * Convert arbitrary value to a valid value of this type as it appears in a
+	 * record. For example, a <code>Date</code> object can be coerced to a
+	 * "datetime" value.
+	 *
+	 * @param {*} val The value to convert.
+	 * @returns {*} The converted value, or <code>undefined</code> if the value
+	 * cannot be converted.
+	 */
+	coerce(val) {
+
+		const res = (
+			this._definition.coerce ? this._definition.coerce(val) : val);
+
+		return (this.isValid(res) ? res : undefined);
+	}
+
+	/**
+	 * Parse value of this type from its string representation (for example,
+	 * record id from a reference).
+	 *
+	 * @param {string} str The string representation.
+	 * @returns {*} The value, or <code>undefined</code> if the string does not
+	 * represent a valid value.
+	 */
+	parse(str) {
+
+		let res;
+		if (this._definition.parse) {
+			res = this._definition.parse(str);
+		} else {
+			switch (this._jsonType) {
+			case 'number':
+				res = (/^\s*$/.test(str) ? NaN : Number(str));
+				break;
+			case 'boolean':
+				res = (str === 'true' ? true : (str === 'false' ? false : str));
+				break;
+			default:
+				res = str;
+			}
+		}
+
+		return (this.isValid(res) ? res : undefined);
+	}
+}
+
+
+/**
+ * Built-in value type definitions.
+ *
+ * @private
+ * @constant {Object.<string,module:x2node-records.ValueTypeDefinition>}
+ */
+const BUILTIN_VALUE_TYPE_DEFS = {
+	'string': {
+		jsonType: 'string',
+		invalidValueMessage: 'Expected a string.',
+		coerce(val) {
+			return (
+				(val === undefined) || (val === null) ||
+					((typeof val) === 'object') ? undefined : String(val));
+		}
+	},
+	'number': {
+		jsonType: 'number',
+		invalidValueMessage: 'Expected a number.',
+		coerce(val) {
+			return (
+				((typeof val) === 'string') && !/^\s*$/.test(val) ?
+					Number(val) : val);
+		}
+	},
+	'boolean': {
+		jsonType: 'boolean',
+		invalidValueMessage: 'Expected a Boolean.',
+		coerce(val) {
+			return (
+				val === 'true' ? true : (val === 'false' ? false : val));
+		}
+	},
+	'datetime': {
+		jsonType: 'string',
+		jsonSchema: { format: 'date-time' },
+		invalidValueMessage: 'Expected an ISO 8601 date and time.',
+		validate(val) {
+			return (DATETIME_RE.test(val) && !Number.isNaN(Date.parse(val)));
+		},
+		coerce(val) {
+			const date = (
+				(typeof val) === 'number' ? new Date(val) : val);
+			if (date instanceof Date)
+				return (
+					Number.isNaN(date.getTime()) ?
+						undefined : date.toISOString());
+			return val;
+		}
+	}
+};
+
+/**
+ * Create registry of value type descriptors initialized with the built-in value
+ * types.
+ *
+ * @private
+ * @returns {Map.<string,module:x2node-records~ValueTypeDescriptor>} The
+ * registry.
+ */
+exports.createRegistry = function() {
+
+	const registry = new Map();
+	for (let name in BUILTIN_VALUE_TYPE_DEFS)
+		registry.set(
+			name, new ValueTypeDescriptor(name, BUILTIN_VALUE_TYPE_DEFS[name]));
+
+	return registry;
+};
+
+/**
+ * Create value type descriptor.
+ *
+ * @private
+ * @param {string} name Value type name.
+ * @param {module:x2node-records.ValueTypeDefinition} valueTypeDef Value type
+ * definition.
+ * @returns {module:x2node-records~ValueTypeDescriptor} The descriptor.
+ * @throws {module:x2node-common.X2UsageError} If the definition is invalid.
+ */
+exports.createDescriptor = function(name, valueTypeDef) {
+
+	return new ValueTypeDescriptor(name, valueTypeDef);
+};
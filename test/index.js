@@ -1,10 +1,26 @@
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const expect = require('chai').expect;
+const common = require('x2node-common');
 
 const records = require('../index.js');
 
 
+// remove directory with all its content
+function removeDir(dir) {
+	for (let name of fs.readdirSync(dir)) {
+		const file = path.join(dir, name);
+		if (fs.lstatSync(file).isDirectory())
+			removeDir(file);
+		else
+			fs.unlinkSync(file);
+	}
+	fs.rmdirSync(dir);
+}
+
 const TEST_LIB = {
 	recordTypes: {
 		'Record1': {
@@ -18,6 +34,94 @@ const TEST_LIB = {
 	}
 };
 
+const ORDERS_LIB = {
+	recordTypes: {
+		'Account': {
+			properties: {
+				'id': {
+					valueType: 'number',
+					role: 'id'
+				},
+				'name': {
+					valueType: 'string'
+				}
+			}
+		},
+		'Product': {
+			properties: {
+				'id': {
+					valueType: 'number',
+					role: 'id'
+				},
+				'name': {
+					valueType: 'string'
+				},
+				'price': {
+					valueType: 'number',
+					optional: true
+				}
+			}
+		},
+		'Order': {
+			properties: {
+				'id': {
+					valueType: 'number',
+					role: 'id'
+				},
+				'placedOn': {
+					valueType: 'datetime'
+				},
+				'accountRef': {
+					valueType: 'ref(Account)'
+				},
+				'items': {
+					valueType: 'object[]',
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'productRef': {
+							valueType: 'ref(Product)'
+						},
+						'quantity': {
+							valueType: 'number'
+						}
+					}
+				},
+				'tags': {
+					valueType: 'string[]'
+				},
+				'paymentInfo': {
+					valueType: 'object',
+					optional: true,
+					typePropertyName: 'type',
+					subtypes: {
+						'CREDIT_CARD': {
+							properties: {
+								'last4Digits': {
+									valueType: 'string'
+								}
+							}
+						},
+						'ACH_TRANSFER': {
+							properties: {
+								'accountType': {
+									valueType: 'string'
+								}
+							}
+						}
+					}
+				},
+				'lastViewedRef': {
+					valueType: 'ref(Account|Product)',
+					optional: true
+				}
+			}
+		}
+	}
+};
+
 
 describe('x2node-records', function() {
 
@@ -27,6 +131,90 @@ describe('x2node-records', function() {
 			expect(records.buildLibrary({})).to.be.ok;
 		});
 
+		it('should collect all definition errors', function() {
+			const invalidLib = {
+				recordTypes: {
+					'Record1': {
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'bad': {
+								valueType: 'int'
+							},
+							'ref': {
+								valueType: 'ref(Nope)'
+							}
+						}
+					},
+					'Record2': {
+						properties: {}
+					}
+				}
+			};
+			expect(() => records.buildLibrary(invalidLib)).to.throw(
+				'Property bad of record type Record1 has missing or invalid' +
+					' valueType attribute.');
+			let err;
+			try {
+				records.buildLibrary(invalidLib, { collectErrors: true });
+			} catch (e) {
+				err = e;
+			}
+			expect(err).to.be.an('error');
+			expect(err.errors.map(e => [
+				e.code, e.recordTypeName, e.propertyPath
+			])).to.deep.equal([
+				[ 'INVALID_VALUE_TYPE', 'Record1', 'bad' ],
+				[ 'UNKNOWN_REF_TARGET', 'Record1', 'ref' ],
+				[ 'MISSING_ID', 'Record2', '' ]
+			]);
+			const report = records.checkLibrary(invalidLib);
+			expect(report.valid).to.be.false;
+			expect(report.errors).to.have.lengthOf(3);
+			expect(report.recordTypes).to.be.null;
+		});
+
+		it('should report definitions that are not objects', function() {
+			const report = records.checkLibrary({
+				recordTypes: {
+					'Record1': null,
+					'Record2': {
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'bad': null,
+							'obj': {
+								valueType: 'object',
+								properties: {
+									'nested': 'string'
+								}
+							}
+						}
+					}
+				}
+			});
+			expect(report.errors.map(e => [
+				e.code, e.recordTypeName, e.propertyPath
+			])).to.deep.equal([
+				[ 'INVALID_DEFINITION', 'Record1', '' ],
+				[ 'INVALID_DEFINITION', 'Record2', 'bad' ],
+				[ 'INVALID_DEFINITION', 'Record2', 'obj.nested' ]
+			]);
+			expect(report.errors[1].message).to.equal(
+				'Property bad of record type Record2 has invalid definition:' +
+					' expected an object.');
+			expect(() => records.buildLibrary({
+				recordTypes: { 'Record1': null }
+			})).to.throw(
+				common.X2UsageError,
+				'Record type Record1 has invalid definition: expected an' +
+					' object.');
+		});
+
 	});
 
 	describe('RecordTypesLibrary', function() {
@@ -43,4 +231,2771 @@ describe('x2node-records', function() {
 			});
 		});
 	});
+
+	describe('RecordTypeDescriptor.validate()', function() {
+
+		const recordTypes = records.buildLibrary(ORDERS_LIB);
+		const orderDesc = recordTypes.getRecordTypeDesc('Order');
+
+		it('should accept valid record', function() {
+			expect(orderDesc.validate({
+				id: 1,
+				placedOn: '2017-03-15T22:30:33.000Z',
+				accountRef: 'Account#10',
+				items: [
+					{ id: 1, productRef: 'Product#5', quantity: 2 }
+				],
+				tags: [ 'a', 'b' ],
+				paymentInfo: {
+					type: 'CREDIT_CARD',
+					last4Digits: '3005'
+				},
+				lastViewedRef: 'Product#5'
+			})).to.be.null;
+		});
+
+		it('should report all errors by JSON pointer', function() {
+			expect(orderDesc.validate({
+				id: '1',
+				placedOn: 'yesterday',
+				accountRef: 'Product#10',
+				items: [
+					{ id: 1, quantity: 2, extra: true }
+				],
+				tags: [ 'a', 'a' ],
+				paymentInfo: {
+					type: 'CASH'
+				},
+				lastViewedRef: 'Order#1'
+			})).to.deep.equal({
+				'/id': [ 'Expected a number.' ],
+				'/placedOn': [ 'Expected an ISO 8601 date and time.' ],
+				'/accountRef': [ 'Invalid reference.' ],
+				'/items/0/productRef': [ 'Missing required property.' ],
+				'/items/0/extra': [ 'Unknown property.' ],
+				'/tags/1': [ 'Duplicate array element.' ],
+				'/paymentInfo/type': [ 'Unknown subtype.' ],
+				'/lastViewedRef': [ 'Invalid reference target.' ]
+			});
+		});
+	});
+
+	describe('.generateJSONSchema()', function() {
+
+		const recordTypes = records.buildLibrary(ORDERS_LIB);
+
+		it('should generate standalone record type schema', function() {
+			const schema = records.generateJSONSchema(recordTypes, 'Order');
+			expect(schema.$schema).to.equal(
+				'https://json-schema.org/draft/2020-12/schema');
+			expect(schema.required).to.include.members([ 'id', 'accountRef' ]);
+			expect(schema.properties.id).to.deep.equal({
+				type: 'number',
+				readOnly: true
+			});
+			expect(schema.properties.accountRef).to.deep.equal({
+				type: 'string',
+				pattern: '^Account#-?\\d+(?:\\.\\d+)?$'
+			});
+			expect(schema.properties.tags).to.deep.equal({
+				type: 'array',
+				items: { type: 'string' },
+				uniqueItems: true
+			});
+			expect(schema.properties.paymentInfo.oneOf).to.have.lengthOf(2);
+			expect(schema.properties.paymentInfo.oneOf[0].properties.type)
+				.to.deep.equal({ type: 'string', const: 'CREDIT_CARD' });
+		});
+
+		it('should generate library schema with $defs', function() {
+			const schema = records.generateJSONSchema(recordTypes);
+			expect(schema.$defs).to.have.all.keys(
+				'Account', 'Product', 'Order', 'ref(Account)', 'ref(Product)');
+			expect(schema.$defs.Order.properties.accountRef).to.deep.equal({
+				$ref: '#/$defs/ref(Account)'
+			});
+			expect(schema.$defs.Order.properties.lastViewedRef).to.deep.equal({
+				oneOf: [
+					{ $ref: '#/$defs/ref(Account)' },
+					{ $ref: '#/$defs/ref(Product)' }
+				]
+			});
+		});
+	});
+
+	describe('.generateTypeScript()', function() {
+
+		const recordTypes = records.buildLibrary(ORDERS_LIB);
+		const source = records.generateTypeScript(recordTypes);
+
+		it('should declare record type interfaces', function() {
+			expect(source).to.contain(
+				'export interface Order {\n' +
+				'\treadonly id: number;\n' +
+				'\tplacedOn: string;\n' +
+				'\taccountRef: `Account#${number}`;\n' +
+				'\titems?: OrderItems[];\n' +
+				'\ttags?: string[];\n' +
+				'\tpaymentInfo?: OrderPaymentInfo;\n' +
+				'\tlastViewedRef?: `Account#${number}` | `Product#${number}`;\n' +
+				'}\n');
+		});
+
+		it('should declare polymorphic objects as unions', function() {
+			expect(source).to.contain(
+				'export interface OrderPaymentInfoCreditCard {\n' +
+				'\treadonly type: \'CREDIT_CARD\';\n' +
+				'\tlast4Digits: string;\n' +
+				'}\n');
+			expect(source).to.contain(
+				'export type OrderPaymentInfo =' +
+				' OrderPaymentInfoCreditCard | OrderPaymentInfoAchTransfer;\n');
+		});
+
+		it('should disambiguate colliding type names', function() {
+			const libraryDef = JSON.parse(JSON.stringify(ORDERS_LIB));
+			libraryDef.recordTypes['OrderItems'] = {
+				properties: {
+					'id': { valueType: 'number', role: 'id' }
+				}
+			};
+			const source = records.generateTypeScript(
+				records.buildLibrary(libraryDef));
+			expect(source).to.contain('\titems?: OrderItems2[];\n');
+			expect(source).to.contain(
+				'export interface OrderItems {\n' +
+				'\treadonly id: number;\n' +
+				'}\n');
+			expect(source).to.contain(
+				'export interface OrderItems2 {\n' +
+				'\treadonly id: number;\n' +
+				'\tproductRef: `Product#${number}`;\n' +
+				'\tquantity: number;\n' +
+				'}\n');
+		});
+	});
+
+	describe('.generateDOT()', function() {
+
+		const recordTypes = records.buildLibrary(ORDERS_LIB);
+		const source = records.generateDOT(recordTypes);
+
+		it('should render record types with compartments', function() {
+			expect(source).to.match(/^digraph records \{\n/);
+			expect(source).to.contain(
+				'\t\t\t<tr><td port="accountRef" align="left">' +
+				'accountRef: ref(Account)</td></tr>\n');
+			expect(source).to.contain(
+				'\t\t\t<tr><td align="left" bgcolor="whitesmoke">' +
+				'<i>items[]</i></td></tr>\n' +
+				'\t\t\t<tr><td port="items.id" align="left">' +
+				'<u>id: number</u></td></tr>\n');
+		});
+
+		it('should render subtypes and references as edges', function() {
+			expect(source).to.contain(
+				'\t"Order.paymentInfo.CREDIT_CARD" -> "Order":"paymentInfo"' +
+				' [arrowhead=empty];\n');
+			expect(source).to.contain(
+				'\t"Order":"accountRef" -> "Account"' +
+				' [label="accountRef", headlabel="1"];\n');
+			expect(source).to.contain(
+				'\t"Order":"items.productRef" -> "Product"' +
+				' [label="items[].productRef", headlabel="0..*"];\n');
+			expect(source).to.contain(
+				'\t"Order":"lastViewedRef" -> "Product"' +
+				' [label="lastViewedRef", headlabel="0..1"];\n');
+		});
+	});
+
+	describe('.generateMermaid()', function() {
+
+		const recordTypes = records.buildLibrary(ORDERS_LIB);
+
+		it('should generate entity relationship diagram', function() {
+			const source = records.generateMermaid(recordTypes);
+			expect(source).to.match(/^erDiagram\n/);
+			expect(source).to.contain(
+				'\tOrder_items {\n' +
+				'\t\tnumber id PK\n' +
+				'\t\tref(Product) productRef\n' +
+				'\t\tnumber quantity\n' +
+				'\t}\n');
+			expect(source).to.contain(
+				'\tOrder ||--o{ Order_items : "items"\n');
+			expect(source).to.contain(
+				'\tOrder_paymentInfo ||--|o Order_paymentInfo_CREDIT_CARD' +
+				' : "CREDIT_CARD"\n');
+			expect(source).to.contain(
+				'\tOrder_items }o--|| Product : "productRef"\n');
+		});
+
+		it('should generate class diagram', function() {
+			const source = records.generateMermaid(
+				recordTypes, { diagram: 'classDiagram' });
+			expect(source).to.match(/^classDiagram\n/);
+			expect(source).to.contain(
+				'\t\tref~Account|Product~ lastViewedRef\n' +
+				'\t\tnumber items[].id\n');
+			expect(source).to.contain(
+				'\tOrder <|-- Order_paymentInfo_ACH_TRANSFER : paymentInfo\n');
+			expect(source).to.contain(
+				'\tOrder --> "0..*" Product : items[].productRef\n');
+			expect(() => records.generateMermaid(
+				recordTypes, { diagram: 'flowchart' }))
+				.to.throw('Invalid Mermaid diagram type flowchart.');
+		});
+	});
+
+	describe('.generateDataDictionary()', function() {
+
+		const recordTypes = records.buildLibrary({
+			recordTypes: {
+				'Account': {
+					label: 'Customer Account',
+					description: 'Account of a registered customer.',
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'name': {
+							valueType: 'string',
+							label: 'Full Name',
+							description: 'First and last | name.'
+						},
+						'paymentInfo': {
+							valueType: 'object',
+							optional: true,
+							typePropertyName: 'type',
+							subtypes: {
+								'CREDIT_CARD': {
+									label: 'Credit Card',
+									properties: {
+										'last4Digits': {
+											valueType: 'string'
+										}
+									}
+								}
+							}
+						},
+						'referrerRef': {
+							valueType: 'ref(Account)',
+							optional: true
+						}
+					}
+				}
+			}
+		});
+
+		it('should expose labels and descriptions', function() {
+			const accountDesc = recordTypes.getRecordTypeDesc('Account');
+			expect(accountDesc.label).to.equal('Customer Account');
+			expect(accountDesc.description).to.equal(
+				'Account of a registered customer.');
+			expect(accountDesc.getPropertyDesc('name').label)
+				.to.equal('Full Name');
+			expect(accountDesc.getPropertyDesc('id').label).to.be.undefined;
+			expect(accountDesc.getPropertyDesc('paymentInfo').nestedProperties
+				.getPropertyDesc('CREDIT_CARD').label).to.equal('Credit Card');
+			const errors = records.checkLibrary({
+				'Tag': {
+					label: 5,
+					properties: {
+						'id': {
+							valueType: 'string',
+							role: 'id',
+							description: [ 'Tag id.' ]
+						}
+					}
+				}
+			}).errors;
+			expect(errors.map(err => err.code)).to.have.members(
+				[ 'INVALID_LABEL', 'INVALID_DESCRIPTION' ]);
+		});
+
+		it('should generate Markdown', function() {
+			const source = records.generateDataDictionary(recordTypes);
+			expect(source).to.match(/^# Data Dictionary\n\n\* \[Account\]/);
+			expect(source).to.contain(
+				'## Account\n\n*Customer Account*\n\n' +
+				'Account of a registered customer.\n\n');
+			expect(source).to.contain(
+				'| name | Full Name | string | no | yes | no |  |  |' +
+				' First and last \\| name. |\n');
+			expect(source).to.contain(
+				'| paymentInfo.type |  | string | no | no | no |  |  |  |\n');
+			expect(source).to.contain(
+				'| referrerRef |  | ref(Account) | yes | yes | no |  |' +
+				' [Account](#account) |  |\n');
+			expect(source).to.contain(
+				'### Account.paymentInfo.CREDIT\\_CARD\n\n*Credit Card*\n\n');
+			expect(source).to.contain(
+				'| paymentInfo.CREDIT\\_CARD.last4Digits |  | string |');
+		});
+
+		it('should generate HTML', function() {
+			const source = records.generateDataDictionary(
+				recordTypes, { format: 'html', title: 'Accounts & Co' });
+			expect(source).to.match(/^<!DOCTYPE html>\n/);
+			expect(source).to.contain('<h1>Accounts &amp; Co</h1>\n');
+			expect(source).to.contain(
+				'<h3 id="Account.paymentInfo.CREDIT_CARD">' +
+				'Account.paymentInfo.CREDIT_CARD</h3>\n');
+			expect(source).to.contain(
+				'<td><a href="#Account">Account</a></td>');
+			expect(() => records.generateDataDictionary(
+				recordTypes, { format: 'pdf' }))
+				.to.throw('Invalid data dictionary format pdf.');
+		});
+	});
+
+	describe('custom value types', function() {
+
+		const UUID_RE = /^[0-9a-f]{8}-(?:[0-9a-f]{4}-){3}[0-9a-f]{12}$/;
+		const domainTypes = {
+			extendRecordTypesLibrary(ctx, recordTypes) {
+				ctx.addValueType('uuid', {
+					jsonType: 'string',
+					jsonSchema: { format: 'uuid' },
+					invalidValueMessage: 'Expected a UUID.',
+					validate(val) { return UUID_RE.test(val); },
+					parse(str) { return str.toLowerCase(); }
+				});
+				ctx.addValueType('decimal', {
+					jsonType: 'string',
+					validate(val) { return /^-?\d+(?:\.\d+)?$/.test(val); },
+					coerce(val) { return String(val); }
+				});
+				return recordTypes;
+			}
+		};
+		const recordTypes = records.with(domainTypes).buildLibrary({
+			recordTypes: {
+				'Invoice': {
+					properties: {
+						'id': {
+							valueType: 'uuid',
+							role: 'id'
+						},
+						'amounts': {
+							valueType: 'decimal{}'
+						},
+						'relatedIds': {
+							valueType: 'uuid[]'
+						}
+					}
+				}
+			}
+		});
+		const invoiceDesc = recordTypes.getRecordTypeDesc('Invoice');
+		const id = '0b7a2c5e-1d34-4b5f-9a8e-3c2d1e0f4a5b';
+
+		it('should be reported as scalar value types', function() {
+			const propDesc = invoiceDesc.getPropertyDesc('amounts');
+			expect(propDesc.scalarValueType).to.equal('decimal');
+			expect(propDesc.isMap()).to.be.true;
+			expect(propDesc.scalarValueTypeDesc.jsonType).to.equal('string');
+			expect(propDesc.scalarValueTypeDesc.coerce(10.5)).to.equal('10.5');
+			expect(recordTypes.hasValueType('uuid')).to.be.true;
+		});
+
+		it('should be used to validate records', function() {
+			expect(invoiceDesc.validate({
+				id: id,
+				amounts: { tax: '1.25', total: '11.25' },
+				relatedIds: [ id ]
+			})).to.be.null;
+			expect(invoiceDesc.validate({
+				id: 'abc',
+				amounts: { tax: 'lots' }
+			})).to.deep.equal({
+				'/id': [ 'Expected a UUID.' ],
+				'/amounts/tax': [ 'Expected a valid decimal value.' ]
+			});
+		});
+
+		it('should be used to parse references', function() {
+			expect(invoiceDesc.refToId('Invoice#' + id.toUpperCase()))
+				.to.equal(id);
+			expect(() => invoiceDesc.refToId('Invoice#123')).to.throw();
+		});
+
+		it('should reject unknown value types', function() {
+			expect(() => records.buildLibrary({
+				recordTypes: {
+					'Invoice': {
+						properties: {
+							'id': {
+								valueType: 'uuid',
+								role: 'id'
+							}
+						}
+					}
+				}
+			})).to.throw('has missing or invalid valueType attribute');
+		});
+	});
+
+	describe('allowed values', function() {
+
+		const recordTypes = records.buildLibrary(ORDERS_LIB);
+		const orderDesc = recordTypes.getRecordTypeDesc('Order');
+		const statusLib = {
+			recordTypes: {
+				'Ticket': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'status': {
+							valueType: 'string',
+							allowedValues: [ 'OPEN', 'CLOSED' ]
+						},
+						'priorities': {
+							valueType: 'number[]',
+							allowedValues: [ 1, 2, 3 ]
+						}
+					}
+				}
+			}
+		};
+
+		it('should be exposed on property descriptor', function() {
+			const ticketDesc = records.buildLibrary(statusLib)
+				.getRecordTypeDesc('Ticket');
+			expect(ticketDesc.getPropertyDesc('status').allowedValues)
+				.to.deep.equal([ 'OPEN', 'CLOSED' ]);
+			expect(ticketDesc.validate({
+				id: 1,
+				status: 'PENDING',
+				priorities: [ 1, 5 ]
+			})).to.deep.equal({
+				'/status': [ 'Not an allowed value.' ],
+				'/priorities/1': [ 'Not an allowed value.' ]
+			});
+			expect(records.generateJSONSchema(
+				records.buildLibrary(statusLib), 'Ticket'
+			).properties.status).to.deep.equal({
+				type: 'string',
+				enum: [ 'OPEN', 'CLOSED' ]
+			});
+		});
+
+		it('should be set for polymorphic type property', function() {
+			expect(orderDesc.getPropertyDesc('paymentInfo').nestedProperties
+				.getPropertyDesc('type').allowedValues).to.deep.equal(
+				[ 'CREDIT_CARD', 'ACH_TRANSFER' ]);
+		});
+
+		it('should not be set for type without subtypes', function() {
+			expect(records.checkLibrary({
+				recordTypes: {
+					'Order': {
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'paymentInfo': {
+								valueType: 'object',
+								typePropertyName: 'type',
+								subtypes: {}
+							}
+						}
+					}
+				}
+			}).errors.map(err => err.code)).to.deep.equal(
+				[ 'MISSING_SUBTYPES' ]);
+		});
+
+		it('should be validated at build time', function() {
+			expect(() => records.buildLibrary({
+				recordTypes: {
+					'Ticket': {
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'status': {
+								valueType: 'string',
+								allowedValues: [ 'OPEN', 1 ]
+							}
+						}
+					}
+				}
+			})).to.throw('allowed value 1 is not a valid string value');
+		});
+	});
+
+	describe('value constraints', function() {
+
+		const productLib = {
+			recordTypes: {
+				'Product': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'sku': {
+							valueType: 'string',
+							minLength: 3,
+							maxLength: 8,
+							pattern: '^[A-Z0-9-]+$'
+						},
+						'quantity': {
+							valueType: 'number',
+							min: 0,
+							max: 1000,
+							integer: true
+						},
+						'price': {
+							valueType: 'number',
+							min: 0,
+							precision: 2
+						},
+						'tags': {
+							valueType: 'string[]',
+							minItems: 1,
+							maxItems: 2
+						}
+					}
+				}
+			}
+		};
+		const productDesc = records.buildLibrary(productLib)
+			.getRecordTypeDesc('Product');
+
+		it('should be checked by the value checker', function() {
+			const skuDesc = productDesc.getPropertyDesc('sku');
+			expect(skuDesc.minLength).to.equal(3);
+			expect(skuDesc.checkValue('AB-12')).to.deep.equal([]);
+			expect(skuDesc.checkValue('ab')).to.deep.equal([
+				'Must be at least 3 characters long.',
+				'Does not match the required pattern.'
+			]);
+			expect(skuDesc.checkValue(12)).to.deep.equal(
+				[ 'Expected a string.' ]);
+			const priceDesc = productDesc.getPropertyDesc('price');
+			expect(priceDesc.checkValue(9.99)).to.deep.equal([]);
+			expect(priceDesc.checkValue(9.999)).to.deep.equal([
+				'Must have at most 2 digits after the decimal point.'
+			]);
+			expect(() => productDesc.getPropertyDesc('tags').checkValue('x'))
+				.not.to.throw();
+		});
+
+		it('should be checked by record validation', function() {
+			expect(productDesc.validate({
+				id: 1,
+				sku: 'AB-12',
+				quantity: 10,
+				price: 9.99,
+				tags: [ 'new' ]
+			})).to.be.null;
+			expect(productDesc.validate({
+				id: 1,
+				sku: 'TOO-LONG-SKU',
+				quantity: 1.5,
+				price: -1,
+				tags: []
+			})).to.deep.equal({
+				'/sku': [ 'Must be at most 8 characters long.' ],
+				'/quantity': [ 'Must be an integer.' ],
+				'/price': [ 'Must be at least 0.' ],
+				'/tags': [ 'Must have at least 1 elements.' ]
+			});
+		});
+
+		it('should be included in JSON Schema', function() {
+			const schema = records.generateJSONSchema(
+				records.buildLibrary(productLib), 'Product');
+			expect(schema.properties.sku).to.deep.equal({
+				type: 'string',
+				minLength: 3,
+				maxLength: 8,
+				pattern: '^[A-Z0-9-]+$'
+			});
+			expect(schema.properties.quantity).to.deep.equal({
+				type: 'integer',
+				minimum: 0,
+				maximum: 1000
+			});
+			expect(schema.properties.price).to.deep.equal({
+				type: 'number',
+				minimum: 0,
+				'x-precision': 2
+			});
+			const wholeLib = JSON.parse(JSON.stringify(productLib));
+			wholeLib.recordTypes['Product'].properties['price'].precision = 0;
+			expect(records.generateJSONSchema(
+				records.buildLibrary(wholeLib), 'Product'
+			).properties.price).to.deep.equal({
+				type: 'number',
+				minimum: 0,
+				multipleOf: 1
+			});
+			expect(schema.properties.tags).to.deep.equal({
+				type: 'array',
+				items: { type: 'string' },
+				uniqueItems: true,
+				minItems: 1,
+				maxItems: 2
+			});
+		});
+
+		it('should be checked when library is built', function() {
+			const buildWith = propDef => records.buildLibrary({
+				recordTypes: {
+					'Product': {
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'prop': propDef
+						}
+					}
+				}
+			});
+			expect(() => buildWith({ valueType: 'string', pattern: '(' }))
+				.to.throw('invalid pattern value');
+			expect(() => buildWith({ valueType: 'number', min: 5, max: 1 }))
+				.to.throw('min may not be greater than max');
+			expect(() => buildWith({ valueType: 'number', maxLength: 5 }))
+				.to.throw('maxLength may only be specified for string value');
+			expect(() => buildWith({ valueType: 'string', minItems: 1 }))
+				.to.throw('minItems may only be specified for array and map');
+			expect(() => buildWith({ valueType: 'number', precision: -1 }))
+				.to.throw('invalid precision value');
+		});
+	});
+
+	describe('RecordTypeDescriptor.createRecord()', function() {
+
+		class Ticket {}
+		const ticketLib = {
+			recordTypes: {
+				'Ticket': {
+					factory: function() { return new Ticket(); },
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'status': {
+							valueType: 'string',
+							default: 'OPEN'
+						},
+						'openedOn': {
+							valueType: 'datetime',
+							default: function() {
+								return new Date(0);
+							}
+						},
+						'labels': {
+							valueType: 'string[]',
+							default: []
+						},
+						'settings': {
+							valueType: 'object',
+							default: {},
+							properties: {
+								'notify': {
+									valueType: 'boolean',
+									default: true
+								}
+							}
+						},
+						'target': {
+							valueType: 'object',
+							optional: true,
+							typePropertyName: 'kind',
+							subtypes: {
+								'USER': {
+									properties: {
+										'login': {
+											valueType: 'string',
+											default: 'guest'
+										}
+									}
+								},
+								'GROUP': {
+									properties: {
+										'size': {
+											valueType: 'number',
+											default: 0
+										}
+									}
+								}
+							}
+						}
+					}
+				}
+			}
+		};
+		const ticketDesc = records.buildLibrary(ticketLib)
+			.getRecordTypeDesc('Ticket');
+
+		it('should apply defaults recursively', function() {
+			const ticket = ticketDesc.createRecord({
+				id: 1,
+				target: { kind: 'GROUP' }
+			});
+			expect(ticket).to.deep.equal({
+				id: 1,
+				status: 'OPEN',
+				openedOn: '1970-01-01T00:00:00.000Z',
+				labels: [],
+				settings: { notify: true },
+				target: { kind: 'GROUP', size: 0 }
+			});
+			expect(ticket).to.be.an.instanceOf(Ticket);
+			expect(ticketDesc.validate(ticket)).to.be.null;
+			expect(ticketDesc.createRecord().labels)
+				.not.to.equal(ticketDesc.createRecord().labels);
+		});
+
+		it('should keep initial values', function() {
+			expect(ticketDesc.createRecord({
+				id: 2,
+				status: 'CLOSED',
+				openedOn: '1970-01-01T00:00:01.000Z',
+				settings: { notify: false }
+			})).to.deep.equal({
+				id: 2,
+				status: 'CLOSED',
+				openedOn: '1970-01-01T00:00:01.000Z',
+				labels: [],
+				settings: { notify: false }
+			});
+			const openedOn = new Date(1000);
+			expect(ticketDesc.createRecord({
+				id: 3,
+				openedOn: openedOn
+			}).openedOn).to.equal(openedOn);
+		});
+
+		it('should validate default literals at build time', function() {
+			expect(() => records.buildLibrary({
+				recordTypes: {
+					'Ticket': {
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'labels': {
+								valueType: 'string[]',
+								default: [ 'a', {} ]
+							}
+						}
+					}
+				}
+			})).to.throw('invalid default value at /1: Expected a string.');
+		});
+
+		it('should coerce default literals', function() {
+			const desc = records.buildLibrary({
+				recordTypes: {
+					'Ticket': {
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'openedOn': {
+								valueType: 'datetime',
+								default: new Date(0)
+							},
+							'labels': {
+								valueType: 'string[]',
+								default: [ 'a', 1 ]
+							}
+						}
+					}
+				}
+			}).getRecordTypeDesc('Ticket');
+			expect(desc.createRecord({ id: 1 })).to.deep.equal({
+				id: 1,
+				openedOn: '1970-01-01T00:00:00.000Z',
+				labels: [ 'a', '1' ]
+			});
+		});
+
+		it('should create empty arrays and maps from defaults', function() {
+			const desc = records.buildLibrary({
+				recordTypes: {
+					'Ticket': {
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'watchers': {
+								valueType: 'string[]',
+								default: []
+							},
+							'counters': {
+								valueType: 'number{}',
+								default: {}
+							},
+							'notes': {
+								valueType: 'object{}',
+								default: {},
+								properties: {
+									'text': {
+										valueType: 'string'
+									}
+								}
+							},
+							'tags': {
+								valueType: 'string[]',
+								optional: true
+							}
+						}
+					}
+				}
+			}).getRecordTypeDesc('Ticket');
+			const ticket = desc.createRecord({ id: 1 });
+			expect(ticket).to.deep.equal({
+				id: 1,
+				watchers: [],
+				counters: {},
+				notes: {}
+			});
+			expect(desc.validate(ticket)).to.be.null;
+			expect(desc.createRecord().counters)
+				.not.to.equal(desc.createRecord().counters);
+		});
+
+		it('should not check default of unresolved reference', function() {
+			const libraryDef = {
+				recordTypes: {
+					'Ticket': {
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'ownerRef': {
+								valueType: 'ref(User)',
+								default: 'User#1'
+							},
+							'subjectRef': {
+								valueType: 'ref(Ticket|Project)',
+								default: 'Project#1'
+							}
+						}
+					}
+				}
+			};
+			expect(records.checkLibrary(libraryDef).errors.map(
+				err => err.code)).to.deep.equal(
+				[ 'UNKNOWN_REF_TARGET', 'UNKNOWN_REF_TARGET' ]);
+			expect(() => records.buildLibrary(libraryDef)).to.throw(
+				common.X2UsageError, 'unknown reference target');
+		});
+	});
+
+	describe('templates', function() {
+
+		const auditLib = {
+			templates: {
+				'Entity': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'version': {
+							valueType: 'number',
+							modifiable: false
+						}
+					}
+				},
+				'Audited': {
+					properties: {
+						'createdOn': {
+							valueType: 'datetime',
+							modifiable: false
+						},
+						'modifiedOn': {
+							valueType: 'datetime',
+							optional: true
+						}
+					}
+				},
+				'AuditedEntity': {
+					extends: 'Entity',
+					mixins: [ 'Audited' ]
+				}
+			},
+			recordTypes: {
+				'Account': {
+					extends: 'AuditedEntity',
+					mixins: [ 'Audited' ],
+					properties: {
+						'name': {
+							valueType: 'string'
+						},
+						'address': {
+							valueType: 'object',
+							optional: true,
+							mixins: [ 'Audited' ],
+							properties: {
+								'city': {
+									valueType: 'string'
+								}
+							}
+						}
+					}
+				}
+			}
+		};
+
+		it('should merge template properties', function() {
+			const accountDesc = records.buildLibrary(auditLib)
+				.getRecordTypeDesc('Account');
+			expect(accountDesc.allPropertyNames).to.deep.equal([
+				'id', 'version', 'createdOn', 'modifiedOn', 'name', 'address'
+			]);
+			expect(accountDesc.idPropertyName).to.equal('id');
+			expect(Object.keys(accountDesc.definition.properties))
+				.to.deep.equal(accountDesc.allPropertyNames);
+			const addressDesc = accountDesc.getPropertyDesc('address');
+			expect(addressDesc.nestedProperties.allPropertyNames)
+				.to.deep.equal([ 'createdOn', 'modifiedOn', 'city' ]);
+			expect(addressDesc.nestedProperties.nestedPath)
+				.to.equal('address.');
+		});
+
+		it('should detect conflicts', function() {
+			const lib = def => ({
+				templates: {
+					'Entity': {
+						extends: 'Base',
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							}
+						}
+					},
+					'Base': {},
+					'Loop': {
+						mixins: [ 'Loop2' ]
+					},
+					'Loop2': {
+						extends: 'Loop'
+					}
+				},
+				recordTypes: {
+					'Account': def
+				}
+			});
+			expect(() => records.buildLibrary(lib({
+				extends: 'Entity',
+				properties: {
+					'id': {
+						valueType: 'string',
+						role: 'id'
+					}
+				}
+			}))).to.throw(
+				'property id is defined in both template Entity and' +
+					' own definition');
+			expect(() => records.buildLibrary(lib({
+				extends: 'Unknown'
+			}))).to.throw('unknown template Unknown');
+			expect(() => records.buildLibrary(lib({
+				extends: 'Entity',
+				mixins: [ 'Loop' ]
+			}))).to.throw('templates form a cycle: Loop -> Loop2 -> Loop');
+			expect(records.checkLibrary(lib({ mixins: 'Entity' }))
+				.errors.map(e => e.code)).to.deep.equal([ 'INVALID_TEMPLATE' ]);
+		});
+	});
+
+	describe('named object types', function() {
+
+		const contactsLib = {
+			objectTypes: {
+				'Address': {
+					properties: {
+						'street': {
+							valueType: 'string'
+						},
+						'city': {
+							valueType: 'string'
+						}
+					}
+				}
+			},
+			recordTypes: {
+				'Customer': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'billingAddress': {
+							valueType: 'Address'
+						},
+						'shippingAddresses': {
+							valueType: 'object(Address)[]',
+							optional: true
+						}
+					}
+				}
+			}
+		};
+
+		it('should create separate container per usage', function() {
+			const customerDesc = records.buildLibrary(contactsLib)
+				.getRecordTypeDesc('Customer');
+			const billingDesc = customerDesc.getPropertyDesc('billingAddress');
+			const shippingDesc = customerDesc.getPropertyDesc(
+				'shippingAddresses');
+			expect(billingDesc.scalarValueType).to.equal('object');
+			expect(billingDesc.isScalar()).to.be.true;
+			expect(billingDesc.objectTypeName).to.equal('Address');
+			expect(shippingDesc.scalarValueType).to.equal('object');
+			expect(shippingDesc.isArray()).to.be.true;
+			const billingProps = billingDesc.nestedProperties;
+			const shippingProps = shippingDesc.nestedProperties;
+			expect(billingProps).not.to.equal(shippingProps);
+			expect(billingProps.nestedPath).to.equal('billingAddress.');
+			expect(shippingProps.nestedPath).to.equal('shippingAddresses.');
+			expect(shippingProps.recordTypeName).to.equal('Customer');
+			expect(shippingProps.parentContainer).to.equal(customerDesc);
+			expect(shippingProps.allPropertyNames)
+				.to.deep.equal([ 'street', 'city' ]);
+			expect(customerDesc.validate({
+				id: 1,
+				billingAddress: { street: '1 Main St', city: 'Springfield' },
+				shippingAddresses: [ { street: '2 Main St' } ]
+			})).to.deep.equal({
+				'/shippingAddresses/0/city': [ 'Missing required property.' ]
+			});
+		});
+
+		it('should reject invalid usage', function() {
+			const lib = propDef => ({
+				objectTypes: {
+					'Node': {
+						properties: {
+							'children': {
+								valueType: 'Node[]'
+							}
+						}
+					}
+				},
+				recordTypes: {
+					'Tree': {
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'prop': propDef
+						}
+					}
+				}
+			});
+			expect(() => records.buildLibrary(lib({ valueType: 'Node' })))
+				.to.throw('object type Node recursively contains itself');
+			expect(() => records.buildLibrary(lib({ valueType: 'object(Leaf)' })))
+				.to.throw('refers to unknown object type Leaf');
+			expect(() => records.buildLibrary(lib({ valueType: 'Leaf' })))
+				.to.throw('has missing or invalid valueType attribute');
+		});
+
+		it('should reject non-object object type definition', function() {
+			const libraryDef = {
+				objectTypes: {
+					'Address': 'oops'
+				},
+				recordTypes: {
+					'Customer': {
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'address': {
+								valueType: 'Address'
+							}
+						}
+					}
+				}
+			};
+			expect(() => records.buildLibrary(libraryDef)).to.throw(
+				common.X2UsageError,
+				'object type Address definition is not an object');
+			const report = records.checkLibrary(libraryDef);
+			expect(report.valid).to.be.false;
+			expect(report.errors.map(err => err.code)).to.deep.equal(
+				[ 'INVALID_OBJECT_TYPE', 'INVALID_OBJECT_TYPE' ]);
+		});
+	});
+
+	describe('RecordTypesLibrary.resolvePropertyPath()', function() {
+
+		const recordTypes = records.buildLibrary(ORDERS_LIB);
+		const resolve = path => recordTypes.resolvePropertyPath('Order', path)
+			.map(segment => [
+				segment.propDesc.name,
+				segment.collection,
+				segment.referenceHop,
+				segment.subtype,
+				segment.implicitSubtype
+			]);
+
+		it('should resolve nested properties and references', function() {
+			expect(resolve('items.productRef.name')).to.deep.equal([
+				[ 'items', true, false, null, false ],
+				[ 'productRef', false, false, null, false ],
+				[ 'name', false, true, null, false ]
+			]);
+		});
+
+		it('should narrow polymorphic objects and references', function() {
+			expect(resolve('paymentInfo.CREDIT_CARD.last4Digits')).to.deep.equal([
+				[ 'paymentInfo', false, false, null, false ],
+				[ 'last4Digits', false, false, 'CREDIT_CARD', false ]
+			]);
+			expect(resolve('paymentInfo.accountType')).to.deep.equal([
+				[ 'paymentInfo', false, false, null, false ],
+				[ 'accountType', false, false, 'ACH_TRANSFER', true ]
+			]);
+			expect(resolve('lastViewedRef.Account.name')).to.deep.equal([
+				[ 'lastViewedRef', false, false, null, false ],
+				[ 'name', false, true, 'Account', false ]
+			]);
+			expect(resolve('lastViewedRef.price')).to.deep.equal([
+				[ 'lastViewedRef', false, false, null, false ],
+				[ 'price', false, true, 'Product', true ]
+			]);
+		});
+
+		it('should reject invalid paths', function() {
+			expect(() => resolve('items.color'))
+				.to.throw('unknown property color');
+			expect(() => resolve('tags.length'))
+				.to.throw('property tags is not a nested object or reference');
+			expect(() => resolve('lastViewedRef.id'))
+				.to.throw('property id is ambiguous among reference targets');
+			expect(() => resolve('paymentInfo.CREDIT_CARD'))
+				.to.throw('path may not end with subtype CREDIT_CARD');
+			expect(() => resolve('items..id')).to.throw('empty path segment');
+		});
+	});
+
+	describe('record value accessors', function() {
+
+		const orderDesc = records.buildLibrary(ORDERS_LIB)
+			.getRecordTypeDesc('Order');
+		const newOrder = () => ({
+			id: 1,
+			items: [
+				{ id: 1, productRef: 'Product#1', quantity: 2 }
+			],
+			paymentInfo: { type: 'CREDIT_CARD', last4Digits: '1234' }
+		});
+
+		it('should get values', function() {
+			const order = newOrder();
+			expect(records.getValue(orderDesc, order, 'items.0.quantity'))
+				.to.equal(2);
+			expect(records.getValue(orderDesc, order, '/items/0/productRef'))
+				.to.equal('Product#1');
+			expect(records.getValue(orderDesc, order, [ 'items', 0 ]))
+				.to.equal(order.items[0]);
+			expect(records.getValue(orderDesc, order, 'items.5.quantity'))
+				.to.be.undefined;
+			expect(records.getValue(
+				orderDesc, order, 'paymentInfo.CREDIT_CARD.last4Digits'
+			)).to.equal('1234');
+			expect(records.getValue(
+				orderDesc, order, 'paymentInfo.ACH_TRANSFER.accountType'
+			)).to.be.undefined;
+			expect(() => records.getValue(orderDesc, order, 'items.0.color'))
+				.to.throw('unknown property color');
+			expect(() => records.getValue(orderDesc, order, 'items.x'))
+				.to.throw('invalid array index x');
+		});
+
+		it('should set values creating intermediate objects', function() {
+			const order = { id: 1 };
+			records.setValue(orderDesc, order, 'items.0.quantity', 3);
+			records.setValue(orderDesc, order, 'tags.0', 'urgent');
+			records.setValue(
+				orderDesc, order, 'paymentInfo.accountType', 'CHECKING');
+			expect(order).to.deep.equal({
+				id: 1,
+				items: [ { quantity: 3 } ],
+				tags: [ 'urgent' ],
+				paymentInfo: { type: 'ACH_TRANSFER', accountType: 'CHECKING' }
+			});
+			expect(() => records.setValue(
+				orderDesc, order, 'paymentInfo.CREDIT_CARD.last4Digits', '1'
+			)).to.throw('subtype CREDIT_CARD does not match the object type');
+			expect(() => records.setValue(orderDesc, order, 'tags.5', 'x'))
+				.to.throw('array index 5 is out of bounds');
+		});
+
+		it('should not modify record when setting value fails', function() {
+			const order = { id: 1, items: [] };
+			expect(() => records.setValue(
+				orderDesc, order, 'paymentInfo.bogus', 1
+			)).to.throw('unknown property bogus');
+			expect(() => records.setValue(
+				orderDesc, order, 'paymentInfo.CREDIT_CARD', {}
+			)).to.throw('path may not end with a subtype');
+			expect(() => records.setValue(
+				orderDesc, order, 'items.0.bogus', 1
+			)).to.throw('unknown property bogus');
+			expect(order).to.deep.equal({ id: 1, items: [] });
+		});
+
+		it('should delete values', function() {
+			const order = newOrder();
+			expect(records.deleteValue(orderDesc, order, 'items.0'))
+				.to.be.true;
+			expect(order.items).to.deep.equal([]);
+			expect(records.deleteValue(orderDesc, order, 'paymentInfo.last4Digits'))
+				.to.be.true;
+			expect(records.deleteValue(orderDesc, order, 'paymentInfo.last4Digits'))
+				.to.be.false;
+			expect(order.paymentInfo).to.deep.equal({ type: 'CREDIT_CARD' });
+		});
+	});
+
+	describe('RecordTypeDescriptor.walk()', function() {
+
+		const orderDesc = records.buildLibrary(ORDERS_LIB)
+			.getRecordTypeDesc('Order');
+		const newOrder = () => ({
+			id: 1,
+			items: [
+				{ id: 1, productRef: 'Product#1', quantity: 2 },
+				{ id: 2, productRef: 'Product#2', quantity: 1 }
+			],
+			tags: [ 'a', 'b' ],
+			paymentInfo: { type: 'CREDIT_CARD', last4Digits: '1234' },
+			color: 'red'
+		});
+
+		it('should visit all present values', function() {
+			const visited = new Array();
+			orderDesc.walk(newOrder(), (val, node) => {
+				visited.push(node.pointer + (node.element ? '[]' : ''));
+			});
+			expect(visited).to.deep.equal([
+				'/id',
+				'/items',
+				'/items/0[]',
+				'/items/0/id',
+				'/items/0/productRef',
+				'/items/0/quantity',
+				'/items/1[]',
+				'/items/1/id',
+				'/items/1/productRef',
+				'/items/1/quantity',
+				'/tags',
+				'/tags/0[]',
+				'/tags/1[]',
+				'/paymentInfo',
+				'/paymentInfo/type',
+				'/paymentInfo/last4Digits'
+			]);
+		});
+
+		it('should skip, prune and replace values', function() {
+			const order = newOrder();
+			const visited = new Array();
+			orderDesc.walk(order, (val, node) => {
+				visited.push(node.pointer);
+				switch (node.propDesc.name) {
+				case 'items':
+					return (node.element && val.id === 1 ? records.PRUNE :
+						undefined);
+				case 'tags':
+					return (node.element ? val.toUpperCase() : undefined);
+				case 'paymentInfo':
+					return records.SKIP;
+				}
+			});
+			expect(visited).not.to.include('/items/0/id');
+			expect(visited).to.include('/items/1/id');
+			expect(visited).not.to.include('/paymentInfo/type');
+			expect(order.items).to.deep.equal([
+				{ id: 2, productRef: 'Product#2', quantity: 1 }
+			]);
+			expect(order.tags).to.deep.equal([ 'A', 'B' ]);
+		});
+	});
+
+	describe('RecordTypeDescriptor.clone() and equals()', function() {
+
+		class Order {}
+		class Item {}
+		const recordTypes = records.buildLibrary({
+			recordTypes: {
+				'Order': {
+					factory: () => new Order(),
+					properties: {
+						'id': { valueType: 'number', role: 'id' },
+						'placedOn': { valueType: 'datetime' },
+						'items': {
+							valueType: 'object[]',
+							factory: () => new Item(),
+							properties: {
+								'id': { valueType: 'number', role: 'id' },
+								'quantity': { valueType: 'number' }
+							}
+						},
+						'tags': { valueType: 'string[]', optional: true },
+						'scores': {
+							valueType: 'number[]',
+							allowDuplicates: true,
+							optional: true
+						},
+						'attrs': { valueType: 'string{}', optional: true },
+						'note': { valueType: 'string', optional: true },
+						'payment': {
+							valueType: 'object',
+							optional: true,
+							typePropertyName: 'type',
+							subtypes: {
+								'CARD': {
+									properties: {
+										'last4': { valueType: 'string' }
+									}
+								},
+								'CASH': {
+									properties: {}
+								}
+							}
+						}
+					}
+				}
+			}
+		});
+		const orderDesc = recordTypes.getRecordTypeDesc('Order');
+		const newOrder = () => orderDesc.createRecord({
+			id: 1,
+			placedOn: '2017-01-01T10:00:00Z',
+			items: [ { id: 1, quantity: 2 }, { id: 2, quantity: 1 } ],
+			tags: [ 'a', 'b' ],
+			scores: [ 1, 2 ],
+			attrs: { color: 'red' },
+			payment: { type: 'CARD', last4: '1234' },
+			extra: { nested: [ 1 ] }
+		});
+
+		it('should clone records using factories', function() {
+			const order = newOrder();
+			const clone = orderDesc.clone(order);
+			expect(clone).to.be.an.instanceOf(Order);
+			expect(clone.items[0]).to.be.an.instanceOf(Item);
+			expect(clone).to.deep.equal(order);
+			expect(clone.items).to.not.equal(order.items);
+			expect(clone.attrs).to.not.equal(order.attrs);
+			expect(clone.payment).to.not.equal(order.payment);
+			expect(clone.extra.nested).to.not.equal(order.extra.nested);
+			clone.items[0].quantity = 5;
+			expect(order.items[0].quantity).to.equal(2);
+		});
+
+		it('should compare records by descriptors', function() {
+			const order = newOrder();
+			expect(orderDesc.equals(order, orderDesc.clone(order))).to.be.true;
+
+			const other = orderDesc.clone(order);
+			other.placedOn = '2017-01-01T12:00:00.000+02:00';
+			other.items.reverse();
+			other.tags = [ 'b', 'a' ];
+			other.note = null;
+			delete other.extra;
+			expect(orderDesc.equals(order, other)).to.be.true;
+
+			const changed = (change) => {
+				const record = orderDesc.clone(order);
+				change(record);
+				return !orderDesc.equals(order, record);
+			};
+			expect(changed(r => { r.placedOn = '2017-01-01T10:00:01Z'; }))
+				.to.be.true;
+			expect(changed(r => { r.items[1].id = 3; })).to.be.true;
+			expect(changed(r => { r.items[1].quantity = 3; })).to.be.true;
+			expect(changed(r => { r.items.pop(); })).to.be.true;
+			expect(changed(r => { r.tags = [ 'a', 'c' ]; })).to.be.true;
+			expect(changed(r => { r.scores.reverse(); })).to.be.true;
+			expect(changed(r => { r.attrs.color = 'blue'; })).to.be.true;
+			expect(changed(r => { r.attrs = { size: 'red' }; })).to.be.true;
+			expect(changed(r => { r.note = ''; })).to.be.true;
+			expect(changed(r => { r.payment = { type: 'CASH' }; })).to.be.true;
+			expect(changed(r => { r.payment.last4 = '4321'; })).to.be.true;
+		});
+	});
+
+	describe('RecordTypeDescriptor.diff()', function() {
+
+		const recordTypes = records.buildLibrary(ORDERS_LIB);
+		const orderDesc = recordTypes.getRecordTypeDesc('Order');
+		const newOrder = () => ({
+			id: 1,
+			placedOn: '2017-01-01T10:00:00Z',
+			accountRef: 'Account#1',
+			items: [
+				{ id: 1, productRef: 'Product#1', quantity: 2 },
+				{ id: 2, productRef: 'Product#2', quantity: 1 },
+				{ id: 3, productRef: 'Product#3', quantity: 1 }
+			],
+			tags: [ 'a', 'b' ],
+			paymentInfo: { type: 'CREDIT_CARD', last4Digits: '1234' }
+		});
+
+		it('should report no changes for equal records', function() {
+			const order = newOrder();
+			const other = newOrder();
+			other.placedOn = '2017-01-01T12:00:00.000+02:00';
+			other.tags.reverse();
+			other.items.forEach(item => { item.color = 'red'; });
+			expect(orderDesc.diff(order, other)).to.deep.equal([]);
+		});
+
+		it('should diff properties', function() {
+			const order = newOrder();
+			const other = newOrder();
+			other.id = 2;
+			other.accountRef = 'Account#2';
+			delete other.placedOn;
+			other.tags = [ 'b', 'c', 'd' ];
+			other.lastViewedRef = 'Product#1';
+			expect(orderDesc.diff(order, other)).to.deep.equal([
+				{ op: 'replace', path: '/id', value: 2 },
+				{ op: 'remove', path: '/placedOn' },
+				{ op: 'replace', path: '/accountRef', value: 'Account#2' },
+				{ op: 'remove', path: '/tags/0' },
+				{ op: 'add', path: '/tags/-', value: 'c' },
+				{ op: 'add', path: '/tags/-', value: 'd' },
+				{ op: 'add', path: '/lastViewedRef', value: 'Product#1' }
+			]);
+			expect(orderDesc.diff(order, other, { modifiableOnly: true }))
+				.to.deep.equal([
+					{ op: 'remove', path: '/placedOn' },
+					{ op: 'replace', path: '/accountRef', value: 'Account#2' },
+					{ op: 'remove', path: '/tags/0' },
+					{ op: 'add', path: '/tags/-', value: 'c' },
+					{ op: 'add', path: '/tags/-', value: 'd' },
+					{ op: 'add', path: '/lastViewedRef', value: 'Product#1' }
+				]);
+		});
+
+		it('should match nested object array elements by ids', function() {
+			const order = newOrder();
+			const other = newOrder();
+			other.items = [
+				{ id: 3, productRef: 'Product#3', quantity: 5 },
+				{ id: 4, productRef: 'Product#4', quantity: 1 },
+				{ id: 1, productRef: 'Product#1', quantity: 2 }
+			];
+			expect(orderDesc.diff(order, other)).to.deep.equal([
+				{ op: 'remove', path: '/items/1' },
+				{ op: 'move', from: '/items/1', path: '/items/0' },
+				{ op: 'replace', path: '/items/0/quantity', value: 5 },
+				{
+					op: 'add',
+					path: '/items/1',
+					value: { id: 4, productRef: 'Product#4', quantity: 1 }
+				}
+			]);
+		});
+
+		it('should replace polymorphic objects of other subtype', function() {
+			const order = newOrder();
+			const other = newOrder();
+			other.paymentInfo.last4Digits = '4321';
+			expect(orderDesc.diff(order, other)).to.deep.equal([
+				{
+					op: 'replace',
+					path: '/paymentInfo/last4Digits',
+					value: '4321'
+				}
+			]);
+			other.paymentInfo = {
+				type: 'ACH_TRANSFER',
+				accountType: 'CHECKING'
+			};
+			expect(orderDesc.diff(order, other)).to.deep.equal([
+				{
+					op: 'replace',
+					path: '/paymentInfo',
+					value: { type: 'ACH_TRANSFER', accountType: 'CHECKING' }
+				}
+			]);
+		});
+
+		it('should diff maps by keys', function() {
+			const productDesc = records.buildLibrary({
+				recordTypes: {
+					'Product': {
+						properties: {
+							'id': { valueType: 'number', role: 'id' },
+							'names': { valueType: 'string{}' }
+						}
+					}
+				}
+			}).getRecordTypeDesc('Product');
+			expect(productDesc.diff(
+				{ id: 1, names: { en: 'Pen', de: 'Stift', 'a/b': 'x' } },
+				{ id: 1, names: { en: 'Pen', fr: 'Stylo', 'a/b': 'y' } }
+			)).to.deep.equal([
+				{ op: 'remove', path: '/names/de' },
+				{ op: 'add', path: '/names/fr', value: 'Stylo' },
+				{ op: 'replace', path: '/names/a~1b', value: 'y' }
+			]);
+		});
+	});
+
+	describe('RecordTypeDescriptor.applyPatch()', function() {
+
+		const recordTypes = records.buildLibrary(ORDERS_LIB);
+		const orderDesc = recordTypes.getRecordTypeDesc('Order');
+		const newOrder = () => ({
+			id: 1,
+			placedOn: '2017-01-01T10:00:00Z',
+			accountRef: 'Account#1',
+			items: [
+				{ id: 1, productRef: 'Product#1', quantity: 2 },
+				{ id: 2, productRef: 'Product#2', quantity: 1 }
+			],
+			tags: [ 'a', 'b' ],
+			paymentInfo: { type: 'CREDIT_CARD', last4Digits: '1234' }
+		});
+		const patchErrors = f => {
+			try {
+				f();
+			} catch (err) {
+				expect(err).to.be.an.instanceOf(common.X2SyntaxError);
+				return err.errors;
+			}
+			throw new Error('No error thrown.');
+		};
+
+		it('should apply JSON Patch', function() {
+			const order = newOrder();
+			const patched = orderDesc.applyPatch(order, [
+				{ op: 'test', path: '/items/1/quantity', value: 1 },
+				{ op: 'replace', path: '/items/1/quantity', value: 3 },
+				{ op: 'move', from: '/items/1', path: '/items/0' },
+				{
+					op: 'add',
+					path: '/items/-',
+					value: { id: 3, productRef: 'Product#3', quantity: 1 }
+				},
+				{ op: 'remove', path: '/tags/0' },
+				{ op: 'copy', from: '/accountRef', path: '/lastViewedRef' },
+				{ op: 'replace', path: '/paymentInfo', value: {
+					type: 'ACH_TRANSFER', accountType: 'CHECKING'
+				} }
+			]);
+			expect(patched).to.deep.equal({
+				id: 1,
+				placedOn: '2017-01-01T10:00:00Z',
+				accountRef: 'Account#1',
+				items: [
+					{ id: 2, productRef: 'Product#2', quantity: 3 },
+					{ id: 1, productRef: 'Product#1', quantity: 2 },
+					{ id: 3, productRef: 'Product#3', quantity: 1 }
+				],
+				tags: [ 'b' ],
+				paymentInfo: { type: 'ACH_TRANSFER', accountType: 'CHECKING' },
+				lastViewedRef: 'Account#1'
+			});
+			expect(order).to.deep.equal(newOrder());
+		});
+
+		it('should apply diff', function() {
+			const order = newOrder();
+			const other = newOrder();
+			other.items = [
+				{ id: 2, productRef: 'Product#2', quantity: 5 },
+				{ id: 3, productRef: 'Product#3', quantity: 1 },
+				{ id: 1, productRef: 'Product#1', quantity: 2 }
+			];
+			other.tags = [ 'c', 'b' ];
+			other.paymentInfo.last4Digits = '4321';
+			const patched = orderDesc.applyPatch(
+				order, orderDesc.diff(order, other));
+			expect(orderDesc.equals(patched, other)).to.be.true;
+			expect(patched.items).to.deep.equal(other.items);
+		});
+
+		it('should reject invalid operations atomically', function() {
+			const order = newOrder();
+			expect(patchErrors(() => orderDesc.applyPatch(order, [
+				{ op: 'replace', path: '/id', value: 2 },
+				{ op: 'replace', path: '/items/0/id', value: 5 },
+				{ op: 'replace', path: '/paymentInfo/type', value: 'X' },
+				{ op: 'add', path: '/color', value: 'red' },
+				{ op: 'replace', path: '/items/0/quantity', value: 'x' },
+				{ op: 'remove', path: '/placedOn' },
+				{ op: 'add', path: '/tags/-', value: 'a' },
+				{ op: 'remove', path: '/items/5' },
+				{ op: 'test', path: '/accountRef', value: 'Account#2' },
+				{ op: 'replace', path: '/tags/0', value: 'c' },
+				{ op: 'update', path: '/tags' }
+			]))).to.deep.equal([
+				{
+					operation: 0,
+					path: '/id',
+					message: 'Cannot modify id property.'
+				},
+				{
+					operation: 1,
+					path: '/items/0/id',
+					message: 'Cannot modify id property.'
+				},
+				{
+					operation: 2,
+					path: '/paymentInfo/type',
+					message: 'Cannot modify polymorphic object type.'
+				},
+				{
+					operation: 3,
+					path: '/color',
+					message:
+						'Invalid value path "/color": unknown property color.'
+				},
+				{
+					operation: 4,
+					path: '/items/0/quantity',
+					message: 'Expected a number.'
+				},
+				{
+					operation: 5,
+					path: '/placedOn',
+					message: 'Missing required property.'
+				},
+				{
+					operation: 6,
+					path: '/tags/-',
+					message: 'Duplicate array element.'
+				},
+				{
+					operation: 7,
+					path: '/items/5',
+					message: 'Value does not exist.'
+				},
+				{
+					operation: 8,
+					path: '/accountRef',
+					message: 'Test failed.'
+				},
+				{
+					operation: 10,
+					path: '/tags',
+					message: 'Invalid operation "update".'
+				}
+			]);
+			expect(order).to.deep.equal(newOrder());
+		});
+
+		it('should create nested objects using factories', function() {
+			class Item {}
+			const desc = records.buildLibrary({
+				recordTypes: {
+					'Order': {
+						properties: {
+							'id': { valueType: 'number', role: 'id' },
+							'items': {
+								valueType: 'object[]',
+								factory: () => new Item(),
+								properties: {
+									'quantity': { valueType: 'number' }
+								}
+							}
+						}
+					}
+				}
+			}).getRecordTypeDesc('Order');
+			const patched = desc.applyPatch({ id: 1, items: [] }, [
+				{ op: 'add', path: '/items/0', value: { quantity: 1 } }
+			]);
+			expect(patched.items[0]).to.be.an.instanceOf(Item);
+			expect(desc.applyMergePatch(patched, {
+				items: [ { quantity: 2 } ]
+			}).items[0]).to.be.an.instanceOf(Item);
+		});
+
+		it('should compare normalized values for duplicates', function() {
+			const desc = records.buildLibrary({
+				recordTypes: {
+					'Event': {
+						properties: {
+							'id': { valueType: 'number', role: 'id' },
+							'dates': { valueType: 'datetime[]' }
+						}
+					}
+				}
+			}).getRecordTypeDesc('Event');
+			const event = { id: 1, dates: [ '2017-01-01T10:00:00Z' ] };
+			expect(patchErrors(() => desc.applyPatch(event, [ {
+				op: 'add',
+				path: '/dates/-',
+				value: '2017-01-01T12:00:00.000+02:00'
+			} ]))).to.deep.equal([ {
+				operation: 0,
+				path: '/dates/-',
+				message: 'Duplicate array element.'
+			} ]);
+		});
+	});
+
+	describe('RecordTypeDescriptor.applyMergePatch()', function() {
+
+		const recordTypes = records.buildLibrary(ORDERS_LIB);
+		const orderDesc = recordTypes.getRecordTypeDesc('Order');
+		const newOrder = () => ({
+			id: 1,
+			placedOn: '2017-01-01T10:00:00Z',
+			accountRef: 'Account#1',
+			items: [
+				{ id: 1, productRef: 'Product#1', quantity: 2 }
+			],
+			tags: [ 'a', 'b' ],
+			paymentInfo: { type: 'CREDIT_CARD', last4Digits: '1234' },
+			lastViewedRef: 'Product#1'
+		});
+
+		it('should apply JSON Merge Patch', function() {
+			const order = newOrder();
+			expect(orderDesc.applyMergePatch(order, {
+				id: 1,
+				tags: [ 'c' ],
+				paymentInfo: { type: 'CREDIT_CARD', last4Digits: '4321' },
+				lastViewedRef: null
+			})).to.deep.equal({
+				id: 1,
+				placedOn: '2017-01-01T10:00:00Z',
+				accountRef: 'Account#1',
+				items: [
+					{ id: 1, productRef: 'Product#1', quantity: 2 }
+				],
+				tags: [ 'c' ],
+				paymentInfo: { type: 'CREDIT_CARD', last4Digits: '4321' }
+			});
+			expect(order).to.deep.equal(newOrder());
+		});
+
+		it('should replace polymorphic object with new subtype', function() {
+			expect(orderDesc.applyMergePatch(newOrder(), {
+				paymentInfo: { type: 'ACH_TRANSFER', accountType: 'CHECKING' }
+			}).paymentInfo).to.deep.equal({
+				type: 'ACH_TRANSFER', accountType: 'CHECKING'
+			});
+		});
+
+		it('should reject invalid changes', function() {
+			let err;
+			try {
+				orderDesc.applyMergePatch(newOrder(), {
+					id: 2,
+					placedOn: null,
+					paymentInfo: { type: null },
+					items: [ { id: 1, quantity: 'x' } ],
+					color: 'red'
+				});
+			} catch (e) {
+				err = e;
+			}
+			expect(err).to.be.an.instanceOf(common.X2SyntaxError);
+			expect(err.errors).to.deep.equal([
+				{ path: '/id', message: 'Cannot modify id property.' },
+				{ path: '/placedOn', message: 'Missing required property.' },
+				{
+					path: '/paymentInfo/type',
+					message: 'Cannot modify polymorphic object type.'
+				},
+				{
+					path: '/items/0/productRef',
+					message: 'Missing required property.'
+				},
+				{ path: '/items/0/quantity', message: 'Expected a number.' },
+				{
+					path: '/color',
+					message:
+						'Invalid value path "/color": unknown property color.'
+				}
+			]);
+		});
+	});
+
+	describe('record references', function() {
+
+		const orderDesc = records.buildLibrary(ORDERS_LIB)
+			.getRecordTypeDesc('Order');
+		const newOrder = () => ({
+			id: 1,
+			accountRef: 'Account#10',
+			items: [
+				{ id: 1, productRef: 'Product#1', quantity: 2 },
+				{ id: 2, productRef: 'Product#x', quantity: 1 }
+			],
+			lastViewedRef: 'Product#2'
+		});
+
+		it('should be extracted', function() {
+			expect(orderDesc.getReferences(newOrder())).to.deep.equal([
+				{ path: '/accountRef', targetType: 'Account', id: 10 },
+				{ path: '/items/0/productRef', targetType: 'Product', id: 1 },
+				{ path: '/lastViewedRef', targetType: 'Product', id: 2 }
+			]);
+			expect(orderDesc.getPropertyDesc('lastViewedRef').refTargets)
+				.to.deep.equal([ 'Account', 'Product' ]);
+		});
+
+		it('should be rewritten', function() {
+			const order = newOrder();
+			expect(orderDesc.rewriteReferences(order, ref => (
+				ref.targetType === 'Product' ? ref.id + 100 : undefined
+			))).to.equal(2);
+			expect(order.accountRef).to.equal('Account#10');
+			expect(order.items[0].productRef).to.equal('Product#101');
+			expect(order.items[1].productRef).to.equal('Product#x');
+			expect(order.lastViewedRef).to.equal('Product#102');
+		});
+
+		it('should reject invalid new ids', function() {
+			const order = newOrder();
+			expect(() => orderDesc.rewriteReferences(order, ref => (
+				ref.targetType === 'Product' ? 'x' + ref.id : ref.id + 1
+			))).to.throw(
+				common.X2UsageError,
+				'Invalid new id x1 for reference Product#1 at' +
+					' /items/0/productRef: Expected a number.');
+			expect(order).to.deep.equal(newOrder());
+		});
+	});
+
+	describe('reference conversions', function() {
+
+		const recordTypes = records.buildLibrary(ORDERS_LIB);
+
+		it('should convert ids to references', function() {
+			expect(recordTypes.idToRef('Order', 5)).to.equal('Order#5');
+			expect(recordTypes.getRecordTypeDesc('Product').idToRef(7))
+				.to.equal('Product#7');
+			expect(() => recordTypes.idToRef('Order', 'x'))
+				.to.throw('Invalid Order record id x.');
+			expect(() => recordTypes.idToRef('Unknown', 1))
+				.to.throw('Unknown record type Unknown.');
+		});
+
+		it('should not refer record types with Symbol names', function() {
+			const AUDIT = Symbol('Audit');
+			const auditLib = records.with({
+				extendRecordTypesLibrary(ctx, recordTypes) {
+					ctx.onLibraryComplete(() => {
+						ctx.addRecordType(AUDIT, {
+							properties: {
+								'id': { valueType: 'number', role: 'id' }
+							}
+						});
+					});
+					return recordTypes;
+				}
+			}).buildLibrary(ORDERS_LIB);
+			const auditDesc = auditLib.getRecordTypeDesc(AUDIT);
+			expect(auditLib.getReferenceGraph().recordTypeNames).to.include(
+				AUDIT);
+			expect(() => auditDesc.idToRef(1)).to.throw(
+				common.X2UsageError,
+				'Record type Symbol(Audit) cannot be referred: record type' +
+					' name is not a string.');
+			expect(() => auditDesc.refToId('Audit#1')).to.throw(
+				common.X2SyntaxError,
+				'Invalid Symbol(Audit) record reference.');
+		});
+
+		it('should parse references', function() {
+			expect(recordTypes.parseRef('Account#12')).to.deep.equal({
+				recordTypeName: 'Account',
+				id: 12
+			});
+			expect(() => recordTypes.parseRef('Unknown#1'))
+				.to.throw('Invalid record reference Unknown#1.');
+			expect(() => recordTypes.parseRef('Account#x'))
+				.to.throw('Invalid Account record reference.');
+		});
+
+		it('should check references', function() {
+			const refTargets = recordTypes.getRecordTypeDesc('Order')
+				.getPropertyDesc('lastViewedRef').refTargets;
+			expect(recordTypes.isValidRef('Product#1')).to.be.true;
+			expect(recordTypes.isValidRef('Product#1', refTargets)).to.be.true;
+			expect(recordTypes.isValidRef('Order#1', refTargets)).to.be.false;
+			expect(recordTypes.isValidRef('Order#1', 'Order')).to.be.true;
+			expect(recordTypes.isValidRef('Order#')).to.be.false;
+			expect(recordTypes.isValidRef(1)).to.be.false;
+			const orderDesc = recordTypes.getRecordTypeDesc('Order');
+			const order = {
+				id: 1,
+				placedOn: '2017-01-01T10:00:00Z',
+				accountRef: 'Account#1',
+				lastViewedRef: 'Product#x'
+			};
+			expect(orderDesc.validate(order)).to.deep.equal({
+				'/lastViewedRef': [ 'Invalid reference.' ]
+			});
+			order.lastViewedRef = 'Order#1';
+			expect(orderDesc.validate(order)).to.deep.equal({
+				'/lastViewedRef': [ 'Invalid reference target.' ]
+			});
+		});
+	});
+
+	describe('reference graph', function() {
+
+		it('should find references and referrers', function() {
+			const graph = records.buildLibrary(ORDERS_LIB).getReferenceGraph();
+			expect(graph.recordTypeNames).to.deep.equal(
+				[ 'Account', 'Product', 'Order' ]);
+			expect(graph.getReferences('Order').map(edge => [
+				edge.target, edge.propertyPath
+			])).to.deep.equal([
+				[ 'Account', 'accountRef' ],
+				[ 'Product', 'items.productRef' ],
+				[ 'Account', 'lastViewedRef' ],
+				[ 'Product', 'lastViewedRef' ]
+			]);
+			expect(graph.getReferredTypes('Order')).to.deep.equal(
+				[ 'Account', 'Product' ]);
+			expect(graph.getReferringTypes('Product')).to.deep.equal(
+				[ 'Order' ]);
+			expect(graph.getReferrers('Order')).to.be.empty;
+			expect(graph.dependencyOrder).to.deep.equal(
+				[ [ 'Account' ], [ 'Product' ], [ 'Order' ] ]);
+			expect(graph.cycles).to.be.empty;
+			expect(() => graph.getReferences('Unknown'))
+				.to.throw('Unknown record type Unknown.');
+		});
+
+		it('should find reference cycles', function() {
+			const graph = records.buildLibrary({
+				'Employee': {
+					properties: {
+						'id': { valueType: 'number', role: 'id' },
+						'managerRef': { valueType: 'ref(Employee)' },
+						'assignment': {
+							valueType: 'object',
+							properties: {
+								'departmentRef': { valueType: 'ref(Department)' }
+							}
+						}
+					}
+				},
+				'Department': {
+					properties: {
+						'id': { valueType: 'number', role: 'id' },
+						'companyRef': { valueType: 'ref(Company)' },
+						'headRef': { valueType: 'ref(Employee)' }
+					}
+				},
+				'Company': {
+					properties: {
+						'id': { valueType: 'number', role: 'id' }
+					}
+				}
+			}).getReferenceGraph();
+			expect(graph.dependencyOrder).to.deep.equal(
+				[ [ 'Company' ], [ 'Employee', 'Department' ] ]);
+			expect(graph.cycles).to.deep.equal(
+				[ [ 'Employee', 'Department' ] ]);
+			expect(graph.getReferringTypes('Employee')).to.deep.equal(
+				[ 'Employee', 'Department' ]);
+		});
+	});
+
+	describe('.compareLibraries()', function() {
+
+		const ordersLib = function(modify) {
+			const libraryDef = JSON.parse(JSON.stringify(ORDERS_LIB));
+			modify(libraryDef.recordTypes);
+			return records.buildLibrary(libraryDef);
+		};
+		const changesOf = function(report) {
+			return report.changes.map(c => [
+				c.change, c.compatibility, c.recordTypeName, c.propertyPath ]);
+		};
+
+		it('should find no changes in same library', function() {
+			const report = records.compareLibraries(
+				records.buildLibrary(ORDERS_LIB),
+				records.buildLibrary(ORDERS_LIB));
+			expect(report.changes).to.deep.equal([]);
+			expect(report.backwardCompatible).to.be.true;
+			expect(report.forwardCompatible).to.be.true;
+			expect(report.breaking).to.be.false;
+		});
+
+		it('should report backward-compatible changes', function() {
+			const report = records.compareLibraries(
+				records.buildLibrary(ORDERS_LIB),
+				ordersLib(recordTypes => {
+					recordTypes['Order'].properties['placedOn'].optional =
+						true;
+					recordTypes['Order'].properties['items'].properties[
+						'note'] = { valueType: 'string', optional: true };
+					recordTypes['Order'].properties['paymentInfo'].subtypes[
+						'CASH'] = { properties: {} };
+					recordTypes['Order'].properties['accountRef'].valueType =
+						'ref(Account|Product)';
+					recordTypes['Supplier'] = {
+						properties: {
+							'id': { valueType: 'number', role: 'id' }
+						}
+					};
+				}));
+			expect(changesOf(report)).to.deep.equal([
+				[ 'REQUIRED_TO_OPTIONAL', 'backward-compatible',
+				  'Order', 'placedOn' ],
+				[ 'REF_TARGET_CHANGED', 'backward-compatible',
+				  'Order', 'accountRef' ],
+				[ 'PROPERTY_ADDED', 'backward-compatible',
+				  'Order', 'items.note' ],
+				[ 'SUBTYPE_ADDED', 'backward-compatible',
+				  'Order', 'paymentInfo.CASH' ],
+				[ 'RECORD_TYPE_ADDED', 'backward-compatible', 'Supplier', '' ]
+			]);
+			expect(report.changes[1].message).to.equal(
+				'Property accountRef of record type Order changed reference' +
+					' target from Account to Account|Product.');
+			expect(report.backwardCompatible).to.be.true;
+			expect(report.forwardCompatible).to.be.false;
+			expect(report.breaking).to.be.false;
+		});
+
+		it('should report forward-compatible changes', function() {
+			const report = records.compareLibraries(
+				records.buildLibrary(ORDERS_LIB),
+				ordersLib(recordTypes => {
+					recordTypes['Product'].properties['price'].optional = false;
+					delete recordTypes['Order'].properties['lastViewedRef'];
+					delete recordTypes['Order'].properties['paymentInfo']
+						.subtypes['ACH_TRANSFER'];
+				}));
+			expect(changesOf(report)).to.deep.equal([
+				[ 'OPTIONAL_TO_REQUIRED', 'forward-compatible',
+				  'Product', 'price' ],
+				[ 'SUBTYPE_REMOVED', 'forward-compatible',
+				  'Order', 'paymentInfo.ACH_TRANSFER' ],
+				[ 'PROPERTY_REMOVED', 'forward-compatible',
+				  'Order', 'lastViewedRef' ]
+			]);
+			expect(report.backwardCompatible).to.be.false;
+			expect(report.forwardCompatible).to.be.true;
+			expect(report.breaking).to.be.false;
+		});
+
+		it('should report breaking changes', function() {
+			const report = records.compareLibraries(
+				records.buildLibrary(ORDERS_LIB),
+				ordersLib(recordTypes => {
+					delete recordTypes['Account'];
+					const props = recordTypes['Order'].properties;
+					props['id'].valueType = 'string';
+					props['accountRef'].valueType = 'ref(Product)';
+					props['lastViewedRef'].valueType = 'ref(Product)';
+					props['tags'].valueType = 'string';
+					props['items'].properties['quantity'].valueType = 'string';
+					props['paymentInfo'].subtypes['CREDIT_CARD'].properties[
+						'expires'] = { valueType: 'string' };
+					recordTypes['Product'].properties['sku'] = {
+						valueType: 'string'
+					};
+				}));
+			expect(changesOf(report)).to.deep.equal([
+				[ 'RECORD_TYPE_REMOVED', 'breaking', 'Account', '' ],
+				[ 'PROPERTY_ADDED', 'breaking', 'Product', 'sku' ],
+				[ 'ID_TYPE_CHANGED', 'breaking', 'Order', 'id' ],
+				[ 'REF_TARGET_CHANGED', 'breaking', 'Order', 'accountRef' ],
+				[ 'VALUE_TYPE_CHANGED', 'breaking',
+				  'Order', 'items.quantity' ],
+				[ 'COLLECTION_TO_SCALAR', 'breaking', 'Order', 'tags' ],
+				[ 'PROPERTY_ADDED', 'breaking',
+				  'Order', 'paymentInfo.CREDIT_CARD.expires' ],
+				[ 'REF_TARGET_CHANGED', 'forward-compatible',
+				  'Order', 'lastViewedRef' ]
+			]);
+			expect(report.changes[2].message).to.equal(
+				'Property id of record type Order changed value type from' +
+					' number to string.');
+			expect(report.changes[5].message).to.equal(
+				'Property tags of record type Order changed from array to' +
+					' scalar.');
+			expect(report.backwardCompatible).to.be.false;
+			expect(report.forwardCompatible).to.be.false;
+			expect(report.breaking).to.be.true;
+		});
+
+		it('should report polymorphism changes', function() {
+			const report = records.compareLibraries(
+				records.buildLibrary(ORDERS_LIB),
+				ordersLib(recordTypes => {
+					recordTypes['Account'].typePropertyName = 'kind';
+					recordTypes['Account'].subtypes = {
+						'PERSON': {
+							properties: {
+								'birthDate': {
+									valueType: 'datetime',
+									optional: true
+								}
+							}
+						}
+					};
+					recordTypes['Order'].properties['paymentInfo'] = {
+						valueType: 'object',
+						optional: true,
+						properties: {
+							'last4Digits': {
+								valueType: 'string'
+							}
+						}
+					};
+				}));
+			expect(changesOf(report)).to.deep.equal([
+				[ 'POLYMORPHISM_CHANGED', 'breaking', 'Account', '' ],
+				[ 'POLYMORPHISM_CHANGED', 'breaking', 'Order', 'paymentInfo' ]
+			]);
+			expect(report.changes[1].message).to.equal(
+				'Property paymentInfo of record type Order changed from' +
+					' polymorphic to non-polymorphic.');
+			expect(report.breaking).to.be.true;
+		});
+
+		it('should treat mixed changes as breaking', function() {
+			const report = records.compareLibraries(
+				records.buildLibrary(ORDERS_LIB),
+				ordersLib(recordTypes => {
+					recordTypes['Product'].properties['price'].optional = false;
+					recordTypes['Product'].properties['sku'] = {
+						valueType: 'string',
+						optional: true
+					};
+				}));
+			expect(report.changes.map(c => c.compatibility)).to.deep.equal([
+				'forward-compatible', 'backward-compatible' ]);
+			expect(report.breaking).to.be.true;
+		});
+	});
+
+
+	describe('RecordTypeDescriptor.migrate()', function() {
+
+		const versionedLib = function(migrations) {
+			const libraryDef = JSON.parse(JSON.stringify(ORDERS_LIB));
+			libraryDef.version = 3;
+			libraryDef.migrations = migrations;
+			return records.buildLibrary(libraryDef);
+		};
+		const MIGRATIONS = {
+			2: {
+				'Account': [
+					function(record) {
+						record.name = `${record.firstName} ${record.lastName}`;
+						delete record.firstName;
+						delete record.lastName;
+					}
+				],
+				'Order': [
+					{ op: 'rename', path: 'placed', to: 'placedOn' },
+					{ op: 'rename', path: 'items.*.qty', to: 'quantity' },
+					{ op: 'rename', path: 'tag', to: 'tags' },
+					{ op: 'toArray', path: 'tags' },
+					{ op: 'move', path: 'paymentType', to: 'paymentInfo.type' },
+					{
+						op: 'move', path: 'cardDigits',
+						to: 'paymentInfo.last4Digits'
+					}
+				]
+			},
+			3: {
+				'Order': [
+					{
+						op: 'remapReferences', path: 'accountRef',
+						from: 'Customer', to: 'Account', ids: { '5': 15 }
+					},
+					{
+						op: 'remapReferences', path: 'lastViewedRef',
+						from: 'Customer', to: 'Account'
+					},
+					{
+						op: 'splitSubtype', path: 'paymentInfo',
+						typeProperty: 'type', subtype: 'ELECTRONIC',
+						by: 'method', subtypes: {
+							'card': 'CREDIT_CARD',
+							'ach': 'ACH_TRANSFER'
+						}
+					}
+				]
+			}
+		};
+
+		it('should apply migration steps', function() {
+			const recordTypes = versionedLib(MIGRATIONS);
+			expect(recordTypes.version).to.equal(3);
+			const v1Order = {
+				id: 1,
+				placed: '2017-01-02T10:00:00.000Z',
+				accountRef: 'Customer#5',
+				lastViewedRef: 'Customer#7',
+				items: [ { id: 1, productRef: 'Product#2', qty: 3 } ],
+				tag: 'rush',
+				paymentType: 'CREDIT_CARD',
+				cardDigits: '1234'
+			};
+			const orderTypeDesc = recordTypes.getRecordTypeDesc('Order');
+			expect(orderTypeDesc.migrate(v1Order, 1)).to.deep.equal({
+				id: 1,
+				placedOn: '2017-01-02T10:00:00.000Z',
+				accountRef: 'Account#15',
+				lastViewedRef: 'Account#7',
+				items: [ { id: 1, productRef: 'Product#2', quantity: 3 } ],
+				tags: [ 'rush' ],
+				paymentInfo: { type: 'CREDIT_CARD', last4Digits: '1234' }
+			});
+			expect(v1Order.placed).to.equal('2017-01-02T10:00:00.000Z');
+			const v2Order = {
+				id: 2,
+				placedOn: '2017-01-03T10:00:00.000Z',
+				accountRef: 'Account#1',
+				items: [],
+				tags: [],
+				paymentInfo: {
+					type: 'ELECTRONIC',
+					method: 'ach',
+					accountType: 'CHECKING'
+				}
+			};
+			expect(orderTypeDesc.migrate(v2Order, 2).paymentInfo).to.deep.equal(
+				{ type: 'ACH_TRANSFER', accountType: 'CHECKING' });
+			expect(recordTypes.getRecordTypeDesc('Account').migrate(
+				{ id: 5, firstName: 'John', lastName: 'Smith' }, 1
+			)).to.deep.equal({ id: 5, name: 'John Smith' });
+			expect(recordTypes.getRecordTypeDesc('Product').migrate(
+				{ id: 2, name: 'Widget' }, 3
+			)).to.deep.equal({ id: 2, name: 'Widget' });
+		});
+
+		it('should create migrated record using factories', function() {
+			class Order {}
+			const libraryDef = JSON.parse(JSON.stringify(ORDERS_LIB));
+			libraryDef.recordTypes['Order'].factory = () => new Order();
+			libraryDef.version = 2;
+			libraryDef.migrations = {
+				2: {
+					'Order': [ record => ({
+						id: record.orderId,
+						placedOn: '2017-01-02T10:00:00.000Z',
+						accountRef: 'Account#1',
+						items: [],
+						tags: []
+					}) ]
+				}
+			};
+			const migrated = records.buildLibrary(libraryDef)
+				.getRecordTypeDesc('Order').migrate({ orderId: 3 }, 1);
+			expect(migrated).to.be.an.instanceOf(Order);
+			expect(migrated.id).to.equal(3);
+		});
+
+		it('should reject invalid record version', function() {
+			const orderTypeDesc = versionedLib(MIGRATIONS)
+				.getRecordTypeDesc('Order');
+			expect(() => orderTypeDesc.migrate({ id: 1 }, 4)).to.throw(
+				common.X2UsageError,
+				'Invalid record version 4: must be an integer from 1 to 3.');
+			expect(() => orderTypeDesc.migrate({ id: 1 }, '1')).to.throw(
+				common.X2UsageError);
+			expect(() => records.buildLibrary(ORDERS_LIB)
+				.getRecordTypeDesc('Order').migrate({ id: 1 }, 1)).to.throw(
+				common.X2UsageError,
+				'Record types library does not have a version.');
+			expect(() => orderTypeDesc.migrate(null, 1)).to.throw(
+				common.X2UsageError, 'Record must be an object.');
+		});
+
+		it('should validate migrated record', function() {
+			const accountTypeDesc = versionedLib(MIGRATIONS)
+				.getRecordTypeDesc('Account');
+			let err;
+			try {
+				accountTypeDesc.migrate({
+					id: 5,
+					firstName: 'John',
+					lastName: 'Smith',
+					email: 'john@example.com'
+				}, 1);
+			} catch (e) {
+				err = e;
+			}
+			expect(err).to.be.an.instanceOf(common.X2SyntaxError);
+			expect(err.errors).to.deep.equal({
+				'/email': [ 'Unknown property.' ]
+			});
+		});
+
+		it('should not check intermediate record data', function() {
+			const recordTypes = versionedLib({
+				2: {
+					'Product': [
+						{ op: 'rename', path: 'label', to: 'title' }
+					]
+				},
+				3: {
+					'Product': [
+						{ op: 'rename', path: 'title', to: 'name' }
+					]
+				}
+			});
+			expect(recordTypes.getRecordTypeDesc('Product').migrate(
+				{ id: 2, label: 'Widget' }, 1
+			)).to.deep.equal({ id: 2, name: 'Widget' });
+			expect(() => versionedLib({
+				2: {
+					'Product': [
+						{ op: 'rename', path: 'label', to: 'title' }
+					]
+				}
+			})).to.throw(
+				common.X2UsageError, 'title is not a property of the record type.');
+		});
+
+		it('should reject invalid migrations', function() {
+			const libraryDef = JSON.parse(JSON.stringify(ORDERS_LIB));
+			libraryDef.version = 2;
+			libraryDef.migrations = {
+				2: {
+					'Order': [ { op: 'rename', path: 'a', to: 'b.c' } ],
+					'Customer': []
+				},
+				5: {}
+			};
+			expect(records.checkLibrary(libraryDef).errors.map(
+				err => [ err.code, err.recordTypeName, err.message ]
+			)).to.deep.equal([
+				[ 'INVALID_MIGRATION', 'Order',
+				  'Migration of record type Order to version 2 has invalid' +
+					' step at index 0: missing or invalid new property name.' ],
+				[ 'INVALID_MIGRATION', 'Customer',
+				  'Migration to version 2 refers to unknown record type' +
+					' Customer.' ],
+				[ 'INVALID_MIGRATION', undefined,
+				  'Invalid migration version 5: must be an integer from 2 to' +
+					' the library version 2.' ]
+			]);
+			libraryDef.version = 3;
+			libraryDef.migrations = {
+				2: {
+					'Order': [
+						{ op: 'rename', path: 'qty', to: 'count' },
+						{ op: 'rename', path: 'count', to: 'quantity' },
+						{ op: 'rename', path: 'items.*.qty', to: 'amount' },
+						{ op: 'toArray', path: 'placedOn' }
+					],
+					'Product': [
+						{ op: 'rename', path: 'title', to: 'name' },
+						function() {},
+						{ op: 'rename', path: 'cost', to: 'value' }
+					]
+				},
+				3: {
+					'Order': [
+						{
+							op: 'remapReferences', path: 'accountRef',
+							from: 'Customer', to: 'Nope'
+						},
+						{
+							op: 'remapReferences', path: 'lastViewedRef',
+							from: 'Customer', to: 'Order'
+						},
+						{
+							op: 'splitSubtype', path: 'paymentInfo',
+							typeProperty: 'type', subtype: 'CARD', by: 'kind',
+							subtypes: { 'paypal': 'PAYPAL' }
+						}
+					],
+					'Account': [
+						{
+							op: 'splitSubtype', path: '', typeProperty: 'type',
+							subtype: 'PERSON', by: 'kind'
+						}
+					],
+					'Product': [
+						{ op: 'move', path: 'value', to: 'price' }
+					]
+				}
+			};
+			expect(records.checkLibrary(libraryDef).errors.map(
+				err => [ err.code, err.recordTypeName, err.message ]
+			)).to.deep.equal([
+				[ 'INVALID_MIGRATION', 'Order',
+				  'Migration of record type Order to version 2 has invalid' +
+					' step at index 1: quantity is not a property of the' +
+					' record type.' ],
+				[ 'INVALID_MIGRATION', 'Order',
+				  'Migration of record type Order to version 2 has invalid' +
+					' step at index 2: items.*.amount is not a property of' +
+					' the record type.' ],
+				[ 'INVALID_MIGRATION', 'Order',
+				  'Migration of record type Order to version 2 has invalid' +
+					' step at index 3: property placedOn is not an array.' ],
+				[ 'INVALID_MIGRATION', 'Order',
+				  'Migration of record type Order to version 3 has invalid' +
+					' step at index 0: unknown reference target Nope.' ],
+				[ 'INVALID_MIGRATION', 'Order',
+				  'Migration of record type Order to version 3 has invalid' +
+					' step at index 1: property lastViewedRef is not a' +
+					' reference to Order.' ],
+				[ 'INVALID_MIGRATION', 'Order',
+				  'Migration of record type Order to version 3 has invalid' +
+					' step at index 2: unknown subtype PAYPAL.' ],
+				[ 'INVALID_MIGRATION', 'Account',
+				  'Migration of record type Account to version 3 has invalid' +
+					' step at index 0: record is not a polymorphic object' +
+					' with type property type.' ]
+			]);
+			delete libraryDef.version;
+			libraryDef.migrations = {};
+			expect(records.checkLibrary(libraryDef).errors.map(
+				err => err.code)).to.deep.equal([ 'INVALID_MIGRATION' ]);
+			libraryDef.version = 1.5;
+			delete libraryDef.migrations;
+			expect(records.checkLibrary(libraryDef).errors.map(
+				err => err.code)).to.deep.equal([ 'INVALID_VERSION' ]);
+		});
+	});
+	describe('.loadLibrary()', function() {
+
+		let dir;
+		const writeFile = (name, lines) => {
+			const file = path.join(dir, name);
+			if (!fs.existsSync(path.dirname(file)))
+				fs.mkdirSync(path.dirname(file));
+			fs.writeFileSync(file, lines.map(line => line + '\n').join(''));
+			return file;
+		};
+
+		beforeEach(function() {
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x2node-records-'));
+			writeFile('Account.json', [
+				'{',
+				'  "factory": "account",',
+				'  "properties": {',
+				'    "id": { "valueType": "number", "role": "id" },',
+				'    "name": { "valueType": "string" }',
+				'  }',
+				'}'
+			]);
+			writeFile('orders/orders.yaml', [
+				'recordTypes:',
+				'  Order:',
+				'    properties:',
+				'      id:',
+				'        valueType: number',
+				'        role: id',
+				'      accountRef:',
+				'        valueType: ref(Account)',
+				'      items:',
+				'        valueType: object[]',
+				'        properties:',
+				'          quantity:',
+				'            valueType: number',
+				'objectTypes:',
+				'  Address:',
+				'    properties:',
+				'      street:',
+				'        valueType: string'
+			]);
+		});
+
+		afterEach(function() {
+			removeDir(dir);
+		});
+
+		it('should load and merge definition files', function() {
+			class Account {}
+			const recordTypes = records.loadLibrary(dir, {
+				factories: { account: () => new Account() }
+			});
+			expect(recordTypes.definedRecordTypeNames).to.deep.equal(
+				[ 'Account', 'Order' ]);
+			expect(recordTypes.getRecordTypeDesc('Account').newRecord())
+				.to.be.an.instanceOf(Account);
+			expect(recordTypes.definition.objectTypes).to.have.all.keys(
+				'Address');
+			expect(recordTypes.getRecordTypeDesc('Order')
+				.getPropertyDesc('accountRef').refTarget).to.equal('Account');
+		});
+
+		it('should load library version and migrations', function() {
+			writeFile('migrations.yaml', [
+				'version: 2',
+				'migrations:',
+				'  2:',
+				'    Order:',
+				'      - op: rename',
+				'        path: items.*.qty',
+				'        to: quantity'
+			]);
+			const recordTypes = records.loadLibrary(dir, {
+				factories: { account: () => ({}) }
+			});
+			expect(recordTypes.version).to.equal(2);
+			expect(recordTypes.getRecordTypeDesc('Order').migrate(
+				{ id: 1, accountRef: 'Account#1', items: [ { qty: 2 } ] }, 1
+			)).to.deep.equal(
+				{ id: 1, accountRef: 'Account#1', items: [ { quantity: 2 } ] });
+			writeFile('version.json', [ '{', '  "version": 3', '}' ]);
+			expect(() => records.loadLibrary(dir, {
+				factories: { account: () => ({}) }
+			})).to.throw('version is already defined in');
+		});
+
+		it('should report definition error locations', function() {
+			const file = writeFile('orders/orders.yaml', [
+				'recordTypes:',
+				'  Order:',
+				'    properties:',
+				'      id:',
+				'        valueType: number',
+				'        role: id',
+				'      items:',
+				'        valueType: object[]',
+				'        properties:',
+				'          quantity:',
+				'            valueType: money'
+			]);
+			let err;
+			try {
+				records.loadLibrary(dir, {
+					factories: { account: () => ({}) },
+					collectErrors: true
+				});
+			} catch (e) {
+				err = e;
+			}
+			expect(err.errors).to.have.lengthOf(1);
+			expect(err.errors[0]).to.include({
+				code: 'INVALID_VALUE_TYPE',
+				propertyPath: 'items.quantity',
+				file: file,
+				line: 10
+			});
+			expect(err.message).to.contain(`${file}:10: `);
+		});
+
+		it('should locate errors in templates and object types', function() {
+			const file = writeFile('orders/common.yaml', [
+				'templates:',
+				'  Entity:',
+				'    properties:',
+				'      id:',
+				'        valueType: number',
+				'        role: id',
+				'      createdOn:',
+				'        valueType: timestamp',
+				'objectTypes:',
+				'  Item:',
+				'    properties:',
+				'      quantity:',
+				'        valueType: money'
+			]);
+			writeFile('orders/orders.yaml', [
+				'recordTypes:',
+				'  Order:',
+				'    extends: Entity',
+				'    properties:',
+				'      items:',
+				'        valueType: Item[]'
+			]);
+			let err;
+			try {
+				records.loadLibrary(dir, {
+					factories: { account: () => ({}) },
+					collectErrors: true
+				});
+			} catch (e) {
+				err = e;
+			}
+			expect(err.errors.map(e => [
+				e.propertyPath, e.file, e.line
+			])).to.deep.equal([
+				[ 'createdOn', file, 7 ],
+				[ 'items.quantity', file, 12 ]
+			]);
+		});
+
+		it('should report file errors', function() {
+			expect(() => records.loadLibrary(dir)).to.throw(
+				path.join(dir, 'Account.json') + ':2: unknown factory account.');
+			writeFile('Order.yml', [
+				'properties:',
+				'  id: { valueType: number, role: id }'
+			]);
+			expect(() => records.loadLibrary(dir, {
+				factories: { account: () => ({}) }
+			})).to.throw('recordTypes entry Order is already defined in');
+			writeFile('Order.yml', [
+				'properties:',
+				'  id: [ valueType'
+			]);
+			expect(() => records.loadLibrary(dir)).to.throw(
+				path.join(dir, 'Order.yml') + ':3: invalid YAML');
+		});
+	});
+
+	describe('command line tool', function() {
+
+		const cli = require('../lib/cli.js');
+
+		let dir;
+		const run = (...argv) => {
+			const res = { out: '', err: '' };
+			res.status = cli.run(
+				argv,
+				{ write(s) { res.out += s; } },
+				{ write(s) { res.err += s; } });
+			return res;
+		};
+
+		beforeEach(function() {
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x2node-records-'));
+			fs.writeFileSync(
+				path.join(dir, 'orders.js'),
+				'module.exports = ' + JSON.stringify(ORDERS_LIB) + ';\n');
+		});
+
+		afterEach(function() {
+			removeDir(dir);
+		});
+
+		it('should check definitions', function() {
+			const res = run(path.join(dir, 'orders.js'));
+			expect(res.status).to.equal(0);
+			expect(res.out.split('\n')).to.include.members([
+				'Account: 2 properties',
+				'Order: 13 properties',
+				'OK: 3 record types, 18 properties.'
+			]);
+
+			fs.mkdirSync(path.join(dir, 'defs'));
+			fs.writeFileSync(path.join(dir, 'defs', 'Bad.json'), [
+				'{',
+				'  "properties": {',
+				'    "id": { "valueType": "number", "role": "id" },',
+				'    "a": { "valueType": "money" },',
+				'    "b": { "valueType": "ref(Nope)" }',
+				'  }',
+				'}'
+			].join('\n'));
+			const failed = run('check', path.join(dir, 'defs'));
+			expect(failed.status).to.equal(1);
+			expect(failed.out).to.equal('');
+			expect(failed.err).to.contain(
+				`error: ${path.join(dir, 'defs', 'Bad.json')}:4: `);
+			expect(failed.err).to.contain('[INVALID_VALUE_TYPE]');
+			expect(failed.err).to.contain('[UNKNOWN_REF_TARGET]');
+			expect(failed.err).to.contain('2 definition errors found.');
+		});
+
+		it('should show property tree', function() {
+			const res = run('show', path.join(dir, 'orders.js'), 'Order');
+			expect(res.status).to.equal(0);
+			expect(res.out).to.equal([
+				'Order',
+				'  id: number [id, read-only]',
+				'  placedOn: datetime',
+				'  accountRef: ref(Account)',
+				'  items: object[] [optional]',
+				'    id: number [id, read-only]',
+				'    productRef: ref(Product)',
+				'    quantity: number',
+				'  tags: string[] [optional]',
+				'  paymentInfo: object [optional]',
+				'    type: string [type property, read-only]',
+				'    CREDIT_CARD: subtype',
+				'      last4Digits: string',
+				'    ACH_TRANSFER: subtype',
+				'      accountType: string',
+				'  lastViewedRef: ref(Account|Product) [optional]',
+				''
+			].join('\n'));
+		});
+
+		it('should resolve property path', function() {
+			const res = run(
+				'path', path.join(dir, 'orders.js'), 'Order',
+				'items.productRef.price');
+			expect(res.status).to.equal(0);
+			expect(res.out).to.equal([
+				'Order.items.productRef.price',
+				'  Order.items: object[] [optional, collection]',
+				'  Order.items.productRef: ref(Product)',
+				'  Product.price: number [optional, reference hop]',
+				''
+			].join('\n'));
+		});
+
+		it('should export library', function() {
+			const recordTypes = records.buildLibrary(ORDERS_LIB);
+			const res = run(
+				'export', '--format', 'ts', path.join(dir, 'orders.js'));
+			expect(res.status).to.equal(0);
+			expect(res.out).to.equal(records.generateTypeScript(recordTypes));
+			expect(JSON.parse(run(
+				'export', '--format=json-schema', '--type=Account',
+				path.join(dir, 'orders.js')
+			).out)).to.deep.equal(
+				records.generateJSONSchema(recordTypes, 'Account'));
+		});
+
+		it('should report module errors', function() {
+			const file = path.join(dir, 'bad.js');
+			fs.writeFileSync(file, 'throw new Error("boom");\n');
+			const res = run(file);
+			expect(res.status).to.equal(1);
+			expect(res.err).to.equal(`x2node-records: ${file}: boom\n`);
+			fs.writeFileSync(
+				path.join(dir, 'broken.js'), 'module.exports = {\n');
+			const broken = run(
+				'--extension', path.join(dir, 'broken.js'),
+				path.join(dir, 'orders.js'));
+			expect(broken.status).to.equal(1);
+			expect(broken.err).to.contain(
+				`x2node-records: ${path.join(dir, 'broken.js')}: `);
+		});
+
+		it('should reject invalid command line', function() {
+			expect(run().status).to.equal(2);
+			expect(run('--bad', 'x').err).to.contain('Unknown option --bad.');
+			expect(run('show', path.join(dir, 'orders.js')).err).to.contain(
+				'Invalid number of arguments for command show.');
+			expect(run('export', path.join(dir, 'orders.js')).err).to.contain(
+				'Option --format is required for command export.');
+			const res = run('show', path.join(dir, 'orders.js'), 'Nope');
+			expect(res.status).to.equal(2);
+			expect(res.err).to.equal(
+				'x2node-records: Unknown record type Nope.\n');
+			expect(run('--help').out).to.contain('Usage: x2node-records');
+		});
+	});
 });